@@ -13,6 +13,14 @@ module.exports = function override(config) {
     "process": require.resolve("process/browser"),
   };
   
+  // Let ES modules (e.g. canvg, used by jspdf) import "process/browser" without an extension
+  config.module.rules.push({
+    test: /\.m?js$/,
+    resolve: {
+      fullySpecified: false,
+    },
+  });
+
   // Add process plugin
   config.plugins.push(
     new webpack.ProvidePlugin({
@@ -0,0 +1,131 @@
+/**
+ * Service worker for offline use at job sites
+ * - App shell and hashed build assets are served from the cache
+ * - Catalog API reads go to the network first and fall back to the last cached response
+ * Registered by src/serviceWorkerRegistration.js in production builds only.
+ */
+
+// Bump to drop every cache of an older worker
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `fence-calculator-shell-${CACHE_VERSION}`;
+const API_CACHE = `fence-calculator-api-${CACHE_VERSION}`;
+
+// Header added to API responses served from the cache
+const CACHED_RESPONSE_HEADER = 'X-Served-From-Cache';
+
+// Base path of the app, taken from where the worker is served
+const BASE_PATH = new URL('./', self.location).pathname;
+
+// Files needed to start the app without a connection
+const SHELL_FILES = [BASE_PATH, `${BASE_PATH}index.html`, `${BASE_PATH}manifest.json`];
+
+// Path of the local WooCommerce proxy, passed as ?api= when registering
+const apiPath = new URL(self.location).searchParams.get('api') || '';
+
+/**
+ * Check whether a request reads from the WooCommerce API (directly or through the proxy)
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for catalog API requests
+ */
+const isApiRequest = (url) => {
+  return url.pathname.includes('/wp-json/wc/') || Boolean(apiPath && url.pathname.startsWith(apiPath));
+};
+
+/**
+ * Serve from the network and remember the response; fall back to the remembered response
+ * @param {Request} request - GET request
+ * @returns {Promise<Response>} Response
+ */
+const networkFirst = async (request) => {
+  const cache = await caches.open(API_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (!cached) throw error;
+
+    // Let the app know these prices are not live (see woocommerce.api.js)
+    const headers = new Headers(cached.headers);
+    headers.set(CACHED_RESPONSE_HEADER, '1');
+    return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+  }
+};
+
+/**
+ * Serve from the cache, fetching and remembering what is missing
+ * @param {Request} request - GET request
+ * @returns {Promise<Response>} Response
+ */
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+/**
+ * Load a page, falling back to the cached app shell so client-side routes work offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+const navigate = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put(`${BASE_PATH}index.html`, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const shell = await caches.match(`${BASE_PATH}index.html`);
+    if (shell) return shell;
+    throw error;
+  }
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('fence-calculator-') && ![SHELL_CACHE, API_CACHE].includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  // Orders and other writes always go to the network; the app queues them when offline
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (isApiRequest(url)) {
+    event.respondWith(networkFirst(request));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(navigate(request));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith(`${BASE_PATH}static/`)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
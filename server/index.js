@@ -0,0 +1,90 @@
+/**
+ * Production server
+ * Serves the built calculator and the WooCommerce proxy from one origin.
+ *
+ * Usage: node server/index.js (reads .env from the project root when there is one)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createWooProxyHandler } = require('./wooProxy');
+
+// Settings already in the environment win over the .env file; without one the server runs on the environment alone
+const ENV_FILE = path.resolve(__dirname, '..', '.env');
+if (fs.existsSync(ENV_FILE)) {
+  process.loadEnvFile(ENV_FILE);
+}
+
+// Path the proxy is mounted on; must match REACT_APP_WOOCOMMERCE_PROXY_URL
+const PROXY_PATH = '/api/woo';
+
+const PORT = parseInt(process.env.PORT, 10) || 3001;
+const BUILD_DIR = path.resolve(__dirname, '..', 'build');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain',
+  '.map': 'application/json',
+};
+
+const proxy = createWooProxyHandler();
+
+/**
+ * Serve a file from the build directory, falling back to index.html for app routes
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+const serveStatic = (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    res.statusCode = 400;
+    res.end('Bad request');
+    return;
+  }
+
+  // Never serve files outside the build directory (including siblings such as build-old/)
+  const requested = path.resolve(BUILD_DIR, `.${decoded}`);
+  const relative = path.relative(BUILD_DIR, requested);
+  const insideBuild = relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+
+  const filePath = insideBuild && fs.existsSync(requested) && fs.statSync(requested).isFile()
+    ? requested
+    : path.join(BUILD_DIR, 'index.html');
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      res.statusCode = 404;
+      res.end('Not found. Run "npm run build" first.');
+      return;
+    }
+
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream');
+    res.end(content);
+  });
+};
+
+const server = http.createServer((req, res) => {
+  if (req.url === PROXY_PATH || req.url.startsWith(`${PROXY_PATH}/`) || req.url.startsWith(`${PROXY_PATH}?`)) {
+    req.url = req.url.slice(PROXY_PATH.length) || '/';
+    proxy(req, res);
+    return;
+  }
+
+  serveStatic(req, res);
+});
+
+server.listen(PORT, () => {
+  console.log(`Fence calculator listening on http://localhost:${PORT}`);
+});
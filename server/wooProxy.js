@@ -0,0 +1,383 @@
+/**
+ * WooCommerce API Proxy
+ * Keeps the WooCommerce consumer key and secret on the server and forwards
+ * only the endpoints the fence calculator needs: catalog reads and order creation
+ */
+
+const fetch = require('node-fetch');
+
+// Paging parameters every list endpoint accepts
+const PAGE_PARAMS = ['page', 'per_page'];
+
+// Order meta data entry naming an order queued by the calculator (see src/services/orderQueue.js)
+const QUEUE_ID_META_KEY = 'fence_queue_id';
+
+/**
+ * Keep only the orders carrying a queue ID, and only the fields needed to recognize them,
+ * so looking up a queued order never exposes anyone's order details
+ * @param {Array} orders - Orders returned by the store
+ * @param {URLSearchParams} query - Query of the browser's request
+ * @returns {Array} Matching orders ({ id, number, status, meta_data })
+ */
+const findQueuedOrders = (orders, query) => {
+  const queueId = query.get(QUEUE_ID_META_KEY);
+
+  return (Array.isArray(orders) ? orders : [])
+    .filter(order => order?.meta_data?.some(meta => meta.key === QUEUE_ID_META_KEY && meta.value === queueId))
+    .map(order => ({
+      id: order.id,
+      number: order.number,
+      status: order.status,
+      meta_data: [{ key: QUEUE_ID_META_KEY, value: queueId }],
+    }));
+};
+
+// Endpoints the calculator may call, by HTTP method, with the query parameters
+// the browser may set (`params`), must set (`requiredParams`, not forwarded) and the ones
+// the proxy always sets (`fixedParams`); `filterResponse` trims what the store answers
+const ALLOWED_ENDPOINTS = {
+  GET: [
+    {
+      pattern: /^products$/,
+      params: [...PAGE_PARAMS, 'category', 'search', 'include', 'orderby', 'order'],
+      fixedParams: { status: 'publish' },
+    },
+    { pattern: /^products\/\d+$/, params: [] },
+    {
+      pattern: /^products\/\d+\/variations$/,
+      params: PAGE_PARAMS,
+      fixedParams: { status: 'publish' },
+    },
+    {
+      pattern: /^products\/categories$/,
+      params: [...PAGE_PARAMS, 'parent', 'hide_empty', 'orderby', 'order'],
+    },
+    {
+      // Only finds orders the calculator queued, before it sends one again
+      pattern: /^orders$/,
+      params: ['after', 'dates_are_gmt', 'per_page'],
+      requiredParams: [QUEUE_ID_META_KEY],
+      fixedParams: { orderby: 'date', order: 'desc' },
+      filterResponse: findQueuedOrders,
+    },
+  ],
+  POST: [
+    { pattern: /^orders$/, params: [] },
+  ],
+};
+
+// Order statuses the calculator may create; anything else is rejected
+const ALLOWED_ORDER_STATUSES = ['pending', 'on-hold'];
+
+// Address fields copied from the billing and shipping addresses of an order
+const ADDRESS_FIELDS = ['first_name', 'last_name', 'address_1', 'city', 'state', 'postcode', 'country'];
+
+// Limits on what an order from the calculator may contain
+const ORDER_LIMITS = {
+  lineItems: 100,
+  quantity: 10000,
+  feeLines: 20,
+  // Largest installation fee accepted on one order
+  feeTotal: parseFloat(process.env.WOOCOMMERCE_PROXY_MAX_FEE) || 50000,
+  textLength: 2000,
+  metaLength: 20000,
+};
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Response headers passed back to the browser
+const FORWARDED_HEADERS = ['content-type', 'x-wp-total', 'x-wp-totalpages'];
+
+// Errors of connections that failed before the request was sent, so the store never saw it
+const NOT_CONNECTED_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Header telling the browser the request never reached the store and is safe to send again
+const NOT_REACHED_HEADER = 'X-Upstream-Not-Reached';
+
+
+/**
+ * Read the proxy configuration from the environment
+ * @returns {Object} Proxy configuration
+ */
+const getProxyConfig = () => ({
+  storeUrl: (process.env.WOOCOMMERCE_URL || '').replace(/\/+$/, ''),
+  consumerKey: process.env.WOOCOMMERCE_CONSUMER_KEY || '',
+  consumerSecret: process.env.WOOCOMMERCE_CONSUMER_SECRET || '',
+  timeout: parseInt(process.env.WOOCOMMERCE_PROXY_TIMEOUT, 10) || 15000,
+});
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  // A body parser may already have run (e.g. when mounted in an Express app)
+  if (req.body && typeof req.body === 'object') {
+    resolve(req.body);
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY_SIZE) {
+      reject(new Error('Request body too large'));
+      req.destroy();
+    }
+  });
+  req.on('end', () => {
+    try {
+      resolve(body ? JSON.parse(body) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+/**
+ * Check whether a value is a positive whole number
+ * @param {*} value - Value to check
+ * @returns {boolean} True for positive integers
+ */
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Read an optional text field, trimmed to a length
+ * @param {*} value - Value sent by the browser
+ * @param {number} maxLength - Longest text kept
+ * @returns {string} Text, or '' when the value is not a string
+ */
+const toText = (value, maxLength = ORDER_LIMITS.textLength) => (
+  typeof value === 'string' ? value.slice(0, maxLength) : ''
+);
+
+/**
+ * Copy the allowed fields of an address
+ * @param {Object} address - Address sent by the browser
+ * @param {Array} extraFields - Fields allowed beyond ADDRESS_FIELDS
+ * @returns {Object} Address with only allowed text fields
+ */
+const toAddress = (address, extraFields = []) => {
+  const source = address && typeof address === 'object' ? address : {};
+  return Object.fromEntries([...ADDRESS_FIELDS, ...extraFields].map(field => [field, toText(source[field], 200)]));
+};
+
+/**
+ * Rebuild an order from the fields the calculator sends.
+ * Line items keep only product, variation and quantity, so the store prices them itself;
+ * coupons, shipping lines, customers and anything else the browser adds are dropped.
+ * Orders are never marked paid and only use unpaid statuses.
+ * @param {Object} order - Order payload sent by the browser
+ * @returns {Object} { order, error }: the order to send, or an error message
+ */
+const sanitizeOrder = (order) => {
+  const invalid = error => ({ order: null, error });
+
+  if (!order || typeof order !== 'object') {
+    return invalid('Order must be an object');
+  }
+
+  if (!Array.isArray(order.line_items) || order.line_items.length === 0) {
+    return invalid('Order has no line items');
+  }
+
+  if (order.line_items.length > ORDER_LIMITS.lineItems) {
+    return invalid(`Orders may have at most ${ORDER_LIMITS.lineItems} line items`);
+  }
+
+  const lineItemsValid = order.line_items.every(item => (
+    item && isPositiveInteger(item.product_id) &&
+    (item.variation_id === undefined || isPositiveInteger(item.variation_id)) &&
+    isPositiveInteger(item.quantity) && item.quantity <= ORDER_LIMITS.quantity
+  ));
+  if (!lineItemsValid) {
+    return invalid('Line items need a product ID and a whole, positive quantity');
+  }
+
+  if (order.set_paid) {
+    return invalid('Orders cannot be marked paid');
+  }
+
+  if (order.status && !ALLOWED_ORDER_STATUSES.includes(order.status)) {
+    return invalid(`Order status must be one of: ${ALLOWED_ORDER_STATUSES.join(', ')}`);
+  }
+
+  // Installation fees are priced by the calculator; never let them discount an order or run away
+  const feeLines = order.fee_lines === undefined ? [] : order.fee_lines;
+  if (!Array.isArray(feeLines) || feeLines.length > ORDER_LIMITS.feeLines) {
+    return invalid(`Orders may have at most ${ORDER_LIMITS.feeLines} fees`);
+  }
+
+  const fees = feeLines.map(fee => ({ name: toText(fee?.name, 200), total: parseFloat(fee?.total) }));
+  if (fees.some(fee => !fee.name || !Number.isFinite(fee.total) || fee.total < 0)) {
+    return invalid('Order fees need a name and must not be negative');
+  }
+
+  if (fees.reduce((sum, fee) => sum + fee.total, 0) > ORDER_LIMITS.feeTotal) {
+    return invalid('Order fees are larger than allowed');
+  }
+
+  // Only the calculator's own quote details are kept as meta data
+  const metaData = (Array.isArray(order.meta_data) ? order.meta_data : [])
+    .filter(meta => meta && typeof meta.key === 'string' && meta.key.startsWith('fence_') && typeof meta.value === 'string')
+    .map(meta => ({ key: meta.key, value: toText(meta.value, ORDER_LIMITS.metaLength) }));
+
+  return {
+    error: null,
+    order: {
+      status: order.status || ALLOWED_ORDER_STATUSES[0],
+      set_paid: false,
+      billing: toAddress(order.billing, ['email', 'phone']),
+      shipping: toAddress(order.shipping),
+      customer_note: toText(order.customer_note),
+      line_items: order.line_items.map(item => ({
+        product_id: item.product_id,
+        ...(item.variation_id ? { variation_id: item.variation_id } : {}),
+        quantity: item.quantity,
+      })),
+      fee_lines: fees.map(fee => ({ name: fee.name, total: fee.total.toFixed(2), tax_status: 'none' })),
+      meta_data: metaData,
+    },
+  };
+};
+
+/**
+ * Find the allowed endpoint a request is for
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Endpoint relative to /wp-json/wc/v3
+ * @returns {Object|null} Entry of ALLOWED_ENDPOINTS, or null when the endpoint is not allowed
+ */
+const findEndpoint = (method, endpoint) => {
+  return (ALLOWED_ENDPOINTS[method] || []).find(allowed => allowed.pattern.test(endpoint)) || null;
+};
+
+/**
+ * Create a request handler that proxies calculator requests to WooCommerce.
+ * The handler expects `req.url` relative to the mount point, e.g. "/products?category=53",
+ * which is what Express's `app.use(path, handler)` passes.
+ * @param {Object} overrides - Configuration overriding the environment
+ * @returns {Function} (req, res) request handler
+ */
+const createWooProxyHandler = (overrides = {}) => {
+  const config = { ...getProxyConfig(), ...overrides };
+
+  return async (req, res) => {
+    const requestUrl = new URL(req.url, 'http://localhost');
+    const endpoint = requestUrl.pathname.replace(/^\/+|\/+$/g, '');
+
+    if (!config.storeUrl || !config.consumerKey || !config.consumerSecret) {
+      sendJson(res, 500, { code: 'proxy_not_configured', message: 'WooCommerce proxy is not configured' });
+      return;
+    }
+
+    if (!ALLOWED_ENDPOINTS[req.method]) {
+      res.setHeader('Allow', Object.keys(ALLOWED_ENDPOINTS).join(', '));
+      sendJson(res, 405, { code: 'method_not_allowed', message: `${req.method} is not allowed` });
+      return;
+    }
+
+    const allowed = findEndpoint(req.method, endpoint);
+    if (!allowed) {
+      sendJson(res, 404, { code: 'endpoint_not_allowed', message: `${endpoint} is not available through the proxy` });
+      return;
+    }
+
+    const missingParams = (allowed.requiredParams || []).filter(param => !requestUrl.searchParams.get(param));
+    if (missingParams.length > 0) {
+      sendJson(res, 400, { code: 'missing_params', message: `${endpoint} needs ${missingParams.join(', ')}` });
+      return;
+    }
+
+    // Rebuild the upstream URL from the endpoint's allowed parameters and the server-side credentials
+    const upstreamUrl = new URL(`${config.storeUrl}/wp-json/wc/v3/${endpoint}`);
+    requestUrl.searchParams.forEach((value, key) => {
+      if (allowed.params.includes(key)) {
+        upstreamUrl.searchParams.append(key, value);
+      }
+    });
+    Object.entries(allowed.fixedParams || {}).forEach(([key, value]) => upstreamUrl.searchParams.set(key, value));
+    upstreamUrl.searchParams.set('consumer_key', config.consumerKey);
+    upstreamUrl.searchParams.set('consumer_secret', config.consumerSecret);
+
+    // Orders are checked before anything is sent to the store
+    let body;
+    if (req.method === 'POST') {
+      try {
+        body = await readJsonBody(req);
+      } catch (error) {
+        sendJson(res, 400, { code: 'invalid_body', message: error.message });
+        return;
+      }
+
+      const { order, error } = sanitizeOrder(body);
+      if (error) {
+        sendJson(res, 400, { code: 'invalid_order', message: error });
+        return;
+      }
+      body = order;
+    }
+
+    const abortController = new AbortController();
+    const timeoutId = setTimeout(() => abortController.abort(), config.timeout);
+
+    try {
+      const upstream = await fetch(upstreamUrl.toString(), {
+        method: req.method,
+        headers: {
+          Accept: 'application/json',
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: abortController.signal,
+      });
+
+      const text = await upstream.text();
+
+      // Trimmed responses leave out the paging headers, which would tell how many orders the store has
+      if (allowed.filterResponse && upstream.ok) {
+        sendJson(res, upstream.status, allowed.filterResponse(JSON.parse(text), requestUrl.searchParams));
+        return;
+      }
+
+      res.statusCode = upstream.status;
+      FORWARDED_HEADERS.forEach(header => {
+        const value = upstream.headers.get(header);
+        if (value !== null) {
+          res.setHeader(header, value);
+        }
+      });
+      res.end(text);
+    } catch (error) {
+      console.error(`[WooCommerce Proxy] ${req.method} ${endpoint} failed:`, error.message);
+      // Timeouts and dropped connections may have reached the store, so only refused connections say so
+      if (NOT_CONNECTED_ERRORS.includes(error.code)) {
+        res.setHeader(NOT_REACHED_HEADER, 'true');
+      }
+      sendJson(res, 502, { code: 'upstream_unavailable', message: 'WooCommerce store could not be reached' });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+};
+
+module.exports = {
+  ALLOWED_ENDPOINTS,
+  ALLOWED_ORDER_STATUSES,
+  createWooProxyHandler,
+  sanitizeOrder,
+};
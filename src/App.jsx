@@ -2,17 +2,28 @@ import React from 'react';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import Layout from './components/shared/Layout';
 import FenceCalculator from './components/fence/calculator/FenceCalculator';
+import SavedQuote from './components/fence/calculator/SavedQuote';
+import { UnitsProvider } from './context/UnitsContext';
+import { DataSourceProvider } from './context/DataSourceContext';
+import { WooCommerceProvider } from './context/WooCommerceContext';
 import './App.css';
 
 function App() {
   return (
-    <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<Layout />}>
-          <Route index element={<FenceCalculator />} />
-        </Route>
-      </Routes>
-    </BrowserRouter>
+    <WooCommerceProvider>
+      <DataSourceProvider>
+        <UnitsProvider>
+          <BrowserRouter basename={process.env.PUBLIC_URL}>
+            <Routes>
+              <Route path="/" element={<Layout />}>
+                <Route index element={<FenceCalculator />} />
+                <Route path="quote/:id" element={<SavedQuote />} />
+              </Route>
+            </Routes>
+          </BrowserRouter>
+        </UnitsProvider>
+      </DataSourceProvider>
+    </WooCommerceProvider>
   );
 }
 
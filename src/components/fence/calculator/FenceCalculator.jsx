@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { 
   Container,
   Typography,
@@ -16,59 +16,237 @@ import {
   Alert,
   CircularProgress
 } from '@mui/material';
-import { api } from '../../../services/woocommerce.api';
+import { fetchFenceTypes, loadFenceCatalog } from '../../../services/catalog.api';
+import { getUniqueAttributeValues, getPostHeightOptions } from '../../../utils/productFilters';
+import { listFittedChanges } from '../../../utils/fenceComparison';
+import { createFenceRun, areFenceRunsValid } from '../../../utils/fenceRuns';
+import { createLayout, getSegments, layoutToRuns } from '../../../utils/layoutGeometry';
+import { getFenceRules } from '../../../utils/fenceRules';
+import { resolveQuoteProducts, buildQuote, isGateProduct } from '../../../utils/quoteBuilder';
+import { estimateLabor } from '../../../utils/laborEstimate';
+import { DEFAULT_INSTALLATION_OPTIONS } from '../../../config/installation';
+import { fetchComponentPrices, fetchGatePrices } from '../../../services/pricing.api';
+import { saveAutosave, loadAutosave, clearAutosave } from '../../../services/quoteDrafts';
+import { EMPTY_CUSTOMER } from '../../../services/orders.api';
+import { formatDate } from '../../../utils/formatters';
+import useFenceCalculation from '../../../hooks/useFenceCalculation';
+import useOnlineStatus from '../../../hooks/useOnlineStatus';
+import useWooQuery from '../../../hooks/useWooQuery';
+import { useDataSource } from '../../../context/DataSourceContext';
+import { useWooCommerce } from '../../../context/WooCommerceContext';
+import FenceLayoutCanvas from './FenceLayoutCanvas';
+import FenceSectionsEditor from './FenceSectionsEditor';
+import TakeoffSummary from './TakeoffSummary';
+import QuoteSummary from './QuoteSummary';
+import OrderSubmission from './OrderSubmission';
+import QuoteDraftsBar from './QuoteDraftsBar';
+import QuotePrintHeader from './QuotePrintHeader';
+import QuoteDocumentActions from './QuoteDocumentActions';
+import InstallationOptions from './InstallationOptions';
+import ProductBrowser from './ProductBrowser';
+import FenceComparison from './FenceComparison';
+import FittedChangesAlert from './FittedChangesAlert';
+
+// Shared empty list, so memoized values don't change while data loads
+const NO_ITEMS = [];
+
+// Fence-wide options selected in the sections editor
+const DEFAULT_FENCE_OPTIONS = { height: '', style: '', panelWidth: '' };
+
+// Index of the review step, which is priced again after restoring a saved quote
+const REVIEW_STEP = 3;
 
 // Fence Calculator Component
-const FenceCalculator = () => {
+// initialState restores a shared or saved quote; without it the autosaved wizard is restored
+const FenceCalculator = ({ initialState }) => {
   // Step definitions
-  const steps = ['Select Fence Type', 'Configure Sections', 'Review Quote'];
+  const steps = ['Select Fence Type', 'Draw Layout', 'Configure Sections', 'Review Quote'];
+
+  // Restored once on mount
+  const [restored] = useState(() => initialState || loadAutosave());
   
   // State variables
-  const [activeStep, setActiveStep] = useState(0);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [fenceTypes, setFenceTypes] = useState([]);
-  const [selectedFenceType, setSelectedFenceType] = useState('');
-  const [fenceSections, setFenceSections] = useState([]);
-  const [quoteDetails, setQuoteDetails] = useState(null);
+  const [activeStep, setActiveStep] = useState(restored?.step || 0);
+  const [pricingLoading, setPricingLoading] = useState(false);
+  const [pricingError, setPricingError] = useState(null);
+  const [selectedFenceType, setSelectedFenceType] = useState(restored?.fenceTypeId || '');
+  const [layout, setLayout] = useState(() => restored?.layout || createLayout());
+  const [fenceSections, setFenceSections] = useState(restored?.runs || []);
+  const [fenceOptions, setFenceOptions] = useState(restored?.fenceOptions || DEFAULT_FENCE_OPTIONS);
+  const [installationOptions, setInstallationOptions] = useState(
+    restored?.installationOptions || DEFAULT_INSTALLATION_OPTIONS
+  );
+  const [pricing, setPricing] = useState(null);
+  const [customer, setCustomer] = useState(EMPTY_CUSTOMER);
+  const [resumeQuote, setResumeQuote] = useState(restored?.step === REVIEW_STEP);
+  const [comparisonChanges, setComparisonChanges] = useState(null);
+  const online = useOnlineStatus();
+  const { usingMockData } = useDataSource();
+  const client = useWooCommerce();
 
   // Load fence types on component mount
+  const fenceTypesQuery = useWooQuery(({ client: queryClient, signal }) => (
+    fetchFenceTypes({ client: queryClient, signal })
+  ));
+  const fenceTypes = fenceTypesQuery.data || NO_ITEMS;
+
+  // Load the products of the selected fence type; switching types cancels the previous load
+  const catalogQuery = useWooQuery(({ client: queryClient, signal }) => (
+    loadFenceCatalog(selectedFenceType, { client: queryClient, signal })
+  ), [selectedFenceType], { enabled: Boolean(selectedFenceType) });
+  const catalog = catalogQuery.data;
+  const products = catalog?.products || NO_ITEMS;
+
+  // Loading and errors of the queries and of pricing
+  const loading = pricingLoading || fenceTypesQuery.loading || catalogQuery.loading;
+  const error = pricingError
+    || (fenceTypesQuery.error && 'Failed to load fence types. Please try again later.')
+    || (catalogQuery.error && 'Failed to load products for this fence type. Please try again later.');
+
+  // Attribute options offered in the sections editor
+  const heightOptions = getUniqueAttributeValues(products, 'Height', { numericSort: true });
+  const styleOptions = getUniqueAttributeValues(products, 'Style');
+  const panelWidthOptions = getUniqueAttributeValues(
+    products.filter(product => product.categories?.some(cat => cat.name.includes('Panel'))),
+    'Width',
+    { numericSort: true }
+  );
+  const gateProducts = products.filter(isGateProduct);
+  const gateWidthOptions = getUniqueAttributeValues(gateProducts, 'Width', { numericSort: true });
+  const gateStyleOptions = getUniqueAttributeValues(gateProducts, 'Style');
+  const postHeightOptions = useMemo(() => getPostHeightOptions(products), [products]);
+
+  const selectedFenceTypeInfo = fenceTypes.find(type => type.id === selectedFenceType);
+
+  // Construction rules of the selected fence type
+  const fenceRules = getFenceRules(selectedFenceTypeInfo?.name);
+
+  // Material takeoff for the configured runs
+  const takeoff = useFenceCalculation(fenceSections, fenceOptions, fenceRules, postHeightOptions);
+
+  // Wizard state that is autosaved, saved as drafts and shared as links
+  const quoteState = {
+    fenceTypeId: selectedFenceType,
+    fenceOptions,
+    runs: fenceSections,
+    layout,
+    installationOptions,
+    step: activeStep
+  };
+
+  // Autosave so a page refresh does not lose the quote
   useEffect(() => {
-    const loadFenceTypes = async () => {
-      setLoading(true);
-      setError(null);
-      
-      try {
-        // Fetch fence categories
-        const categories = await api.get('products/categories', {
-          parent: 0,
-          per_page: 20
-        });
-        
-        // Filter to main fence types
-        const mainFenceTypes = categories.filter(cat => 
-          cat.name.includes('Fence') && !cat.name.includes('Post') && !cat.name.includes('Panel') && !cat.name.includes('Gate')
-        );
-        
-        setFenceTypes(mainFenceTypes);
-      } catch (err) {
-        console.error('Error loading fence types:', err);
-        setError('Failed to load fence types. Please try again later.');
-      } finally {
-        setLoading(false);
-      }
-    };
-    
-    loadFenceTypes();
-  }, []);
+    if (selectedFenceType) {
+      saveAutosave({
+        fenceTypeId: selectedFenceType,
+        fenceOptions,
+        runs: fenceSections,
+        layout,
+        installationOptions,
+        step: activeStep
+      });
+    }
+  }, [selectedFenceType, fenceOptions, fenceSections, layout, installationOptions, activeStep]);
+
+  // Price the takeoff and build the quote
+  const generateQuote = useCallback(async () => {
+    setPricingLoading(true);
+    setPricingError(null);
+    setPricing(null);
+
+    try {
+      const componentProducts = resolveQuoteProducts(products, fenceOptions, fenceRules);
+      const [prices, gatePrices] = await Promise.all([
+        fetchComponentPrices(componentProducts, client, fenceOptions),
+        fetchGatePrices(componentProducts.gate, takeoff.totals.gates, client)
+      ]);
+
+      setPricing({ prices: { ...prices, gates: gatePrices }, pricedAt: new Date().toISOString() });
+    } catch (err) {
+      console.error('Error building quote:', err);
+      setPricingError('Failed to load current prices. Please try again later.');
+    } finally {
+      setPricingLoading(false);
+    }
+  }, [products, fenceOptions, fenceRules, takeoff, client]);
+
+  // Priced quote with the installation labor, updated as installation options change
+  const quoteDetails = useMemo(() => {
+    if (!pricing) return null;
+
+    const labor = installationOptions.include
+      ? estimateLabor(takeoff, { ...installationOptions, fenceTypeName: selectedFenceTypeInfo?.name })
+      : null;
+
+    return buildQuote(takeoff, pricing.prices, { runs: fenceSections, labor, createdAt: pricing.pricedAt });
+  }, [pricing, takeoff, fenceSections, installationOptions, selectedFenceTypeInfo]);
+
+  // Price a restored quote once its products have loaded
+  useEffect(() => {
+    if (resumeQuote && products.length > 0) {
+      setResumeQuote(false);
+      generateQuote();
+    }
+  }, [resumeQuote, products, generateQuote]);
+
+  // Handle loading a saved draft
+  const handleDraftLoad = (state) => {
+    setSelectedFenceType(state.fenceTypeId);
+    setFenceOptions(state.fenceOptions);
+    setFenceSections(state.runs);
+    setLayout(state.layout);
+    setInstallationOptions(state.installationOptions);
+    setPricing(null);
+    setComparisonChanges(null);
+    setActiveStep(Math.min(state.step, REVIEW_STEP - 1));
+  };
 
   // Handle fence type selection
   const handleFenceTypeChange = (event) => {
     setSelectedFenceType(event.target.value);
+    setFenceOptions(DEFAULT_FENCE_OPTIONS);
+  };
+
+  // Handle picking a product in the browser; its style, height and panel width become the fence options
+  const handleProductSelect = (product, selection) => {
+    setFenceOptions(current => ({ ...current, ...selection }));
+  };
+
+  // Handle switching to a compared fence type; its fitted runs and prices become the quote without pricing it again.
+  // Values the fence type does not offer are listed so the customer sees what changed.
+  const handleComparisonSelect = (result) => {
+    setComparisonChanges({
+      fenceTypeName: result.fenceType.name,
+      changes: listFittedChanges({ fenceOptions, runs: fenceSections }, result),
+    });
+    setSelectedFenceType(result.fenceType.id);
+    setFenceOptions(result.fenceOptions);
+    setFenceSections(result.runs);
+    setPricingError(null);
+    setPricing({ prices: result.prices, pricedAt: result.quote.createdAt });
+  };
+
+  // Handle a change to the drawing; the drawn segments replace the runs
+  const handleLayoutChange = (newLayout) => {
+    setLayout(newLayout);
+
+    if (getSegments(newLayout).length > 0 || getSegments(layout).length > 0) {
+      setFenceSections(layoutToRuns(newLayout, fenceSections));
+    }
   };
 
   // Handle next step
   const handleNext = () => {
+    // Start the sections editor with one empty run when nothing was drawn
+    if (activeStep === 1 && fenceSections.length === 0) {
+      setFenceSections([createFenceRun()]);
+    }
+
+    // Price the quote when moving to the review step
+    if (activeStep === 2) {
+      generateQuote();
+    }
+
     setActiveStep((prevActiveStep) => prevActiveStep + 1);
   };
 
@@ -81,8 +259,26 @@ const FenceCalculator = () => {
   const handleReset = () => {
     setActiveStep(0);
     setSelectedFenceType('');
+    setLayout(createLayout());
     setFenceSections([]);
-    setQuoteDetails(null);
+    setFenceOptions(DEFAULT_FENCE_OPTIONS);
+    setInstallationOptions(DEFAULT_INSTALLATION_OPTIONS);
+    setPricing(null);
+    setComparisonChanges(null);
+    setCustomer(EMPTY_CUSTOMER);
+    clearAutosave();
+  };
+
+  // Check whether the current step is complete
+  const isStepComplete = (step) => {
+    switch (step) {
+      case 0:
+        return Boolean(selectedFenceType);
+      case 2:
+        return areFenceRunsValid(fenceSections);
+      default:
+        return true;
+    }
   };
 
   // Render step content based on active step
@@ -111,28 +307,108 @@ const FenceCalculator = () => {
                 ))}
               </Select>
             </FormControl>
+
+            {selectedFenceType && (
+              <ProductBrowser
+                products={products}
+                fenceTypeId={selectedFenceType}
+                onSelect={handleProductSelect}
+              />
+            )}
           </Box>
         );
       case 1:
         return (
           <Box sx={{ mt: 4 }}>
             <Typography variant="h6" gutterBottom>
-              Configure Fence Sections
+              Draw Your Fence
             </Typography>
             <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-              This feature will be implemented soon. For now, you can proceed to the next step.
+              Click around your yard to draw the fence line, then place gates. You can skip this
+              step and enter runs by hand instead; redrawing replaces run lengths, corners and gates.
             </Typography>
+            <FenceLayoutCanvas
+              layout={layout}
+              onChange={handleLayoutChange}
+              panelWidth={takeoff.panelWidth}
+              gateWidthOptions={gateWidthOptions}
+              gateStyleOptions={gateStyleOptions}
+            />
           </Box>
         );
       case 2:
         return (
           <Box sx={{ mt: 4 }}>
             <Typography variant="h6" gutterBottom>
-              Quote Summary
+              Configure Fence Sections
             </Typography>
             <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-              Quote details will be shown here. This feature is coming soon.
+              Add each straight run of fence in order. Runs that meet at a corner share a corner post.
             </Typography>
+            <FenceSectionsEditor
+              runs={fenceSections}
+              onRunsChange={setFenceSections}
+              fenceOptions={fenceOptions}
+              onFenceOptionsChange={setFenceOptions}
+              heightOptions={heightOptions}
+              styleOptions={styleOptions}
+              panelWidthOptions={panelWidthOptions}
+              gateWidthOptions={gateWidthOptions}
+              gateStyleOptions={gateStyleOptions}
+            />
+            <TakeoffSummary takeoff={takeoff} runs={fenceSections} />
+          </Box>
+        );
+      case REVIEW_STEP:
+        return (
+          <Box sx={{ mt: 4 }}>
+            {quoteDetails && (
+              <QuotePrintHeader quote={quoteDetails} customer={customer} fenceType={selectedFenceTypeInfo} />
+            )}
+            <Typography variant="h6" gutterBottom>
+              Quote Summary
+            </Typography>
+            {comparisonChanges && (
+              <FittedChangesAlert {...comparisonChanges} onClose={() => setComparisonChanges(null)} />
+            )}
+            <InstallationOptions options={installationOptions} onChange={setInstallationOptions} />
+            {loading ? (
+              <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
+                <CircularProgress />
+              </Box>
+            ) : (
+              <QuoteSummary quote={quoteDetails} />
+            )}
+            {/* Stays mounted while a selected fence type loads, so the compared prices are kept */}
+            {quoteDetails && (
+              <FenceComparison
+                fenceTypes={fenceTypes}
+                currentFenceTypeId={selectedFenceType}
+                fenceOptions={fenceOptions}
+                runs={fenceSections}
+                installationOptions={installationOptions}
+                busy={loading}
+                onSelect={handleComparisonSelect}
+              />
+            )}
+            {quoteDetails && !loading && (
+              <>
+                <QuoteDocumentActions
+                  quote={quoteDetails}
+                  customer={customer}
+                  fenceType={selectedFenceTypeInfo}
+                  fenceOptions={fenceOptions}
+                  runs={fenceSections}
+                  drawing={layout}
+                />
+                <OrderSubmission
+                  quote={quoteDetails}
+                  layout={{ fenceType: selectedFenceTypeInfo, fenceOptions, runs: fenceSections }}
+                  customer={customer}
+                  onCustomerChange={setCustomer}
+                />
+              </>
+            )}
           </Box>
         );
       default:
@@ -143,17 +419,35 @@ const FenceCalculator = () => {
   return (
     <Container maxWidth="md" sx={{ mt: 4, mb: 8 }}>
       <Paper sx={{ p: 4 }}>
-        <Typography variant="h4" align="center" gutterBottom>
+        <Typography className="no-print" variant="h4" align="center" gutterBottom>
           Fence Calculator
         </Typography>
         
         {error && (
-          <Alert severity="error" sx={{ mt: 2, mb: 2 }}>
+          <Alert className="no-print" severity="error" sx={{ mt: 2, mb: 2 }}>
             {error}
           </Alert>
         )}
 
-        <Stepper activeStep={activeStep} sx={{ mt: 4, mb: 4 }}>
+        {usingMockData && (
+          <Alert className="no-print" severity="error" variant="filled" sx={{ mt: 2, mb: 2 }}>
+            The store could not be reached, so the calculator is showing sample products with made-up prices.
+            Quotes are for testing only and orders cannot be submitted.
+          </Alert>
+        )}
+
+        {catalog && (catalog.fromSnapshot || !online) && (
+          <Alert className="no-print" severity="warning" sx={{ mt: 2, mb: 2 }}>
+            {online ? 'The store could not be reached' : 'Offline'} — prices as of {formatDate(catalog.fetchedAt)}.
+            Prices are confirmed when the order is submitted.
+          </Alert>
+        )}
+
+        <Box className="no-print">
+          <QuoteDraftsBar state={quoteState} onLoad={handleDraftLoad} />
+        </Box>
+
+        <Stepper className="no-print" activeStep={activeStep} sx={{ mt: 4, mb: 4 }}>
           {steps.map((label) => (
             <Step key={label}>
               <StepLabel>{label}</StepLabel>
@@ -161,7 +455,8 @@ const FenceCalculator = () => {
           ))}
         </Stepper>
 
-        {loading ? (
+        {/* The review step shows its own loading, so the comparison on it is not lost */}
+        {loading && activeStep !== REVIEW_STEP ? (
           <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
             <CircularProgress />
           </Box>
@@ -169,7 +464,7 @@ const FenceCalculator = () => {
           <>
             {getStepContent(activeStep)}
             
-            <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 4 }}>
+            <Box className="no-print" sx={{ display: 'flex', justifyContent: 'space-between', mt: 4 }}>
               <Button
                 disabled={activeStep === 0}
                 onClick={handleBack}
@@ -181,7 +476,7 @@ const FenceCalculator = () => {
                 variant="contained"
                 color="primary"
                 onClick={activeStep === steps.length - 1 ? handleReset : handleNext}
-                disabled={activeStep === 0 && !selectedFenceType}
+                disabled={!isStepComplete(activeStep)}
               >
                 {activeStep === steps.length - 1 ? 'Start Over' : 'Next'}
               </Button>
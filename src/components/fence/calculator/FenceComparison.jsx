@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  Button,
+  FormControlLabel,
+  Switch,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { compareFenceTypes } from '../../../services/comparison.api';
+import { findCheapestOption } from '../../../utils/fenceComparison';
+import { formatCurrency } from '../../../utils/formatters';
+import { useUnits } from '../../../context/UnitsContext';
+import useWooQuery from '../../../hooks/useWooQuery';
+
+// Side-by-side quotes for the same runs and gates in other fence types and styles.
+// The runs and options are kept from when Compare was pressed, so choosing a result
+// (which fits the runs to that fence type) does not throw the other results away.
+// busy is true while the calculator loads a chosen fence type.
+const FenceComparison = ({ fenceTypes, currentFenceTypeId, fenceOptions, runs, installationOptions, busy = false, onSelect }) => {
+  const [excludedIds, setExcludedIds] = useState([]);
+  const [allStyles, setAllStyles] = useState(false);
+  const [compared, setCompared] = useState(null);
+  const { unit, toDisplay, formatDimension } = useUnits();
+
+  const comparedTypes = fenceTypes.filter(type => !excludedIds.includes(type.id));
+
+  const comparisonQuery = useWooQuery(({ client, signal }) => (
+    compareFenceTypes(comparedTypes, { ...compared, installationOptions }, { allStyles, client, signal })
+  ), [comparedTypes.map(type => type.id), allStyles, compared, installationOptions], {
+    enabled: Boolean(compared) && comparedTypes.length > 0,
+  });
+  const results = comparisonQuery.data || [];
+  const cheapestKey = findCheapestOption(results);
+
+  // Whether the runs or options changed since they were compared
+  const outdated = Boolean(compared) && JSON.stringify(compared) !== JSON.stringify({ runs, fenceOptions });
+
+  // Handle comparing the current runs and options
+  const handleCompare = () => {
+    setCompared({ runs, fenceOptions });
+  };
+
+  // Handle including or leaving out a fence type
+  const handleTypeToggle = (id) => {
+    setExcludedIds(current => (current.includes(id) ? current.filter(item => item !== id) : [...current, id]));
+  };
+
+  // Check whether a result is the quote being shown
+  const isCurrent = (result) => (
+    result.fenceType.id === currentFenceTypeId && result.fenceOptions?.style === (fenceOptions.style || '')
+  );
+
+  // Notes that make a result less reliable than its total suggests
+  const getNotes = (result) => [
+    result.quote.missing.length > 0 && `No product for ${result.quote.missing.join(', ')}`,
+    result.quote.mockPriced.length > 0 && 'Sample prices',
+    result.quote.availabilityWarnings.length > 0 && `${result.quote.availabilityWarnings.length} not in stock`,
+    result.adjustedGates > 0 && `${result.adjustedGates} ${result.adjustedGates === 1 ? 'gate' : 'gates'} resized or restyled`,
+    result.unmatchedGates > 0 && `No gate for ${result.unmatchedGates} ${result.unmatchedGates === 1 ? 'gate' : 'gates'}`,
+  ].filter(Boolean);
+
+  return (
+    <Box className="no-print" sx={{ mt: 4 }}>
+      <Typography variant="h6" gutterBottom>
+        Compare Fence Types
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Price the same runs and gates in other materials. Heights a fence type does not offer
+        are moved to the closest one.
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mb: 2 }}>
+        {fenceTypes.map(type => {
+          const included = !excludedIds.includes(type.id);
+          return (
+            <Chip
+              key={type.id}
+              label={type.name}
+              color={included ? 'primary' : 'default'}
+              variant={included ? 'filled' : 'outlined'}
+              onClick={() => handleTypeToggle(type.id)}
+            />
+          );
+        })}
+        <FormControlLabel
+          sx={{ ml: 1 }}
+          control={<Switch checked={allStyles} onChange={(event) => setAllStyles(event.target.checked)} />}
+          label="Every style"
+        />
+        {(!compared || outdated) && (
+          <Button variant="outlined" onClick={handleCompare} disabled={comparedTypes.length === 0 || busy}>
+            {compared ? 'Compare Current Runs' : 'Compare'}
+          </Button>
+        )}
+      </Box>
+
+      {busy && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+          <CircularProgress size={20} />
+          <Typography variant="body2" color="text.secondary">
+            Loading the chosen fence type…
+          </Typography>
+        </Box>
+      )}
+
+      {comparisonQuery.loading && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
+          <CircularProgress size={28} />
+        </Box>
+      )}
+
+      {comparisonQuery.error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          Failed to compare fence types. Please try again later.
+        </Alert>
+      )}
+
+      {results.length > 0 && (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Option</TableCell>
+                <TableCell align="right">Total</TableCell>
+                <TableCell align="right">Per {unit}</TableCell>
+                <TableCell align="right">Sections</TableCell>
+                <TableCell align="right">Posts</TableCell>
+                <TableCell align="right">Gates</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {results.map(result => {
+                if (result.error) {
+                  return (
+                    <TableRow key={result.key}>
+                      <TableCell>{result.fenceType.name}</TableCell>
+                      <TableCell colSpan={6}>
+                        <Typography variant="body2" color="error">Could not be priced</Typography>
+                      </TableCell>
+                    </TableRow>
+                  );
+                }
+
+                const { summary } = result;
+                const cheapest = result.key === cheapestKey;
+                const notes = getNotes(result);
+
+                return (
+                  <TableRow key={result.key} sx={cheapest ? { bgcolor: 'action.selected' } : undefined}>
+                    <TableCell>
+                      <Typography variant="body2">
+                        {result.fenceType.name}
+                        {cheapest && <Chip size="small" color="success" label="Cheapest" sx={{ ml: 1 }} />}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                        {[result.fenceOptions.style || 'Any style', result.fenceOptions.height && formatDimension(result.fenceOptions.height)]
+                          .filter(Boolean)
+                          .join(' · ')}
+                      </Typography>
+                      {notes.length > 0 && (
+                        <Typography variant="caption" color="warning.main" sx={{ display: 'block' }}>
+                          {notes.join(' · ')}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">{formatCurrency(summary.total)}</TableCell>
+                    <TableCell align="right">
+                      {summary.costPerFoot === null ? '—' : formatCurrency(summary.costPerFoot / toDisplay(1))}
+                    </TableCell>
+                    <TableCell align="right">{summary.counts.sections} {summary.counts.sectionLabel.toLowerCase()}</TableCell>
+                    <TableCell align="right">{summary.counts.posts}</TableCell>
+                    <TableCell align="right">{summary.counts.gates}</TableCell>
+                    <TableCell align="right">
+                      {isCurrent(result) ? (
+                        <Typography variant="caption" color="text.secondary">Current</Typography>
+                      ) : (
+                        <Button size="small" onClick={() => onSelect(result)} disabled={busy}>
+                          Use This
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default FenceComparison;
@@ -0,0 +1,143 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  FormControl,
+  FormHelperText,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  Button,
+  Tooltip
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { GATE_TYPE_OPTIONS, createGate } from '../../../utils/fenceRuns';
+import { useUnits } from '../../../context/UnitsContext';
+import LengthField from '../../shared/LengthField';
+
+// Editor for the gates placed in a fence run
+const FenceGateList = ({
+  gates = [],
+  errors = {},
+  gateWidthOptions = [],
+  gateStyleOptions = [],
+  onChange
+}) => {
+  const { formatDimension } = useUnits();
+
+  // Update a single field of a gate
+  const updateGate = (gateId, changes) => {
+    onChange(gates.map(gate => (gate.id === gateId ? { ...gate, ...changes } : gate)));
+  };
+
+  // Handle a change to a select field of a gate
+  const handleGateChange = (gateId, field) => (event) => {
+    updateGate(gateId, { [field]: event.target.value });
+  };
+
+  // Handle adding a gate
+  const handleGateAdd = () => {
+    onChange([...gates, createGate({ width: gateWidthOptions[0] || '' })]);
+  };
+
+  // Handle removing a gate
+  const handleGateRemove = (gateId) => {
+    onChange(gates.filter(gate => gate.id !== gateId));
+  };
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      {gates.map((gate, index) => (
+        <Box key={gate.id} sx={{ mb: 2 }}>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Gate {index + 1}
+          </Typography>
+          <Grid container spacing={2} alignItems="flex-start">
+            <Grid item xs={12} sm={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel id={`${gate.id}-type-label`}>Type</InputLabel>
+                <Select
+                  labelId={`${gate.id}-type-label`}
+                  value={gate.type}
+                  label="Type"
+                  onChange={handleGateChange(gate.id, 'type')}
+                >
+                  {GATE_TYPE_OPTIONS.map((option) => (
+                    <MenuItem key={option.value} value={option.value}>
+                      {option.label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={3}>
+              <FormControl fullWidth size="small" error={Boolean(errors[gate.id]) && !gate.width}>
+                <InputLabel id={`${gate.id}-width-label`}>Leaf Width</InputLabel>
+                <Select
+                  labelId={`${gate.id}-width-label`}
+                  value={gate.width}
+                  label="Leaf Width"
+                  onChange={handleGateChange(gate.id, 'width')}
+                >
+                  {gateWidthOptions.map((width) => (
+                    <MenuItem key={width} value={width}>
+                      {formatDimension(width)}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel id={`${gate.id}-style-label`}>Style</InputLabel>
+                <Select
+                  labelId={`${gate.id}-style-label`}
+                  value={gate.style}
+                  label="Style"
+                  onChange={handleGateChange(gate.id, 'style')}
+                >
+                  <MenuItem value="">
+                    <em>Match fence</em>
+                  </MenuItem>
+                  {gateStyleOptions.map((style) => (
+                    <MenuItem key={style} value={style}>
+                      {style}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={10} sm={2}>
+              <LengthField
+                fullWidth
+                size="small"
+                label="Position"
+                value={gate.position}
+                onChange={(position) => updateGate(gate.id, { position })}
+              />
+            </Grid>
+            <Grid item xs={2} sm={1}>
+              <Tooltip title="Remove gate">
+                <IconButton size="small" onClick={() => handleGateRemove(gate.id)}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            </Grid>
+          </Grid>
+          {errors[gate.id] && (
+            <FormHelperText error>{errors[gate.id]}</FormHelperText>
+          )}
+        </Box>
+      ))}
+
+      <Button size="small" startIcon={<AddIcon />} onClick={handleGateAdd}>
+        Add Gate
+      </Button>
+    </Box>
+  );
+};
+
+export default FenceGateList;
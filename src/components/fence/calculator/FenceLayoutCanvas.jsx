@@ -0,0 +1,319 @@
+import React, { useRef, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  ToggleButton,
+  ToggleButtonGroup,
+  Grid
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import UndoIcon from '@mui/icons-material/Undo';
+import ClearIcon from '@mui/icons-material/Clear';
+import { createGate, getGateOpening, validateFenceRun } from '../../../utils/fenceRuns';
+import { getRunPostPositions } from '../../../utils/fenceTakeoff';
+import {
+  getSegments,
+  getDistance,
+  getPointAlong,
+  snapPoint,
+  projectOntoSegment,
+  setSegmentLength,
+  layoutToRuns,
+  createLayout,
+  SNAP_LENGTH
+} from '../../../utils/layoutGeometry';
+import { useUnits } from '../../../context/UnitsContext';
+import LengthField from '../../shared/LengthField';
+import FenceGateList from './FenceGateList';
+
+// Smallest drawing area, in feet
+const VIEW_WIDTH = 120;
+const VIEW_HEIGHT = 80;
+
+// Spacing of the background grid, in feet
+const GRID_SPACING = 10;
+
+// How close (in feet) a click must be to close the shape or hit a segment
+const PICK_DISTANCE = 2;
+
+// Drawing modes
+const MODES = {
+  DRAW: 'draw',
+  GATE: 'gate'
+};
+
+/**
+ * Round a value to the snap length
+ * @param {number} value - Value in feet
+ * @returns {number} Rounded value
+ */
+const snapLength = (value) => Math.round(value / SNAP_LENGTH) * SNAP_LENGTH;
+
+// Top-down drawing of the fence layout
+const FenceLayoutCanvas = ({
+  layout,
+  onChange,
+  panelWidth,
+  gateWidthOptions = [],
+  gateStyleOptions = []
+}) => {
+  const theme = useTheme();
+  const { formatLength } = useUnits();
+  const svgRef = useRef(null);
+  const [mode, setMode] = useState(MODES.DRAW);
+  const [cursor, setCursor] = useState(null);
+
+  const segments = getSegments(layout);
+  const runs = layoutToRuns(layout);
+  const lastPoint = layout.points[layout.points.length - 1];
+
+  // Grow the drawing area to fit the layout
+  const viewWidth = Math.max(VIEW_WIDTH, ...layout.points.map(point => point.x + GRID_SPACING));
+  const viewHeight = Math.max(VIEW_HEIGHT, ...layout.points.map(point => point.y + GRID_SPACING));
+
+  // Colors for each kind of post
+  const postColors = {
+    line: theme.palette.text.secondary,
+    corner: theme.palette.accent.main,
+    end: theme.palette.accent.main,
+    gate: theme.palette.secondary.light
+  };
+
+  // Convert a mouse event to a point in feet
+  const toLayoutPoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return { x, y };
+  };
+
+  // Add a point, snapping the new segment to 45/90 degrees
+  const handleDrawClick = (point) => {
+    if (layout.closed) return;
+
+    if (!lastPoint) {
+      onChange({ ...layout, points: [{ x: snapLength(point.x), y: snapLength(point.y) }] });
+      return;
+    }
+
+    // Clicking near the first point closes the shape
+    if (layout.points.length >= 3 && getDistance(point, layout.points[0]) <= PICK_DISTANCE) {
+      onChange({ ...layout, closed: true });
+      return;
+    }
+
+    const snapped = snapPoint(lastPoint, point);
+    if (getDistance(lastPoint, snapped) > 0) {
+      onChange({ ...layout, points: [...layout.points, snapped] });
+    }
+  };
+
+  // Place a gate on the nearest segment
+  const handleGateClick = (point) => {
+    const nearest = segments
+      .map(segment => ({ segment, ...projectOntoSegment(segment, point) }))
+      .filter(({ offset }) => offset <= PICK_DISTANCE)
+      .sort((a, b) => a.offset - b.offset)[0];
+
+    if (!nearest) return;
+
+    const gate = createGate({ segment: nearest.segment.index, width: gateWidthOptions[0] || '' });
+    const maxPosition = Math.max(nearest.segment.length - getGateOpening(gate), 0);
+    gate.position = Math.min(snapLength(nearest.distance), maxPosition);
+
+    onChange({ ...layout, gates: [...layout.gates, gate] });
+  };
+
+  // Handle a click on the drawing
+  const handleClick = (event) => {
+    const point = toLayoutPoint(event);
+
+    if (mode === MODES.GATE) {
+      handleGateClick(point);
+    } else {
+      handleDrawClick(point);
+    }
+  };
+
+  // Remove the last point (or reopen a closed shape)
+  const handleUndo = () => {
+    if (layout.closed) {
+      onChange({
+        ...layout,
+        closed: false,
+        gates: layout.gates.filter(gate => gate.segment < layout.points.length - 1)
+      });
+      return;
+    }
+
+    const points = layout.points.slice(0, -1);
+    onChange({
+      ...layout,
+      points,
+      gates: layout.gates.filter(gate => gate.segment < points.length - 1)
+    });
+  };
+
+  // Handle editing a segment length
+  const handleLengthChange = (index) => (length) => {
+    if (length > 0) {
+      onChange(setSegmentLength(layout, index, length));
+    }
+  };
+
+  // Handle editing the gates of a segment
+  const handleGatesChange = (segmentIndex) => (gates) => {
+    onChange({
+      ...layout,
+      gates: [
+        ...layout.gates.filter(gate => gate.segment !== segmentIndex),
+        ...gates.map(gate => ({ ...gate, segment: segmentIndex }))
+      ]
+    });
+  };
+
+  // Preview of the next segment while drawing
+  const preview = mode === MODES.DRAW && !layout.closed && lastPoint && cursor
+    ? snapPoint(lastPoint, cursor)
+    : null;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={mode}
+          onChange={(event, value) => value && setMode(value)}
+        >
+          <ToggleButton value={MODES.DRAW}>Draw Fence</ToggleButton>
+          <ToggleButton value={MODES.GATE} disabled={segments.length === 0}>Place Gate</ToggleButton>
+        </ToggleButtonGroup>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button size="small" startIcon={<UndoIcon />} onClick={handleUndo} disabled={layout.points.length === 0}>
+          Undo
+        </Button>
+        <Button size="small" startIcon={<ClearIcon />} onClick={() => onChange(createLayout())} disabled={layout.points.length === 0}>
+          Clear
+        </Button>
+      </Box>
+
+      <Paper variant="outlined" sx={{ overflow: 'hidden' }}>
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${viewWidth} ${viewHeight}`}
+          width="100%"
+          style={{ display: 'block', cursor: 'crosshair', touchAction: 'none' }}
+          onClick={handleClick}
+          onMouseMove={(event) => setCursor(toLayoutPoint(event))}
+          onMouseLeave={() => setCursor(null)}
+        >
+          {/* Background grid */}
+          {Array.from({ length: Math.floor(viewWidth / GRID_SPACING) + 1 }, (_, i) => (
+            <line key={`v${i}`} x1={i * GRID_SPACING} y1={0} x2={i * GRID_SPACING} y2={viewHeight}
+              stroke={theme.palette.divider} strokeWidth={0.15} />
+          ))}
+          {Array.from({ length: Math.floor(viewHeight / GRID_SPACING) + 1 }, (_, i) => (
+            <line key={`h${i}`} x1={0} y1={i * GRID_SPACING} x2={viewWidth} y2={i * GRID_SPACING}
+              stroke={theme.palette.divider} strokeWidth={0.15} />
+          ))}
+
+          {/* Fence segments with their lengths */}
+          {segments.map(segment => {
+            const middle = getPointAlong(segment, segment.length / 2);
+            return (
+              <g key={`s${segment.index}`}>
+                <line x1={segment.start.x} y1={segment.start.y} x2={segment.end.x} y2={segment.end.y}
+                  stroke={theme.palette.primary.light} strokeWidth={0.6} strokeLinecap="round" />
+                <text x={middle.x} y={middle.y - 1.2} fontSize={2.2} textAnchor="middle" fill={theme.palette.text.primary}>
+                  {formatLength(segment.length)}
+                </text>
+              </g>
+            );
+          })}
+
+          {/* Gate openings */}
+          {layout.gates.map(gate => {
+            const segment = segments[gate.segment];
+            if (!segment) return null;
+            const position = Number(gate.position) || 0;
+            const start = getPointAlong(segment, position);
+            const end = getPointAlong(segment, Math.min(position + getGateOpening(gate), segment.length));
+            return (
+              <line key={gate.id} x1={start.x} y1={start.y} x2={end.x} y2={end.y}
+                stroke={theme.palette.secondary.main} strokeWidth={1.4} />
+            );
+          })}
+
+          {/* Posts */}
+          {segments.map((segment, index) => getRunPostPositions(runs[index], { panelWidth }).map(post => {
+            const point = getPointAlong(segment, post.distance);
+            return (
+              <circle key={`p${segment.index}-${post.distance}`} cx={point.x} cy={point.y}
+                r={post.type === 'line' ? 0.45 : 0.7} fill={postColors[post.type]} />
+            );
+          }))}
+
+          {/* Preview of the next segment */}
+          {preview && (
+            <g>
+              <line x1={lastPoint.x} y1={lastPoint.y} x2={preview.x} y2={preview.y}
+                stroke={theme.palette.primary.light} strokeWidth={0.4} strokeDasharray="1 1" />
+              <text x={preview.x + 1} y={preview.y - 1} fontSize={2.2} fill={theme.palette.text.secondary}>
+                {formatLength(getDistance(lastPoint, preview))}
+              </text>
+            </g>
+          )}
+
+          {/* First point; click it again to close the shape */}
+          {layout.points.length > 0 && !layout.closed && (
+            <circle cx={layout.points[0].x} cy={layout.points[0].y} r={PICK_DISTANCE / 2}
+              fill="none" stroke={theme.palette.accent.main} strokeWidth={0.3} />
+          )}
+        </svg>
+      </Paper>
+
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+        {mode === MODES.GATE
+          ? 'Click a fence segment to place a gate.'
+          : 'Click to add corners. Segments snap to 45° and 90° angles; click the first corner to close the yard.'}
+        {' '}Grid squares are {formatLength(GRID_SPACING)}.
+      </Typography>
+
+      {segments.map((segment, index) => (
+        <Paper key={segment.index} variant="outlined" sx={{ p: 2, mt: 2 }}>
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={6} sm={4}>
+              <Typography variant="subtitle2">Run {index + 1}</Typography>
+            </Grid>
+            <Grid item xs={6} sm={4}>
+              <LengthField
+                fullWidth
+                size="small"
+                label="Length"
+                value={segment.length}
+                onChange={handleLengthChange(segment.index)}
+                disabled={layout.closed && segment.index === layout.points.length - 1}
+                min={SNAP_LENGTH}
+                step={SNAP_LENGTH}
+              />
+            </Grid>
+          </Grid>
+          <FenceGateList
+            gates={layout.gates.filter(gate => gate.segment === segment.index)}
+            errors={validateFenceRun(runs[index], formatLength).gates}
+            gateWidthOptions={gateWidthOptions}
+            gateStyleOptions={gateStyleOptions}
+            onChange={handleGatesChange(segment.index)}
+          />
+        </Paper>
+      ))}
+    </Box>
+  );
+};
+
+export default FenceLayoutCanvas;
@@ -0,0 +1,254 @@
+import React from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Grid,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  END_CONDITION_OPTIONS,
+  GRADE_TYPES,
+  GRADE_TYPE_OPTIONS,
+  SLOPE_METHOD_OPTIONS,
+  getRunGrade,
+  validateFenceRun
+} from '../../../utils/fenceRuns';
+import { useUnits } from '../../../context/UnitsContext';
+import LengthField from '../../shared/LengthField';
+import FenceGateList from './FenceGateList';
+
+// Editor for a single fence run
+const FenceRunItem = ({
+  run,
+  index,
+  count,
+  heightOptions = [],
+  styleOptions = [],
+  gateWidthOptions = [],
+  gateStyleOptions = [],
+  onChange,
+  onMove,
+  onRemove
+}) => {
+  const { formatDimension, formatLength } = useUnits();
+  const errors = validateFenceRun(run, formatLength);
+
+  // Update a single field of the run
+  const handleFieldChange = (field) => (event) => {
+    onChange(run.id, { [field]: event.target.value });
+  };
+
+  // Keep the slope numeric, but allow the field to be cleared while typing
+  const handleSlopeChange = (event) => {
+    const { value } = event.target;
+    onChange(run.id, { grade: value === '' ? '' : Number(value) });
+  };
+
+  const grade = getRunGrade(run);
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+          Run {index + 1}{run.name ? ` — ${run.name}` : ''}
+        </Typography>
+        <Tooltip title="Move up">
+          <span>
+            <IconButton size="small" onClick={() => onMove(index, -1)} disabled={index === 0}>
+              <ArrowUpwardIcon fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Tooltip title="Move down">
+          <span>
+            <IconButton size="small" onClick={() => onMove(index, 1)} disabled={index === count - 1}>
+              <ArrowDownwardIcon fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Tooltip title="Remove run">
+          <IconButton size="small" onClick={() => onRemove(run.id)}>
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={6}>
+          <TextField
+            fullWidth
+            label="Name (optional)"
+            placeholder="e.g. Back yard left"
+            value={run.name}
+            onChange={handleFieldChange('name')}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <LengthField
+            fullWidth
+            required
+            label="Length"
+            value={run.length}
+            onChange={(length) => onChange(run.id, { length })}
+            error={Boolean(errors.length) && run.length !== ''}
+            helperText={run.length !== '' ? errors.length : ' '}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <FormControl fullWidth>
+            <InputLabel id={`${run.id}-height-label`}>Height</InputLabel>
+            <Select
+              labelId={`${run.id}-height-label`}
+              value={run.height}
+              label="Height"
+              onChange={handleFieldChange('height')}
+            >
+              <MenuItem value="">
+                <em>Use default</em>
+              </MenuItem>
+              {heightOptions.map((height) => (
+                <MenuItem key={height} value={height}>
+                  {formatDimension(height)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <FormControl fullWidth>
+            <InputLabel id={`${run.id}-style-label`}>Style</InputLabel>
+            <Select
+              labelId={`${run.id}-style-label`}
+              value={run.style}
+              label="Style"
+              onChange={handleFieldChange('style')}
+            >
+              <MenuItem value="">
+                <em>Use default</em>
+              </MenuItem>
+              {styleOptions.map((style) => (
+                <MenuItem key={style} value={style}>
+                  {style}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <FormControl fullWidth>
+            <InputLabel id={`${run.id}-start-label`}>Start</InputLabel>
+            <Select
+              labelId={`${run.id}-start-label`}
+              value={run.startCondition}
+              label="Start"
+              onChange={handleFieldChange('startCondition')}
+            >
+              {END_CONDITION_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <FormControl fullWidth>
+            <InputLabel id={`${run.id}-end-label`}>End</InputLabel>
+            <Select
+              labelId={`${run.id}-end-label`}
+              value={run.endCondition}
+              label="End"
+              onChange={handleFieldChange('endCondition')}
+            >
+              {END_CONDITION_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <FormControl fullWidth>
+            <InputLabel id={`${run.id}-grade-type-label`}>Grade</InputLabel>
+            <Select
+              labelId={`${run.id}-grade-type-label`}
+              value={run.gradeType}
+              label="Grade"
+              onChange={handleFieldChange('gradeType')}
+            >
+              {GRADE_TYPE_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          {run.gradeType === GRADE_TYPES.RISE ? (
+            <LengthField
+              fullWidth
+              label="Rise over the run"
+              placeholder="Flat"
+              value={run.grade}
+              onChange={(grade) => onChange(run.id, { grade })}
+              error={Boolean(errors.grade)}
+              helperText={errors.grade || (grade > 0 ? `${Math.round(grade * 1000) / 10}% slope` : ' ')}
+              step={0.25}
+            />
+          ) : (
+            <TextField
+              fullWidth
+              type="number"
+              label="Slope (%)"
+              placeholder="Flat"
+              value={run.grade}
+              onChange={handleSlopeChange}
+              error={Boolean(errors.grade)}
+              helperText={errors.grade || ' '}
+              inputProps={{ min: 0, step: 1 }}
+            />
+          )}
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <FormControl fullWidth disabled={grade <= 0}>
+            <InputLabel id={`${run.id}-slope-method-label`}>On a Slope</InputLabel>
+            <Select
+              labelId={`${run.id}-slope-method-label`}
+              value={run.slopeMethod}
+              label="On a Slope"
+              onChange={handleFieldChange('slopeMethod')}
+            >
+              {SLOPE_METHOD_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+      </Grid>
+
+      <FenceGateList
+        gates={run.gates}
+        errors={errors.gates}
+        gateWidthOptions={gateWidthOptions}
+        gateStyleOptions={gateStyleOptions}
+        onChange={(gates) => onChange(run.id, { gates })}
+      />
+    </Paper>
+  );
+};
+
+export default FenceRunItem;
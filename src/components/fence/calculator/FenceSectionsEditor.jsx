@@ -0,0 +1,150 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Button
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import FenceRunItem from './FenceRunItem';
+import { useUnits } from '../../../context/UnitsContext';
+import {
+  addFenceRun,
+  moveFenceRun,
+  getTotalLength
+} from '../../../utils/fenceRuns';
+
+// Editor for the list of fence runs and the fence-wide defaults
+const FenceSectionsEditor = ({
+  runs,
+  onRunsChange,
+  fenceOptions,
+  onFenceOptionsChange,
+  heightOptions = [],
+  styleOptions = [],
+  panelWidthOptions = [],
+  gateWidthOptions = [],
+  gateStyleOptions = []
+}) => {
+  const { formatLength, formatDimension } = useUnits();
+
+  // Handle a change to a single run
+  const handleRunChange = (runId, changes) => {
+    onRunsChange(runs.map(run => (run.id === runId ? { ...run, ...changes } : run)));
+  };
+
+  // Handle reordering a run
+  const handleRunMove = (index, offset) => {
+    onRunsChange(moveFenceRun(runs, index, offset));
+  };
+
+  // Handle removing a run
+  const handleRunRemove = (runId) => {
+    onRunsChange(runs.filter(run => run.id !== runId));
+  };
+
+  // Handle adding a run
+  const handleRunAdd = () => {
+    onRunsChange(addFenceRun(runs));
+  };
+
+  // Handle a change to a fence-wide default
+  const handleOptionChange = (field) => (event) => {
+    onFenceOptionsChange({ ...fenceOptions, [field]: event.target.value });
+  };
+
+  return (
+    <Box>
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={12} sm={4}>
+          <FormControl fullWidth>
+            <InputLabel id="panel-width-label">Panel Width</InputLabel>
+            <Select
+              labelId="panel-width-label"
+              value={fenceOptions.panelWidth}
+              label="Panel Width"
+              onChange={handleOptionChange('panelWidth')}
+            >
+              {panelWidthOptions.map((width) => (
+                <MenuItem key={width} value={width}>
+                  {formatDimension(width)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <FormControl fullWidth>
+            <InputLabel id="default-height-label">Default Height</InputLabel>
+            <Select
+              labelId="default-height-label"
+              value={fenceOptions.height}
+              label="Default Height"
+              onChange={handleOptionChange('height')}
+            >
+              {heightOptions.map((height) => (
+                <MenuItem key={height} value={height}>
+                  {formatDimension(height)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <FormControl fullWidth>
+            <InputLabel id="default-style-label">Default Style</InputLabel>
+            <Select
+              labelId="default-style-label"
+              value={fenceOptions.style}
+              label="Default Style"
+              onChange={handleOptionChange('style')}
+            >
+              {styleOptions.map((style) => (
+                <MenuItem key={style} value={style}>
+                  {style}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+      </Grid>
+
+      {runs.length === 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Add a run for each straight stretch of fence.
+        </Typography>
+      )}
+
+      {runs.map((run, index) => (
+        <FenceRunItem
+          key={run.id}
+          run={run}
+          index={index}
+          count={runs.length}
+          heightOptions={heightOptions}
+          styleOptions={styleOptions}
+          gateWidthOptions={gateWidthOptions}
+          gateStyleOptions={gateStyleOptions}
+          onChange={handleRunChange}
+          onMove={handleRunMove}
+          onRemove={handleRunRemove}
+        />
+      ))}
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Button variant="outlined" startIcon={<AddIcon />} onClick={handleRunAdd}>
+          Add Run
+        </Button>
+        <Typography variant="body2" color="text.secondary">
+          {runs.length} {runs.length === 1 ? 'run' : 'runs'} · {formatLength(getTotalLength(runs))} total
+        </Typography>
+      </Box>
+    </Box>
+  );
+};
+
+export default FenceSectionsEditor;
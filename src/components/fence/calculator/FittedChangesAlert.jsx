@@ -0,0 +1,38 @@
+import React from 'react';
+import { Alert, Typography } from '@mui/material';
+import { useUnits } from '../../../context/UnitsContext';
+
+// Names of the fitted fields as shown to the customer
+const FIELD_LABELS = {
+  height: 'height',
+  style: 'style',
+  panelWidth: 'panel width',
+  width: 'width',
+};
+
+// Values changed when a compared fence type was chosen, because it does not offer them
+const FittedChangesAlert = ({ fenceTypeName, changes, onClose }) => {
+  const { formatDimension } = useUnits();
+
+  // Show dimensions in the selected units and cleared values as "any"
+  const formatValue = (value) => (value ? formatDimension(value) : 'any');
+
+  return (
+    <Alert className="no-print" severity={changes.length > 0 ? 'warning' : 'success'} sx={{ mb: 2 }} onClose={onClose}>
+      {changes.length === 0 ? (
+        `Switched to ${fenceTypeName}. Every run and gate kept its values.`
+      ) : (
+        <>
+          Switched to {fenceTypeName}, which does not offer every value you chose. These were changed:
+          {changes.map(change => (
+            <Typography key={`${change.label}-${change.field}`} variant="body2">
+              {change.label} {FIELD_LABELS[change.field] || change.field}: {formatValue(change.from)} → {formatValue(change.to)}
+            </Typography>
+          ))}
+        </>
+      )}
+    </Alert>
+  );
+};
+
+export default FittedChangesAlert;
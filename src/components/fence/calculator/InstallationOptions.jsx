@@ -0,0 +1,86 @@
+import React from 'react';
+import {
+  Box,
+  Grid,
+  FormControlLabel,
+  Checkbox,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
+} from '@mui/material';
+import { TERRAIN_OPTIONS } from '../../../config/installation';
+import LengthField from '../../shared/LengthField';
+
+// Installation labor options for the quote
+const InstallationOptions = ({ options, onChange }) => {
+  // Handle a change to one option
+  const handleChange = (field, value) => {
+    onChange({ ...options, [field]: value });
+  };
+
+  return (
+    <Box className="no-print" sx={{ mb: 2 }}>
+      <Grid container spacing={2} alignItems="center">
+        <Grid item xs={12} sm={4}>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={options.include}
+                onChange={(event) => handleChange('include', event.target.checked)}
+              />
+            }
+            label="Include installation"
+          />
+        </Grid>
+        {options.include && (
+          <>
+            <Grid item xs={12} sm={4}>
+              <FormControl fullWidth size="small">
+                <InputLabel id="terrain-select-label">Terrain</InputLabel>
+                <Select
+                  labelId="terrain-select-label"
+                  value={options.terrain}
+                  label="Terrain"
+                  onChange={(event) => handleChange('terrain', event.target.value)}
+                >
+                  {TERRAIN_OPTIONS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>
+                      {option.label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={options.removeOldFence}
+                    onChange={(event) => handleChange('removeOldFence', event.target.checked)}
+                  />
+                }
+                label="Remove old fence"
+              />
+            </Grid>
+            {options.removeOldFence && (
+              <Grid item xs={12} sm={4}>
+                <LengthField
+                  fullWidth
+                  size="small"
+                  label="Old Fence Length"
+                  value={options.removalLength}
+                  onChange={(length) => handleChange('removalLength', length)}
+                  helperText="Leave empty to use the new fence length"
+                  step={1}
+                />
+              </Grid>
+            )}
+          </>
+        )}
+      </Grid>
+    </Box>
+  );
+};
+
+export default InstallationOptions;
@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  FormControlLabel,
+  Checkbox
+} from '@mui/material';
+import { createOrder, buildOrderPayload, ORDER_STATUSES } from '../../../services/orders.api';
+import { isNetworkError } from '../../../services/woocommerce.api';
+import { queueOrder } from '../../../services/orderQueue';
+import { useWooCommerce } from '../../../context/WooCommerceContext';
+
+// Customer contact form and order submission for a finished quote
+const OrderSubmission = ({ quote, layout, customer, onCustomerChange }) => {
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [order, setOrder] = useState(null);
+  const [queuedOrder, setQueuedOrder] = useState(null);
+  const [availabilityAccepted, setAvailabilityAccepted] = useState(false);
+  const client = useWooCommerce();
+
+  // Orders are never placed from sample prices
+  const hasMockPrices = quote.mockPriced?.length > 0;
+
+  // Orders with backordered or short items need the customer to accept the delay first
+  const availabilityWarnings = quote.availabilityWarnings || [];
+  const needsAvailabilityConsent = availabilityWarnings.length > 0 && !availabilityAccepted;
+
+  // Name plus a way to reach the customer
+  const isCustomerValid = Boolean(
+    customer.firstName.trim() &&
+    customer.lastName.trim() &&
+    (customer.email.trim() || customer.phone.trim())
+  );
+
+  // Handle a change to a customer field
+  const handleFieldChange = (field) => (event) => {
+    onCustomerChange({ ...customer, [field]: event.target.value });
+  };
+
+  // Handle submitting the order
+  const handleSubmit = async (status) => {
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const createdOrder = await createOrder(quote, customer, layout, status, client);
+      setOrder(createdOrder);
+    } catch (err) {
+      console.error('Error creating order:', err);
+
+      // The store cannot be reached; keep the order and submit it once back online.
+      // Only failed connections qualify: offline, isNetworkError is true for the quote's own validation errors too.
+      if (err.networkError && isNetworkError(err)) {
+        const label = `${customer.firstName} ${customer.lastName}`.trim();
+        setQueuedOrder({ ...queueOrder(buildOrderPayload(quote, customer, layout, status), label), status });
+        return;
+      }
+
+      setError(err.message || 'Failed to submit the order. Please try again later.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (queuedOrder) {
+    return (
+      <Alert className="no-print" severity="info" sx={{ mt: 4 }}>
+        {queuedOrder.status === ORDER_STATUSES.PENDING ? 'Quote saved' : 'Order saved'} on this device.
+        It will be submitted to the store automatically once you are back online.
+      </Alert>
+    );
+  }
+
+  if (order) {
+    return (
+      <Alert className="no-print" severity="success" sx={{ mt: 4 }}>
+        {order.status === ORDER_STATUSES.PENDING ? 'Quote saved as pending order' : 'Order placed'}
+        {' '}#{order.number || order.id}.
+      </Alert>
+    );
+  }
+
+  return (
+    <Box className="no-print" sx={{ mt: 4 }}>
+      <Typography variant="h6" gutterBottom>
+        Customer Details
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {hasMockPrices && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          This quote uses sample prices ({quote.mockPriced.join(', ')}), so it cannot be submitted.
+          Reload once the store can be reached.
+        </Alert>
+      )}
+
+      {availabilityWarnings.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Not everything in this quote can ship from stock:
+          <Box component="ul" sx={{ my: 1, pl: 2 }}>
+            {availabilityWarnings.map(warning => (
+              <li key={warning.key}>{warning.label}: {warning.message}</li>
+            ))}
+          </Box>
+          <FormControlLabel
+            control={
+              <Checkbox
+                size="small"
+                checked={availabilityAccepted}
+                onChange={(event) => setAvailabilityAccepted(event.target.checked)}
+              />
+            }
+            label="The customer accepts these delays"
+          />
+        </Alert>
+      )}
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={6}>
+          <TextField fullWidth required label="First Name" value={customer.firstName} onChange={handleFieldChange('firstName')} />
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <TextField fullWidth required label="Last Name" value={customer.lastName} onChange={handleFieldChange('lastName')} />
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <TextField fullWidth type="email" label="Email" value={customer.email} onChange={handleFieldChange('email')} />
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <TextField fullWidth type="tel" label="Phone" value={customer.phone} onChange={handleFieldChange('phone')} />
+        </Grid>
+        <Grid item xs={12}>
+          <TextField fullWidth label="Installation Address" value={customer.address} onChange={handleFieldChange('address')} />
+        </Grid>
+        <Grid item xs={12} sm={5}>
+          <TextField fullWidth label="City" value={customer.city} onChange={handleFieldChange('city')} />
+        </Grid>
+        <Grid item xs={6} sm={3}>
+          <TextField fullWidth label="State" value={customer.state} onChange={handleFieldChange('state')} />
+        </Grid>
+        <Grid item xs={6} sm={4}>
+          <TextField fullWidth label="ZIP Code" value={customer.postcode} onChange={handleFieldChange('postcode')} />
+        </Grid>
+        <Grid item xs={12}>
+          <TextField fullWidth multiline minRows={2} label="Notes" value={customer.notes} onChange={handleFieldChange('notes')} />
+        </Grid>
+      </Grid>
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 2, mt: 2 }}>
+        {submitting && <CircularProgress size={24} />}
+        <Button
+          variant="outlined"
+          disabled={!isCustomerValid || submitting || hasMockPrices}
+          onClick={() => handleSubmit(ORDER_STATUSES.PENDING)}
+        >
+          Save as Pending Order
+        </Button>
+        <Button
+          variant="contained"
+          color="secondary"
+          disabled={!isCustomerValid || submitting || hasMockPrices || needsAvailabilityConsent}
+          onClick={() => handleSubmit(ORDER_STATUSES.PLACED)}
+        >
+          Place Order
+        </Button>
+      </Box>
+      {!isCustomerValid && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', textAlign: 'right', mt: 1 }}>
+          Enter the customer's name and an email or phone number to submit.
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default OrderSubmission;
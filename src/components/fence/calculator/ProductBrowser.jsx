@@ -0,0 +1,340 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Chip,
+  Button,
+  List,
+  ListItemButton,
+  ListItemText,
+  Alert
+} from '@mui/material';
+import {
+  filterProducts,
+  getUniqueAttributeValues,
+  getAttributeOptions,
+  attributeOptionsMatch,
+  countFacetValues,
+  sortProducts,
+  hasCategory,
+  PRODUCT_SORT_OPTIONS
+} from '../../../utils/productFilters';
+import { formatCurrency } from '../../../utils/formatters';
+import { useUnits } from '../../../context/UnitsContext';
+
+// Attribute facets, by filter key (see filterProducts); several values of one facet can be picked
+const ATTRIBUTE_FACETS = [
+  { key: 'style', label: 'Style', attribute: 'Style' },
+  { key: 'height', label: 'Height', attribute: 'Height', dimension: true },
+  { key: 'width', label: 'Width', attribute: 'Width', dimension: true },
+  { key: 'material', label: 'Material', attribute: 'Material' },
+];
+
+// Search params the browser keeps its state in
+const FILTER_PARAMS = ['type', ...ATTRIBUTE_FACETS.map(facet => facet.key), 'q', 'minPrice', 'maxPrice', 'inStock', 'sort'];
+
+// Fence options a picked product sets, by product attribute
+const SELECTION_ATTRIBUTES = { style: 'Style', height: 'Height', panelWidth: 'Width' };
+
+/**
+ * Read the filters from the URL search params
+ * @param {URLSearchParams} searchParams - Search params
+ * @returns {Object} Filters for filterProducts
+ */
+const readFilters = (searchParams) => {
+  const filters = {};
+
+  if (searchParams.get('type')) filters.type = searchParams.get('type');
+  ATTRIBUTE_FACETS.forEach(({ key }) => {
+    const values = searchParams.getAll(key).filter(Boolean);
+    if (values.length > 0) filters[key] = values;
+  });
+  if (searchParams.get('q')) filters.search = searchParams.get('q');
+
+  const minPrice = parseFloat(searchParams.get('minPrice'));
+  const maxPrice = parseFloat(searchParams.get('maxPrice'));
+  if (!Number.isNaN(minPrice)) filters.minPrice = minPrice;
+  if (!Number.isNaN(maxPrice)) filters.maxPrice = maxPrice;
+  if (searchParams.get('inStock') === '1') filters.inStock = true;
+
+  return filters;
+};
+
+/**
+ * Work out the fence options a picked product stands for.
+ * A filtered value wins when the product offers several; otherwise a single option is used.
+ * @param {Object} product - Picked product
+ * @param {Object} filters - Active filters
+ * @returns {Object} Fence options ({ style, height, panelWidth })
+ */
+const getProductSelection = (product, filters) => {
+  const selection = {};
+
+  Object.entries(SELECTION_ATTRIBUTES).forEach(([optionKey, attributeName]) => {
+    // Only panels decide the panel width
+    if (optionKey === 'panelWidth' && !hasCategory(product, 'panel')) return;
+
+    const options = getAttributeOptions(product, attributeName);
+    const filtered = filters[attributeName.toLowerCase()] || [];
+    const match = options.find(option => filtered.some(value => attributeOptionsMatch(option, value)));
+
+    if (match) {
+      selection[optionKey] = match;
+    } else if (options.length === 1) {
+      selection[optionKey] = options[0];
+    }
+  });
+
+  return selection;
+};
+
+// Faceted product list for picking a panel style before configuring runs.
+// Filters live in the URL so a filtered view can be shared or bookmarked.
+const ProductBrowser = ({ products, fenceTypeId, onSelect }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [selectedId, setSelectedId] = useState(null);
+  const { formatDimension } = useUnits();
+
+  const filters = useMemo(() => readFilters(searchParams), [searchParams]);
+  const sortBy = searchParams.get('sort') || 'name';
+
+  // Handle changes to the filter params, replacing the history entry; arrays set repeated params
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      next.delete(key);
+      if (Array.isArray(value)) {
+        value.forEach(item => next.append(key, item));
+      } else if (value !== undefined && value !== null && value !== '') {
+        next.set(key, value);
+      }
+    });
+    setSearchParams(next, { replace: true });
+  };
+
+  // Handle clearing every filter
+  const handleClear = () => {
+    updateParams(Object.fromEntries(FILTER_PARAMS.filter(key => key !== 'sort').map(key => [key, null])));
+  };
+
+  // Filters of one fence type mean nothing for another, so switching types clears them
+  const previousFenceType = useRef(fenceTypeId);
+  useEffect(() => {
+    if (previousFenceType.current !== fenceTypeId) {
+      previousFenceType.current = fenceTypeId;
+      setSelectedId(null);
+      setSearchParams(current => {
+        const next = new URLSearchParams(current);
+        FILTER_PARAMS.forEach(key => next.delete(key));
+        return next;
+      }, { replace: true });
+    }
+  }, [fenceTypeId, setSearchParams]);
+
+  // Sub-categories of the fence type (panels, posts, gates, ...)
+  const categoryFacet = useMemo(() => {
+    const categories = new Map();
+    products.forEach(product => product.categories?.forEach(cat => {
+      if (cat.id !== fenceTypeId && cat.slug) categories.set(cat.slug, cat.name);
+    }));
+    return [...categories.entries()]
+      .map(([value, label]) => ({ value, label }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+  }, [products, fenceTypeId]);
+
+  // Facets with their values and live counts
+  const facets = useMemo(() => {
+    const withCounts = (key, values) => {
+      const counts = countFacetValues(products, filters, key, values.map(item => item.value));
+      return values.map(item => ({ ...item, count: counts[item.value] }));
+    };
+
+    return [
+      { key: 'type', label: 'Category', values: withCounts('type', categoryFacet) },
+      ...ATTRIBUTE_FACETS.map(facet => ({
+        key: facet.key,
+        label: facet.label,
+        values: withCounts(facet.key, getUniqueAttributeValues(products, facet.attribute, { numericSort: facet.dimension })
+          .map(value => ({ value, label: facet.dimension ? formatDimension(value) : value }))),
+      })),
+    ].filter(facet => facet.values.length > 0);
+  }, [products, filters, categoryFacet, formatDimension]);
+
+  const results = useMemo(
+    () => sortProducts(filterProducts(products, filters), sortBy),
+    [products, filters, sortBy]
+  );
+
+  // Check whether a facet value is picked
+  const isActive = (facetKey, value) => {
+    const active = filters[facetKey];
+    return Array.isArray(active) ? active.includes(value) : active === value;
+  };
+
+  // Handle toggling a facet value; the category facet takes one value, attribute facets several
+  const handleToggle = (facetKey, value) => {
+    if (facetKey === 'type') {
+      updateParams({ type: isActive('type', value) ? null : value });
+      return;
+    }
+
+    const active = filters[facetKey] || [];
+    updateParams({
+      [facetKey]: active.includes(value) ? active.filter(item => item !== value) : [...active, value],
+    });
+  };
+
+  // Handle picking a product
+  const handleSelect = (product) => {
+    setSelectedId(product.id);
+    onSelect(product, getProductSelection(product, filters));
+  };
+
+  const selected = products.find(product => product.id === selectedId);
+  const hasFilters = Object.keys(filters).length > 0;
+
+  // Nothing to browse while the catalog loads
+  if (products.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Typography variant="h6" gutterBottom>
+        Browse Products
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Optional: pick a panel to use its style, height and width for your runs.
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+        <TextField
+          size="small"
+          label="Search"
+          value={searchParams.get('q') || ''}
+          onChange={(event) => updateParams({ q: event.target.value })}
+          sx={{ flexGrow: 1, minWidth: 200 }}
+        />
+        <FormControl size="small" sx={{ minWidth: 200 }}>
+          <InputLabel id="product-sort-label">Sort By</InputLabel>
+          <Select
+            labelId="product-sort-label"
+            value={sortBy}
+            label="Sort By"
+            onChange={(event) => updateParams({ sort: event.target.value === 'name' ? null : event.target.value })}
+          >
+            {PRODUCT_SORT_OPTIONS.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      {facets.map(facet => (
+        <Box key={facet.key} sx={{ mb: 1.5 }}>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.5 }}>
+            {facet.label}
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+            {facet.values.map(item => {
+              const active = isActive(facet.key, item.value);
+              return (
+                <Chip
+                  key={item.value}
+                  size="small"
+                  label={`${item.label} (${item.count})`}
+                  color={active ? 'primary' : 'default'}
+                  variant={active ? 'filled' : 'outlined'}
+                  disabled={!active && item.count === 0}
+                  onClick={() => handleToggle(facet.key, item.value)}
+                />
+              );
+            })}
+          </Box>
+        </Box>
+      ))}
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+        <TextField
+          size="small"
+          type="number"
+          label="Min Price"
+          value={searchParams.get('minPrice') || ''}
+          onChange={(event) => updateParams({ minPrice: event.target.value })}
+          inputProps={{ min: 0 }}
+          sx={{ width: 120 }}
+        />
+        <TextField
+          size="small"
+          type="number"
+          label="Max Price"
+          value={searchParams.get('maxPrice') || ''}
+          onChange={(event) => updateParams({ maxPrice: event.target.value })}
+          inputProps={{ min: 0 }}
+          sx={{ width: 120 }}
+        />
+        <FormControlLabel
+          control={
+            <Switch
+              checked={Boolean(filters.inStock)}
+              onChange={(event) => updateParams({ inStock: event.target.checked ? '1' : null })}
+            />
+          }
+          label="In stock only"
+        />
+        <Box sx={{ flexGrow: 1 }} />
+        <Typography variant="body2" color="text.secondary">
+          {results.length} of {products.length} products
+        </Typography>
+        <Button size="small" onClick={handleClear} disabled={!hasFilters}>
+          Clear Filters
+        </Button>
+      </Box>
+
+      {selected && (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          Using {selected.name} for your runs.
+        </Alert>
+      )}
+
+      {results.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No products match these filters.
+        </Typography>
+      ) : (
+        <List dense sx={{ maxHeight: 360, overflowY: 'auto', border: 1, borderColor: 'divider', borderRadius: 1 }}>
+          {results.map(product => (
+            <ListItemButton
+              key={product.id}
+              selected={product.id === selectedId}
+              onClick={() => handleSelect(product)}
+            >
+              <ListItemText
+                primary={product.name}
+                secondary={[
+                  product.sku,
+                  ...ATTRIBUTE_FACETS.map(facet => getAttributeOptions(product, facet.attribute)
+                    .map(option => (facet.dimension ? formatDimension(option) : option))
+                    .join(' / ')),
+                ].filter(Boolean).join(' · ')}
+              />
+              <Typography variant="body2" sx={{ ml: 2, whiteSpace: 'nowrap' }}>
+                {formatCurrency(parseFloat(product.price || '0'))}
+              </Typography>
+            </ListItemButton>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default ProductBrowser;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Box, Typography, Button, CircularProgress } from '@mui/material';
+import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
+import PrintIcon from '@mui/icons-material/Print';
+import { QUOTE_TERMS } from '../../../config/quoteDocument';
+import { useUnits } from '../../../context/UnitsContext';
+
+// PDF download and print options for a finished quote
+const QuoteDocumentActions = ({ quote, customer, fenceType, fenceOptions, runs, drawing }) => {
+  const [error, setError] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const { system } = useUnits();
+
+  // Handle downloading the PDF; the PDF code and jsPDF are only loaded when first needed
+  const handleDownload = async () => {
+    setError(null);
+    setCreating(true);
+
+    try {
+      const { downloadQuotePdf } = await import('../../../utils/quotePdf');
+      downloadQuotePdf({ quote, customer, fenceType, fenceOptions, runs, drawing, unitSystem: system });
+    } catch (err) {
+      console.error('Error creating PDF:', err);
+      setError('Could not create the PDF. Use Print instead.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Box className="no-print" sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 2 }}>
+        {creating && <CircularProgress size={24} />}
+        <Button variant="outlined" startIcon={<PrintIcon />} onClick={() => window.print()}>
+          Print
+        </Button>
+        <Button variant="contained" startIcon={<PictureAsPdfIcon />} onClick={handleDownload} disabled={creating}>
+          Download PDF
+        </Button>
+      </Box>
+      {error && (
+        <Typography className="no-print" variant="body2" color="error" sx={{ mt: 1, textAlign: 'right' }}>
+          {error}
+        </Typography>
+      )}
+
+      <Box className="print-only" sx={{ mt: 4 }}>
+        <Typography variant="subtitle2" gutterBottom>
+          Terms & Conditions
+        </Typography>
+        {QUOTE_TERMS.map((term, index) => (
+          <Typography key={term} variant="caption" sx={{ display: 'block' }}>
+            {index + 1}. {term}
+          </Typography>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default QuoteDocumentActions;
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  List,
+  ListItemButton,
+  ListItemText,
+  IconButton,
+  Snackbar,
+  Typography
+} from '@mui/material';
+import SaveIcon from '@mui/icons-material/Save';
+import FolderOpenIcon from '@mui/icons-material/FolderOpen';
+import LinkIcon from '@mui/icons-material/Link';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { listDrafts, saveDraft, loadDraft, deleteDraft } from '../../../services/quoteDrafts';
+import { encodeQuoteState } from '../../../utils/quoteState';
+
+/**
+ * Build the shareable link of a calculator state
+ * @param {Object} state - Calculator state
+ * @returns {string} Absolute URL of the /quote/:id route, under the app's PUBLIC_URL
+ */
+export const getQuoteLink = (state) => {
+  return new URL(`${process.env.PUBLIC_URL}/quote/${encodeQuoteState(state)}`, window.location.origin).toString();
+};
+
+// Save/open named drafts and copy a share link of the current quote
+const QuoteDraftsBar = ({ state, onLoad }) => {
+  const [saveOpen, setSaveOpen] = useState(false);
+  const [listOpen, setListOpen] = useState(false);
+  const [draftName, setDraftName] = useState('');
+  const [drafts, setDrafts] = useState([]);
+  const [message, setMessage] = useState('');
+
+  // Handle saving the current state as a draft
+  const handleSave = () => {
+    saveDraft(draftName.trim(), state);
+    setSaveOpen(false);
+    setMessage(`Saved draft "${draftName.trim()}"`);
+  };
+
+  // Handle opening the drafts list
+  const handleOpenList = () => {
+    setDrafts(listDrafts());
+    setListOpen(true);
+  };
+
+  // Handle loading a draft
+  const handleLoad = (draft) => {
+    try {
+      onLoad(loadDraft(draft.id));
+      setMessage(`Opened draft "${draft.name}"`);
+    } catch (err) {
+      setMessage(err.message);
+    }
+    setListOpen(false);
+  };
+
+  // Handle deleting a draft
+  const handleDelete = (draft) => {
+    deleteDraft(draft.id);
+    setDrafts(listDrafts());
+  };
+
+  // Handle copying the share link
+  const handleCopyLink = async () => {
+    const link = getQuoteLink(state);
+
+    try {
+      await navigator.clipboard.writeText(link);
+      setMessage('Quote link copied to the clipboard');
+    } catch (err) {
+      // Clipboard blocked; show the link so it can be copied by hand
+      window.prompt('Copy this quote link:', link);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, flexWrap: 'wrap' }}>
+      <Button size="small" startIcon={<SaveIcon />} onClick={() => setSaveOpen(true)}>
+        Save Draft
+      </Button>
+      <Button size="small" startIcon={<FolderOpenIcon />} onClick={handleOpenList}>
+        Open Draft
+      </Button>
+      <Button size="small" startIcon={<LinkIcon />} onClick={handleCopyLink} disabled={!state.fenceTypeId}>
+        Copy Link
+      </Button>
+
+      <Dialog open={saveOpen} onClose={() => setSaveOpen(false)} fullWidth maxWidth="xs">
+        <DialogTitle>Save Draft</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="dense"
+            label="Draft Name"
+            value={draftName}
+            onChange={(event) => setDraftName(event.target.value)}
+            helperText="Saving with an existing name replaces that draft."
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSaveOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={!draftName.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={listOpen} onClose={() => setListOpen(false)} fullWidth maxWidth="xs">
+        <DialogTitle>Open Draft</DialogTitle>
+        <DialogContent>
+          {drafts.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No saved drafts on this device.
+            </Typography>
+          ) : (
+            <List dense>
+              {drafts.map(draft => (
+                <ListItemButton key={draft.id} onClick={() => handleLoad(draft)}>
+                  <ListItemText
+                    primary={draft.name}
+                    secondary={new Date(draft.savedAt).toLocaleString()}
+                  />
+                  <IconButton
+                    edge="end"
+                    aria-label={`Delete ${draft.name}`}
+                    onClick={(event) => {
+                      event.stopPropagation();
+                      handleDelete(draft);
+                    }}
+                  >
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </ListItemButton>
+              ))}
+            </List>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setListOpen(false)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={Boolean(message)}
+        autoHideDuration={4000}
+        onClose={() => setMessage('')}
+        message={message}
+      />
+    </Box>
+  );
+};
+
+export default QuoteDraftsBar;
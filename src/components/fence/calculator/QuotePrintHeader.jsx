@@ -0,0 +1,40 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { BRAND } from '../../../theme/theme';
+import { formatDate, getCustomerLines } from '../../../utils/formatters';
+import { getQuoteExpiry } from '../../../utils/quoteBuilder';
+
+// Branded header shown only when the quote is printed
+const QuotePrintHeader = ({ quote, customer, fenceType }) => {
+  const customerLines = getCustomerLines(customer);
+
+  return (
+    <Box className="print-only" sx={{ mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', borderBottom: `3px solid ${BRAND.colors.accent}`, pb: 1 }}>
+        <Typography variant="h5" sx={{ fontWeight: 700 }}>
+          {BRAND.name}
+        </Typography>
+        <Box sx={{ textAlign: 'right' }}>
+          <Typography variant="subtitle1">Fence Quote</Typography>
+          <Typography variant="body2">Date: {formatDate(quote.createdAt)}</Typography>
+          <Typography variant="body2">Valid until: {formatDate(getQuoteExpiry(quote))}</Typography>
+        </Box>
+      </Box>
+      {customerLines.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2">Prepared For</Typography>
+          {customerLines.map(line => (
+            <Typography key={line} variant="body2">{line}</Typography>
+          ))}
+        </Box>
+      )}
+      {fenceType && (
+        <Typography variant="body2" sx={{ mt: 2 }}>
+          Fence: {fenceType.name}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default QuotePrintHeader;
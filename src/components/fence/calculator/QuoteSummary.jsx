@@ -0,0 +1,168 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Grid,
+  Alert
+} from '@mui/material';
+import { formatCurrency, formatPercent } from '../../../utils/formatters';
+import { useUnits } from '../../../context/UnitsContext';
+import { AVAILABILITY } from '../../../utils/availability';
+
+// Priced line-item breakdown of a quote
+const QuoteSummary = ({ quote }) => {
+  const { formatLength } = useUnits();
+
+  if (!quote) {
+    return null;
+  }
+
+  return (
+    <Box>
+      {quote.missing.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          No matching product was found for: {quote.missing.join(', ')}. These items are not included in the total.
+        </Alert>
+      )}
+
+      {quote.availabilityWarnings.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Some items cannot ship from stock right now. Check the availability notes below before ordering.
+        </Alert>
+      )}
+
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Item</TableCell>
+              <TableCell>SKU</TableCell>
+              <TableCell align="right">Qty</TableCell>
+              <TableCell align="right">Unit Price</TableCell>
+              <TableCell align="right">Total</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {quote.lineItems.map((item) => (
+              <TableRow key={item.key}>
+                <TableCell>
+                  <Typography variant="body2">{item.name || item.label}</Typography>
+                  {item.description && (
+                    <Typography variant="caption" color="text.secondary">
+                      {item.description}
+                    </Typography>
+                  )}
+                  {item.availability.message && (
+                    <Typography
+                      variant="caption"
+                      color={item.availability.status === AVAILABILITY.UNAVAILABLE ? 'error' : 'warning.main'}
+                      sx={{ display: 'block' }}
+                    >
+                      {item.availability.message}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell>{item.sku || '—'}</TableCell>
+                <TableCell align="right">{item.quantity}</TableCell>
+                <TableCell align="right">{formatCurrency(item.unitPrice)}</TableCell>
+                <TableCell align="right">{formatCurrency(item.total)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {quote.laborItems.length > 0 && (
+        <TableContainer component={Paper} variant="outlined" sx={{ mt: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Installation</TableCell>
+                <TableCell align="right">Qty</TableCell>
+                <TableCell align="right">Rate</TableCell>
+                <TableCell align="right">Total</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {quote.laborItems.map((item) => (
+                <TableRow key={item.key}>
+                  <TableCell>
+                    <Typography variant="body2">{item.label}</Typography>
+                    {item.description && (
+                      <Typography variant="caption" color="text.secondary">
+                        {item.description}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">{item.quantity}</TableCell>
+                  <TableCell align="right">{formatCurrency(item.unitPrice)}</TableCell>
+                  <TableCell align="right">{formatCurrency(item.total)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Grid container spacing={2} sx={{ mt: 1 }}>
+        <Grid item xs={12} sm={6}>
+          <Typography variant="subtitle2" gutterBottom>
+            By Run
+          </Typography>
+          <Table size="small">
+            <TableBody>
+              {quote.runSubtotals.map((run) => (
+                <TableRow key={run.runId}>
+                  <TableCell>{run.name} ({formatLength(run.length)})</TableCell>
+                  <TableCell align="right">{formatCurrency(run.subtotal)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <Typography variant="subtitle2" gutterBottom>
+            By Category
+          </Typography>
+          <Table size="small">
+            <TableBody>
+              {quote.categorySubtotals.map((category) => (
+                <TableRow key={category.category}>
+                  <TableCell>{category.label}</TableCell>
+                  <TableCell align="right">{formatCurrency(category.subtotal)}</TableCell>
+                </TableRow>
+              ))}
+              <TableRow>
+                <TableCell>Materials Subtotal</TableCell>
+                <TableCell align="right">{formatCurrency(quote.subtotal)}</TableCell>
+              </TableRow>
+              <TableRow>
+                <TableCell>Tax ({formatPercent(quote.taxRate)})</TableCell>
+                <TableCell align="right">{formatCurrency(quote.tax)}</TableCell>
+              </TableRow>
+              {quote.laborItems.length > 0 && (
+                <TableRow>
+                  <TableCell>Installation</TableCell>
+                  <TableCell align="right">{formatCurrency(quote.laborSubtotal)}</TableCell>
+                </TableRow>
+              )}
+              <TableRow>
+                <TableCell><strong>Total</strong></TableCell>
+                <TableCell align="right"><strong>{formatCurrency(quote.total)}</strong></TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default QuoteSummary;
@@ -0,0 +1,38 @@
+import React, { useMemo } from 'react';
+import { useParams, Link as RouterLink } from 'react-router-dom';
+import { Container, Paper, Alert, Button, Box } from '@mui/material';
+import { decodeQuoteState } from '../../../utils/quoteState';
+import FenceCalculator from './FenceCalculator';
+
+// Restores a quote shared as a /quote/:id link
+const SavedQuote = () => {
+  const { id } = useParams();
+
+  // Decode the quote from the link
+  const { state, error } = useMemo(() => {
+    try {
+      return { state: decodeQuoteState(id), error: null };
+    } catch (err) {
+      return { state: null, error: err.message };
+    }
+  }, [id]);
+
+  if (error) {
+    return (
+      <Container maxWidth="md" sx={{ mt: 4, mb: 8 }}>
+        <Paper sx={{ p: 4 }}>
+          <Alert severity="error">{error}</Alert>
+          <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+            <Button variant="contained" component={RouterLink} to="/">
+              Start a New Quote
+            </Button>
+          </Box>
+        </Paper>
+      </Container>
+    );
+  }
+
+  return <FenceCalculator key={id} initialState={state} />;
+};
+
+export default SavedQuote;
@@ -0,0 +1,182 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Alert
+} from '@mui/material';
+import { useUnits } from '../../../context/UnitsContext';
+
+// Material counts for the current fence runs
+const TakeoffSummary = ({ takeoff, runs }) => {
+  const { formatLength, formatDimension } = useUnits();
+
+  if (!takeoff || takeoff.runs.length === 0) {
+    return null;
+  }
+
+  const { totals, rules } = takeoff;
+
+  // Fence-type materials beyond sections and posts, e.g. "Post Caps: 12"
+  const materials = rules.components
+    .filter(component => !['panels', 'posts'].includes(component.key))
+    .map(component => ({ label: component.label, quantity: component.getQuantity(totals) }))
+    .filter(({ quantity }) => quantity > 0);
+
+  // Runs on a grade, with their names
+  const slopedRuns = takeoff.runs
+    .map((runTakeoff, index) => runTakeoff.slope && {
+      ...runTakeoff.slope,
+      runId: runTakeoff.runId,
+      name: runs[index]?.name || `Run ${index + 1}`
+    })
+    .filter(Boolean);
+
+  // Materials with pieces cut to length
+  const cutPlans = (takeoff.cutPlan || []).filter(plan => plan.pieces > 0);
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        Material Takeoff ({rules.label}, {formatLength(takeoff.panelWidth)} between posts)
+      </Typography>
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Run</TableCell>
+              <TableCell align="right">Length</TableCell>
+              <TableCell align="right">{rules.sectionLabel}</TableCell>
+              <TableCell align="right">Cut</TableCell>
+              <TableCell align="right">Line Posts</TableCell>
+              <TableCell align="right">Corner Posts</TableCell>
+              <TableCell align="right">End Posts</TableCell>
+              <TableCell align="right">Gate Posts</TableCell>
+              <TableCell align="right">Gates</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {takeoff.runs.map((runTakeoff, index) => (
+              <TableRow key={runTakeoff.runId}>
+                <TableCell>{runs[index]?.name || `Run ${index + 1}`}</TableCell>
+                <TableCell align="right">{formatLength(runTakeoff.length)}</TableCell>
+                <TableCell align="right">{runTakeoff.panels.full}</TableCell>
+                <TableCell align="right">
+                  {runTakeoff.panels.cutLengths.map(length => formatLength(length, 2)).join(', ') || '—'}
+                </TableCell>
+                <TableCell align="right">{runTakeoff.posts.line}</TableCell>
+                <TableCell align="right">{runTakeoff.posts.corner}</TableCell>
+                <TableCell align="right">{runTakeoff.posts.end}</TableCell>
+                <TableCell align="right">{runTakeoff.posts.gate}</TableCell>
+                <TableCell align="right">{runTakeoff.gates.length}</TableCell>
+              </TableRow>
+            ))}
+            <TableRow>
+              <TableCell><strong>Total</strong></TableCell>
+              <TableCell align="right"><strong>{formatLength(totals.length)}</strong></TableCell>
+              <TableCell align="right"><strong>{totals.panels.full}</strong></TableCell>
+              <TableCell align="right"><strong>{totals.panels.cut}</strong></TableCell>
+              <TableCell align="right"><strong>{totals.posts.line}</strong></TableCell>
+              <TableCell align="right"><strong>{totals.posts.corner}</strong></TableCell>
+              <TableCell align="right"><strong>{totals.posts.end}</strong></TableCell>
+              <TableCell align="right"><strong>{totals.posts.gate}</strong></TableCell>
+              <TableCell align="right">
+                <strong>{takeoff.runs.reduce((sum, run) => sum + run.gates.length, 0)}</strong>
+              </TableCell>
+            </TableRow>
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {slopedRuns.length > 0 && (
+        <>
+          <Typography variant="subtitle2" sx={{ mt: 3 }} gutterBottom>
+            Sloped Runs
+          </Typography>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Run</TableCell>
+                  <TableCell align="right">Grade</TableCell>
+                  <TableCell align="right">Rise</TableCell>
+                  <TableCell>Installed</TableCell>
+                  <TableCell align="right">Drop per Section</TableCell>
+                  <TableCell align="right">Post Height</TableCell>
+                  <TableCell align="right">Taller Posts</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {slopedRuns.map(slope => (
+                  <TableRow key={slope.runId}>
+                    <TableCell>{slope.name}</TableCell>
+                    <TableCell align="right">{Math.round(slope.grade * 1000) / 10}%</TableCell>
+                    <TableCell align="right">{formatLength(slope.rise, 2)}</TableCell>
+                    <TableCell>{slope.method === 'racked' ? 'Racked' : 'Stepped'}</TableCell>
+                    <TableCell align="right">{formatLength(slope.dropPerPanel, 2)}</TableCell>
+                    <TableCell align="right">
+                      {slope.postHeight > 0 ? formatLength(slope.postHeight, 2) : '—'}
+                      {slope.postHeightOption ? ` (order ${formatDimension(slope.postHeightOption)})` : ''}
+                    </TableCell>
+                    <TableCell align="right">{slope.tallPosts}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          {slopedRuns.filter(slope => slope.warnings.length > 0).map(slope => (
+            <Alert key={slope.runId} severity="warning" sx={{ mt: 1 }}>
+              {slope.name}: {slope.warnings.join(' ')}
+            </Alert>
+          ))}
+        </>
+      )}
+
+      {cutPlans.length > 0 && (
+        <>
+          <Typography variant="subtitle2" sx={{ mt: 3 }} gutterBottom>
+            Cuts &amp; Leftovers
+          </Typography>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Material</TableCell>
+                  <TableCell align="right">Cut Pieces</TableCell>
+                  <TableCell align="right">Stock Used</TableCell>
+                  <TableCell align="right">Saved</TableCell>
+                  <TableCell>Leftovers</TableCell>
+                  <TableCell align="right">Scrap</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {cutPlans.map(plan => (
+                  <TableRow key={plan.key}>
+                    <TableCell>{plan.label}</TableCell>
+                    <TableCell align="right">{plan.pieces}</TableCell>
+                    <TableCell align="right">{plan.stockUsed} × {formatLength(plan.stockLength, 2)}</TableCell>
+                    <TableCell align="right">{plan.saved}</TableCell>
+                    <TableCell>{plan.leftovers.map(length => formatLength(length, 2)).join(', ') || '—'}</TableCell>
+                    <TableCell align="right">{plan.scrap > 0 ? formatLength(plan.scrap, 2) : '—'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+
+      <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+        {[`${totals.posts.total} posts`, ...(totals.tallPosts > 0 ? [`${totals.tallPosts} taller for slope`] : []), ...materials.map(({ label, quantity }) => `${label}: ${quantity}`)].join(' · ')}
+      </Typography>
+    </Box>
+  );
+};
+
+export default TakeoffSummary;
@@ -6,27 +6,45 @@ import {
   Typography, 
   Container, 
   Box, 
-  Link 
+  Link,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
+import { useUnits } from '../../context/UnitsContext';
+import { UNIT_SYSTEMS } from '../../utils/units';
+import OfflineBanner from './OfflineBanner';
 
 const Layout = () => {
   const currentYear = new Date().getFullYear();
+  const { system, setSystem } = useUnits();
   
   return (
     <Box className="fence-app">
-      <AppBar position="static">
+      <AppBar position="static" className="no-print">
         <Toolbar>
           <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
             Fence Calculator
           </Typography>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={system}
+            onChange={(event, value) => value && setSystem(value)}
+            aria-label="Units"
+            sx={{ '& .MuiToggleButton-root': { color: 'inherit', borderColor: 'rgba(255, 255, 255, 0.3)' } }}
+          >
+            <ToggleButton value={UNIT_SYSTEMS.IMPERIAL}>Imperial</ToggleButton>
+            <ToggleButton value={UNIT_SYSTEMS.METRIC}>Metric</ToggleButton>
+          </ToggleButtonGroup>
         </Toolbar>
       </AppBar>
       
       <Container maxWidth="lg" className="fence-content">
+        <OfflineBanner />
         <Outlet />
       </Container>
       
-      <Box component="footer" className="fence-footer" sx={{ bgcolor: 'background.paper', p: 2 }}>
+      <Box component="footer" className="fence-footer no-print" sx={{ bgcolor: 'background.paper', p: 2 }}>
         <Typography variant="body2" color="text.secondary" align="center">
           © {currentYear} Two Brothers Fencing. All rights reserved.
         </Typography>
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { TextField } from '@mui/material';
+import { useUnits } from '../../context/UnitsContext';
+import { UNIT_SYSTEMS } from '../../utils/units';
+
+// Decimals kept when showing a stored length in the input
+const INPUT_DECIMALS = 2;
+
+// Number input for a length stored in feet, shown and typed in the selected unit system.
+// `min` and `step` are in feet. While the field has focus it shows exactly what was typed;
+// the stored length is rounded for display again once it loses focus.
+const LengthField = ({ label, value, onChange, onFocus, onBlur, step = 0.5, min = 0, inputProps = {}, ...props }) => {
+  const { unit, toDisplay, fromDisplay, system } = useUnits();
+  const [typedText, setTypedText] = useState(null);
+
+  // Metric steps are rounded so the spinner moves by round amounts
+  const displayStep = system === UNIT_SYSTEMS.METRIC ? 0.1 : step;
+  const displayValue = value === '' || value === null || value === undefined
+    ? ''
+    : Math.round(toDisplay(Number(value)) * 10 ** INPUT_DECIMALS) / 10 ** INPUT_DECIMALS;
+
+  // Handle focusing the field; typing starts from the shown value
+  const handleFocus = (event) => {
+    setTypedText(String(displayValue));
+    onFocus?.(event);
+  };
+
+  // Handle typing a length; the field can be cleared while typing
+  const handleChange = (event) => {
+    const { value: typed } = event.target;
+    setTypedText(typed);
+    onChange(typed === '' ? '' : fromDisplay(Number(typed)), event);
+  };
+
+  // Handle leaving the field; the stored length is shown rounded again
+  const handleBlur = (event) => {
+    setTypedText(null);
+    onBlur?.(event);
+  };
+
+  return (
+    <TextField
+      type="number"
+      label={`${label} (${unit})`}
+      value={typedText ?? displayValue}
+      onChange={handleChange}
+      onFocus={handleFocus}
+      onBlur={handleBlur}
+      inputProps={{ min: toDisplay(min), step: displayStep, ...inputProps }}
+      {...props}
+    />
+  );
+};
+
+export default LengthField;
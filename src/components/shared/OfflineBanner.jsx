@@ -0,0 +1,55 @@
+import React, { useCallback, useState } from 'react';
+import { Alert, Snackbar } from '@mui/material';
+import useOrderQueue from '../../hooks/useOrderQueue';
+
+/**
+ * Describe the outcome of submitting queued orders
+ * @param {Object} result - { submitted, failed } from flushOrderQueue
+ * @returns {string} Message for the customer
+ */
+const describeFlush = ({ submitted, failed }) => {
+  const parts = [];
+  if (submitted.length > 0) {
+    const numbers = submitted.map(({ result }) => `#${result.number || result.id}`).join(', ');
+    parts.push(`${submitted.length} queued order${submitted.length === 1 ? '' : 's'} submitted (${numbers}).`);
+  }
+  if (failed.length > 0) {
+    parts.push(`${failed.length} queued order${failed.length === 1 ? ' was' : 's were'} rejected by the store: ${failed[0].error.message}`);
+  }
+  return parts.join(' ');
+};
+
+// Connection notice with the number of orders waiting to be submitted
+const OfflineBanner = () => {
+  const [message, setMessage] = useState('');
+  const handleFlushed = useCallback((result) => setMessage(describeFlush(result)), []);
+  const { queuedOrders, online } = useOrderQueue(handleFlushed);
+  const queuedCount = queuedOrders.length;
+
+  return (
+    <>
+      {!online && (
+        <Alert severity="warning" className="no-print" sx={{ mb: 2 }}>
+          You are offline. Quotes use the saved catalog
+          {queuedCount > 0
+            ? ` and ${queuedCount} order${queuedCount === 1 ? ' is' : 's are'} waiting to be submitted.`
+            : '; orders are saved and submitted once you are back online.'}
+        </Alert>
+      )}
+      {online && queuedCount > 0 && (
+        <Alert severity="info" className="no-print" sx={{ mb: 2 }}>
+          {queuedCount} order{queuedCount === 1 ? ' is' : 's are'} waiting to be submitted to the store.
+        </Alert>
+      )}
+
+      <Snackbar
+        open={Boolean(message)}
+        autoHideDuration={6000}
+        onClose={() => setMessage('')}
+        message={message}
+      />
+    </>
+  );
+};
+
+export default OfflineBanner;
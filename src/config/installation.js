@@ -0,0 +1,41 @@
+/**
+ * Installation labor rates
+ * Every labor price the calculator uses lives here so it can be tuned in one place.
+ */
+
+// Labor to build one linear foot of fence, by fence type
+export const LABOR_PER_FOOT = {
+  vinyl: 12,
+  aluminum: 14,
+  wood: 10,
+  chainLink: 8,
+  default: 12,
+};
+
+// Digging the hole and setting one post in concrete
+export const POST_SETTING_COST = 25;
+
+// Hanging and adjusting a gate, by gate type
+export const GATE_HANGING_FEE = {
+  single: 75,
+  double: 125,
+};
+
+// Tearing out and hauling away one linear foot of existing fence
+export const REMOVAL_PER_FOOT = 4;
+
+// Terrain surcharges, as a share of the installation labor
+export const TERRAIN_OPTIONS = [
+  { value: 'flat', label: 'Flat / level', surcharge: 0 },
+  { value: 'gentle-slope', label: 'Gentle slope', surcharge: 0.1 },
+  { value: 'steep-slope', label: 'Steep slope', surcharge: 0.25 },
+  { value: 'rocky', label: 'Rocky or heavy roots', surcharge: 0.2 },
+];
+
+// Installation options a new quote starts with
+export const DEFAULT_INSTALLATION_OPTIONS = {
+  include: true,
+  removeOldFence: false,
+  removalLength: '',
+  terrain: 'flat',
+};
@@ -0,0 +1,6 @@
+/**
+ * Stock and backorder settings
+ */
+
+// Days a backordered item usually takes to ship, quoted to customers as the lead time
+export const BACKORDER_LEAD_TIME_DAYS = parseInt(process.env.REACT_APP_BACKORDER_LEAD_TIME_DAYS, 10) || 14;
@@ -0,0 +1,20 @@
+/**
+ * Material cutting and waste allowances
+ * How much extra material is ordered, and which offcuts are worth keeping, tuned in one place.
+ */
+
+// Extra material ordered for breakage, bad boards and miscuts, as a share of the calculated quantity.
+// Keyed by fence type (rule set key): `default` applies to every component of that type, and a
+// component key overrides it. Posts are set in place whole, not cut, so they are ordered as calculated.
+export const WASTE_FACTORS = {
+  vinyl: { default: 0.02, posts: 0 },
+  aluminum: { default: 0.02, posts: 0 },
+  wood: { default: 0.05, posts: 0 },
+  chainLink: { default: 0.03, linePosts: 0, terminalPosts: 0 },
+};
+
+// Width of one saw cut in feet (1/8 in), lost from the stock piece at every cut
+export const SAW_KERF = 0.125 / 12;
+
+// Offcuts shorter than this (in feet) are scrap; longer ones are reported as reusable leftovers
+export const MIN_USABLE_OFFCUT = 1;
@@ -0,0 +1,15 @@
+/**
+ * Settings for printed and PDF quotes
+ */
+
+// Days the quoted prices are honored
+export const QUOTE_VALID_DAYS = parseInt(process.env.REACT_APP_QUOTE_VALID_DAYS, 10) || 30;
+
+// Terms printed at the end of every quote
+export const QUOTE_TERMS = [
+  `Prices are valid for ${QUOTE_VALID_DAYS} days from the quote date and are subject to material availability.`,
+  'Quantities are calculated from the measurements provided. Final quantities are confirmed after an on-site measurement.',
+  'Installation, when included, assumes clear access to the fence line and normal soil conditions. Rock, roots or concrete removal are billed separately.',
+  'The customer is responsible for locating property lines and obtaining any permits or HOA approvals.',
+  'A signed quote and deposit are required to schedule delivery or installation.',
+];
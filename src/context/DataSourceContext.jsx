@@ -0,0 +1,45 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { DATA_SOURCES, subscribeToDataSource } from '../services/dataSource';
+
+const DataSourceContext = createContext(null);
+
+// Collects where API data came from so the UI can warn about cached or mock data
+export const DataSourceProvider = ({ children }) => {
+  // Latest data source of each request
+  const [sources, setSources] = useState({});
+
+  useEffect(() => subscribeToDataSource(({ source, key }) => {
+    setSources(current => (current[key] === source ? current : { ...current, [key]: source }));
+  }), []);
+
+  const reset = useCallback(() => setSources({}), []);
+
+  const value = useMemo(() => {
+    const keysBySource = source => Object.keys(sources).filter(key => sources[key] === source);
+    const mockRequests = keysBySource(DATA_SOURCES.MOCK);
+    const cachedRequests = keysBySource(DATA_SOURCES.CACHE);
+
+    return {
+      sources,
+      mockRequests,
+      cachedRequests,
+      usingMockData: mockRequests.length > 0,
+      usingCachedData: cachedRequests.length > 0,
+      reset,
+    };
+  }, [sources, reset]);
+
+  return <DataSourceContext.Provider value={value}>{children}</DataSourceContext.Provider>;
+};
+
+/**
+ * Get the data sources of the API requests made so far
+ * @returns {Object} { sources, mockRequests, cachedRequests, usingMockData, usingCachedData, reset }
+ */
+export const useDataSource = () => {
+  const context = useContext(DataSourceContext);
+  if (!context) {
+    throw new Error('useDataSource must be used inside a DataSourceProvider');
+  }
+  return context;
+};
@@ -0,0 +1,70 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import {
+  UNIT_SYSTEMS,
+  getLengthUnit,
+  toDisplayLength,
+  fromDisplayLength,
+  formatLength,
+  formatDimension
+} from '../utils/units';
+
+// localStorage key of the chosen unit system
+const UNITS_KEY = 'fence-calculator:units';
+
+// Unit system used until the visitor picks one
+const DEFAULT_UNIT_SYSTEM = process.env.REACT_APP_UNIT_SYSTEM === UNIT_SYSTEMS.METRIC
+  ? UNIT_SYSTEMS.METRIC
+  : UNIT_SYSTEMS.IMPERIAL;
+
+/**
+ * Read the saved unit system
+ * @returns {string} Unit system
+ */
+const loadUnitSystem = () => {
+  try {
+    const saved = window.localStorage.getItem(UNITS_KEY);
+    return Object.values(UNIT_SYSTEMS).includes(saved) ? saved : DEFAULT_UNIT_SYSTEM;
+  } catch (error) {
+    return DEFAULT_UNIT_SYSTEM;
+  }
+};
+
+const UnitsContext = createContext(null);
+
+// Provides the Imperial/Metric choice and length helpers bound to it
+export const UnitsProvider = ({ children }) => {
+  const [system, setSystem] = useState(loadUnitSystem);
+
+  // Remember the choice for the next visit
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(UNITS_KEY, system);
+    } catch (error) {
+      // Storage unavailable; the choice lasts for this visit only
+    }
+  }, [system]);
+
+  const value = useMemo(() => ({
+    system,
+    setSystem,
+    unit: getLengthUnit(system),
+    toDisplay: feet => toDisplayLength(feet, system),
+    fromDisplay: length => fromDisplayLength(length, system),
+    formatLength: (feet, decimals) => formatLength(feet, system, decimals),
+    formatDimension: dimension => formatDimension(dimension, system),
+  }), [system]);
+
+  return <UnitsContext.Provider value={value}>{children}</UnitsContext.Provider>;
+};
+
+/**
+ * Get the current unit system and its length helpers
+ * @returns {Object} { system, setSystem, unit, toDisplay, fromDisplay, formatLength, formatDimension }
+ */
+export const useUnits = () => {
+  const context = useContext(UnitsContext);
+  if (!context) {
+    throw new Error('useUnits must be used inside a UnitsProvider');
+  }
+  return context;
+};
@@ -0,0 +1,18 @@
+import React, { createContext, useContext } from 'react';
+import { api } from '../services/woocommerce.api';
+
+// Defaults to the client configured from the environment
+const WooCommerceContext = createContext(api);
+
+// Provides the WooCommerce API client, e.g. one pointed at a staging store;
+// without a client the surrounding one is kept
+export const WooCommerceProvider = ({ client, children }) => {
+  const inherited = useContext(WooCommerceContext);
+  return <WooCommerceContext.Provider value={client || inherited}>{children}</WooCommerceContext.Provider>;
+};
+
+/**
+ * Get the WooCommerce API client
+ * @returns {Object} Client from createWooCommerceClient
+ */
+export const useWooCommerce = () => useContext(WooCommerceContext);
@@ -0,0 +1,27 @@
+import { useMemo } from 'react';
+import { calculateTakeoff } from '../utils/fenceTakeoff';
+import { DEFAULT_FENCE_RULES } from '../utils/fenceRules';
+import { parseFeet } from '../utils/units';
+
+/**
+ * Calculate the material takeoff for the current fence runs
+ * @param {Array} runs - Fence runs
+ * @param {Object} fenceOptions - Fence-wide options ({ panelWidth: "8 ft", height, style })
+ * @param {Object} rules - Fence-type rule set from getFenceRules
+ * @param {Array} postHeightOptions - Height options of the post products, for sloped runs
+ * @returns {Object} Takeoff from calculateTakeoff
+ */
+const useFenceCalculation = (runs, fenceOptions = {}, rules = DEFAULT_FENCE_RULES, postHeightOptions = []) => {
+  const panelWidth = parseFeet(fenceOptions.panelWidth) || rules.maxPostSpacing;
+  const { height = '', style = '' } = fenceOptions;
+
+  return useMemo(() => calculateTakeoff(runs, {
+    rules,
+    panelWidth,
+    defaultHeight: height,
+    defaultStyle: style,
+    postHeightOptions
+  }), [runs, rules, panelWidth, height, style, postHeightOptions]);
+};
+
+export default useFenceCalculation;
\ No newline at end of file
@@ -0,0 +1,25 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Track whether the browser has a network connection
+ * @returns {boolean} True while online
+ */
+const useOnlineStatus = () => {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return online;
+};
+
+export default useOnlineStatus;
@@ -0,0 +1,46 @@
+import { useCallback, useEffect, useState } from 'react';
+import { listQueuedOrders, flushOrderQueue, ORDER_QUEUE_EVENT } from '../services/orderQueue';
+import { useWooCommerce } from '../context/WooCommerceContext';
+import useOnlineStatus from './useOnlineStatus';
+
+/**
+ * Keep track of orders queued while offline and submit them once back online
+ * @param {Function} onFlushed - Called with { submitted, failed } after queued orders were handled
+ * @returns {Object} { queuedOrders, online, flush }
+ */
+const useOrderQueue = (onFlushed) => {
+  const online = useOnlineStatus();
+  const client = useWooCommerce();
+  const [queuedOrders, setQueuedOrders] = useState(listQueuedOrders);
+
+  // Follow queue changes from this page and from other tabs
+  useEffect(() => {
+    const handleChange = () => setQueuedOrders(listQueuedOrders());
+
+    window.addEventListener(ORDER_QUEUE_EVENT, handleChange);
+    window.addEventListener('storage', handleChange);
+    return () => {
+      window.removeEventListener(ORDER_QUEUE_EVENT, handleChange);
+      window.removeEventListener('storage', handleChange);
+    };
+  }, []);
+
+  const flush = useCallback(async () => {
+    const result = await flushOrderQueue(client);
+    if (onFlushed && (result.submitted.length > 0 || result.failed.length > 0)) {
+      onFlushed(result);
+    }
+    return result;
+  }, [onFlushed, client]);
+
+  // Submit queued orders on load and whenever the connection comes back
+  useEffect(() => {
+    if (online && listQueuedOrders().length > 0) {
+      flush();
+    }
+  }, [online, flush]);
+
+  return { queuedOrders, online, flush };
+};
+
+export default useOrderQueue;
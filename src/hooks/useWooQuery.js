@@ -0,0 +1,56 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useWooCommerce } from '../context/WooCommerceContext';
+import { getClientLogger } from '../services/woocommerce.api';
+
+/**
+ * Run an API query and keep its result in state.
+ * The query is cancelled when the dependencies change or the component unmounts,
+ * so a stale response never overwrites a newer one.
+ * @param {Function} query - Called with { client, signal }; returns a promise of the data
+ * @param {Array} deps - Serializable values the query depends on, e.g. an ID
+ * @param {Object} options - { enabled: false } to skip the query
+ * @returns {Object} { data, loading, error, refetch }
+ */
+const useWooQuery = (query, deps = [], options = {}) => {
+  const { enabled = true } = options;
+  const client = useWooCommerce();
+  const [state, setState] = useState({ data: null, loading: enabled, error: null });
+  const [reloadCount, setReloadCount] = useState(0);
+
+  // The query function is recreated every render; the deps say when it really changes
+  const queryRef = useRef(query);
+  queryRef.current = query;
+  const depsKey = JSON.stringify(deps);
+
+  useEffect(() => {
+    if (!enabled) {
+      setState({ data: null, loading: false, error: null });
+      return undefined;
+    }
+
+    // Drop the previous result so it is never shown for the new dependencies
+    const controller = new AbortController();
+    setState({ data: null, loading: true, error: null });
+
+    queryRef.current({ client, signal: controller.signal })
+      .then(data => {
+        if (!controller.signal.aborted) {
+          setState({ data, loading: false, error: null });
+        }
+      })
+      .catch(error => {
+        if (!controller.signal.aborted) {
+          getClientLogger(client).error('[WooCommerce API] Query failed:', error);
+          setState({ data: null, loading: false, error });
+        }
+      });
+
+    return () => controller.abort();
+  }, [client, enabled, reloadCount, depsKey]);
+
+  const refetch = useCallback(() => setReloadCount(count => count + 1), []);
+
+  return { ...state, refetch };
+};
+
+export default useWooQuery;
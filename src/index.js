@@ -4,6 +4,7 @@ import App from './App';
 import { ThemeProvider } from '@mui/material/styles';
 import { CssBaseline } from '@mui/material';
 import { createAppTheme } from './theme/theme';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const theme = createAppTheme();
 
@@ -15,4 +16,7 @@ root.render(
       <App />
     </ThemeProvider>
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+// Cache the app and catalog for offline use
+serviceWorkerRegistration.register();
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * Service worker registration
+ * Lets the calculator start and quote from the last synced catalog without a connection
+ * (see public/service-worker.js)
+ */
+
+/**
+ * Register the service worker in production builds
+ */
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  // The worker also caches reads through the local WooCommerce proxy
+  const apiPath = (process.env.REACT_APP_WOOCOMMERCE_PROXY_URL || '').replace(/\/+$/, '');
+  const query = apiPath ? `?api=${encodeURIComponent(apiPath)}` : '';
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js${query}`)
+      .catch(error => console.error('[Service Worker] Registration failed:', error));
+  });
+};
+
+/**
+ * Remove the service worker, e.g. when offline mode causes trouble
+ */
+export const unregister = () => {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(error => console.error('[Service Worker] Unregistration failed:', error));
+};
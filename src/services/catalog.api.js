@@ -0,0 +1,247 @@
+/**
+ * Product Catalog API
+ * Loads every product of a fence type, walking WooCommerce pagination and
+ * caching results in memory and localStorage. The last synced catalog is kept
+ * as a snapshot and served when the store cannot be reached.
+ */
+
+import { api, isAbortError, getClientCacheKey, getClientLogger } from './woocommerce.api';
+import { DATA_SOURCES, tagDataSource, getDataSource, combineDataSources, reportDataSource } from './dataSource';
+
+// How long a loaded catalog stays fresh, in milliseconds
+export const CATALOG_CACHE_TTL = 60 * 60 * 1000;
+
+// Largest page size WooCommerce allows
+const PAGE_SIZE = 100;
+
+// Prefix of the localStorage keys catalogs are stored under
+const STORAGE_PREFIX = 'fence-calculator:catalog:';
+
+// Prefix of the localStorage keys the last synced fence type lists are stored under
+const FENCE_TYPES_PREFIX = 'fence-calculator:fence-types:';
+
+// Catalogs loaded during this session, by store and fence type ID (see getCatalogKey)
+const memoryCache = new Map();
+
+/**
+ * Build the cache key of a catalog; catalogs of different stores never share an entry
+ * @param {Object} client - WooCommerce API client
+ * @param {number|string} fenceTypeId - Fence type category ID
+ * @returns {string} Cache key, e.g. "/api/woo:53"
+ */
+const getCatalogKey = (client, fenceTypeId) => `${getClientCacheKey(client)}:${fenceTypeId}`;
+
+/**
+ * Fetch every page of a collection endpoint
+ * @param {string} endpoint - API endpoint, e.g. "products"
+ * @param {Object} params - URL parameters
+ * @param {Object} options - { client, signal }: API client to use and a signal to cancel the requests
+ * @returns {Promise<Array>} Items from all pages, tagged with their combined data source
+ */
+export const fetchAllPages = async (endpoint, params = {}, options = {}) => {
+  const { client = api, signal } = options;
+  const pageParams = { per_page: PAGE_SIZE, ...params };
+  const first = await client.get(endpoint, { ...pageParams, page: 1 }, { includeMeta: true, signal });
+
+  if (first.totalPages <= 1) {
+    return first.data;
+  }
+
+  // Fetch the remaining pages in parallel now that the page count is known
+  const remaining = await Promise.all(
+    Array.from({ length: first.totalPages - 1 }, (_, index) =>
+      client.get(endpoint, { ...pageParams, page: index + 2 }, { signal })
+    )
+  );
+
+  const source = combineDataSources([first.source, ...remaining.map(getDataSource)]);
+  return tagDataSource([first.data, ...remaining].flat(), source);
+};
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @returns {*} Stored value, or null when missing or unreadable
+ */
+const readStorage = (key) => {
+  try {
+    const stored = window.localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read a cached catalog from localStorage
+ * @param {string} key - Catalog key from getCatalogKey
+ * @returns {Object|null} Cached catalog, or null when missing or unreadable
+ */
+const readStoredCatalog = (key) => readStorage(`${STORAGE_PREFIX}${key}`);
+
+/**
+ * Write a JSON value to localStorage
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @param {Object} logger - Logger of the API client
+ */
+const writeStorage = (key, value, logger) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // Storage full or unavailable; the in-memory cache still works
+    logger.warn('[Catalog] Could not write to localStorage:', error);
+  }
+};
+
+/**
+ * Store a catalog in localStorage
+ * @param {string} key - Catalog key from getCatalogKey
+ * @param {Object} catalog - Catalog to store
+ * @param {Object} logger - Logger of the API client
+ */
+const writeStoredCatalog = (key, catalog, logger) => writeStorage(`${STORAGE_PREFIX}${key}`, catalog, logger);
+
+/**
+ * Check whether a cached catalog is still fresh
+ * @param {Object} catalog - Cached catalog
+ * @returns {boolean} True when the catalog is younger than the TTL
+ */
+const isFresh = (catalog) => {
+  return Boolean(catalog) && Date.now() - new Date(catalog.fetchedAt).getTime() < CATALOG_CACHE_TTL;
+};
+
+/**
+ * Fetch the catalog of a fence type from the API
+ * @param {number|string} fenceTypeId - Fence type category ID
+ * @param {Object} options - { client, signal }
+ * @returns {Promise<Object>} Catalog
+ */
+const fetchFenceCatalog = async (fenceTypeId, options) => {
+  const categories = await fetchAllPages('products/categories', { parent: fenceTypeId }, options);
+  const categoryIds = [fenceTypeId, ...categories.map(category => category.id)];
+
+  const productLists = await Promise.all(
+    categoryIds.map(categoryId => fetchAllPages('products', { category: categoryId }, options))
+  );
+
+  // Products usually appear under both the fence type and a sub-category
+  const productsById = new Map();
+  productLists.flat().forEach(product => productsById.set(product.id, product));
+
+  return {
+    fenceTypeId,
+    categories,
+    products: [...productsById.values()],
+    fetchedAt: new Date().toISOString(),
+    source: combineDataSources([categories, ...productLists].map(getDataSource)),
+  };
+};
+
+/**
+ * Mark a catalog as served from the cache.
+ * Mock catalogs stay marked as mock so fake prices are never passed off as real ones.
+ * @param {Object} catalog - Cached catalog
+ * @returns {Object} Catalog with its source set
+ */
+const fromCache = (catalog) => {
+  const source = catalog.source === DATA_SOURCES.MOCK ? DATA_SOURCES.MOCK : DATA_SOURCES.CACHE;
+  reportDataSource(source, `catalog/${catalog.fenceTypeId}`);
+  return { ...catalog, source };
+};
+
+/**
+ * Load every product of a fence type and its sub-categories (panels, posts, gates, ...)
+ * @param {number|string} fenceTypeId - Fence type category ID
+ * @param {Object} options - { refresh: true } to bypass the cache, { client } to use another API client,
+ *   { signal } to cancel loading
+ * @returns {Promise<Object>} { fenceTypeId, categories, products, fetchedAt, source }
+ */
+export const loadFenceCatalog = async (fenceTypeId, options = {}) => {
+  const { refresh = false, client = api, signal } = options;
+  const key = getCatalogKey(client, fenceTypeId);
+
+  if (!refresh) {
+    const cached = memoryCache.get(key);
+    if (isFresh(cached)) {
+      return fromCache(cached);
+    }
+
+    const stored = readStoredCatalog(key);
+    if (isFresh(stored)) {
+      memoryCache.set(key, stored);
+      return fromCache(stored);
+    }
+  }
+
+  // Concurrent loads of the same catalog share their requests in the API client
+  try {
+    const catalog = await fetchFenceCatalog(fenceTypeId, { client, signal });
+
+    // Only real catalogs are cached; a mock catalog is replaced as soon as the store answers
+    if (catalog.source !== DATA_SOURCES.MOCK) {
+      memoryCache.set(key, catalog);
+      writeStoredCatalog(key, catalog, getClientLogger(client));
+    }
+    return catalog;
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+
+    // Serve the last synced snapshot, however old, and say so
+    const snapshot = readStoredCatalog(key);
+    if (snapshot) {
+      getClientLogger(client).warn('[Catalog] Store unreachable; using the catalog synced', snapshot.fetchedAt);
+      return { ...fromCache(snapshot), fromSnapshot: true };
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Load the top-level fence type categories
+ * @param {Object} options - { client, signal }: API client to use and a signal to cancel loading
+ * @returns {Promise<Array>} Fence type categories
+ */
+export const fetchFenceTypes = async (options = {}) => {
+  const storageKey = `${FENCE_TYPES_PREFIX}${getClientCacheKey(options.client || api)}`;
+  let categories;
+
+  try {
+    categories = await fetchAllPages('products/categories', { parent: 0 }, options);
+    if (getDataSource(categories) !== DATA_SOURCES.MOCK) {
+      writeStorage(storageKey, categories, getClientLogger(options.client));
+    }
+  } catch (error) {
+    // Fall back to the last synced list so saved catalogs stay reachable offline
+    const stored = readStorage(storageKey);
+    if (!stored || isAbortError(error)) {
+      throw error;
+    }
+    categories = stored;
+  }
+
+  return categories.filter(cat =>
+    cat.name.includes('Fence') && !cat.name.includes('Post') && !cat.name.includes('Panel') && !cat.name.includes('Gate')
+  );
+};
+
+/**
+ * Clear cached catalogs from memory and localStorage
+ * @param {number|string} fenceTypeId - Fence type to clear (in every store), or nothing to clear every fence type
+ */
+export const clearCatalogCache = (fenceTypeId) => {
+  const matches = key => fenceTypeId === undefined || key.endsWith(`:${fenceTypeId}`);
+  [...memoryCache.keys()].filter(matches).forEach(key => memoryCache.delete(key));
+
+  try {
+    Object.keys(window.localStorage)
+      .filter(key => key.startsWith(STORAGE_PREFIX))
+      .filter(matches)
+      .forEach(key => window.localStorage.removeItem(key));
+  } catch (error) {
+    // Storage unavailable; nothing to clear
+  }
+};
@@ -0,0 +1,90 @@
+/**
+ * Fence Type Comparison API
+ * Prices the same runs and gates as several fence types (and styles) for side-by-side quotes
+ */
+
+import { api, isAbortError, getClientLogger } from './woocommerce.api';
+import { loadFenceCatalog } from './catalog.api';
+import { fetchComponentPrices, fetchGatePrices } from './pricing.api';
+import { getFenceRules } from '../utils/fenceRules';
+import { resolveQuoteProducts, buildQuote } from '../utils/quoteBuilder';
+import { estimateLabor } from '../utils/laborEstimate';
+import { getUniqueAttributeValues } from '../utils/productFilters';
+import { matchFenceOptions, matchRunOptions, calculateOptionTakeoff, summarizeFenceOption } from '../utils/fenceComparison';
+
+/**
+ * Price the runs as one fence type and style
+ * @param {Object} fenceType - Fence type category ({ id, name })
+ * @param {Object} catalog - Catalog of the fence type
+ * @param {string} style - Style to price ('' for the closest products)
+ * @param {Object} request - { runs, fenceOptions, installationOptions }
+ * @param {Object} client - WooCommerce API client
+ * @returns {Promise<Object>} { key, fenceType, fenceOptions, runs, adjustedGates, unmatchedGates,
+ *   takeoff, prices, quote, summary }
+ */
+const priceFenceOption = async (fenceType, catalog, style, request, client) => {
+  const { runs, fenceOptions, installationOptions } = request;
+  const { products } = catalog;
+
+  const rules = getFenceRules(fenceType.name);
+  const optionFenceOptions = matchFenceOptions(products, { ...fenceOptions, style });
+  const { runs: optionRuns, adjustedGates, unmatchedGates } = matchRunOptions(products, runs);
+  const takeoff = calculateOptionTakeoff(optionRuns, optionFenceOptions, rules, products);
+
+  const componentProducts = resolveQuoteProducts(products, optionFenceOptions, rules);
+  const [componentPrices, gatePrices] = await Promise.all([
+    fetchComponentPrices(componentProducts, client, optionFenceOptions),
+    fetchGatePrices(componentProducts.gate, takeoff.totals.gates, client),
+  ]);
+  const prices = { ...componentPrices, gates: gatePrices };
+
+  const labor = installationOptions?.include
+    ? estimateLabor(takeoff, { ...installationOptions, fenceTypeName: fenceType.name })
+    : null;
+  const quote = buildQuote(takeoff, prices, { runs: optionRuns, labor });
+
+  return {
+    key: `${fenceType.id}:${optionFenceOptions.style}`,
+    fenceType,
+    fenceOptions: optionFenceOptions,
+    runs: optionRuns,
+    adjustedGates,
+    unmatchedGates,
+    takeoff,
+    prices,
+    quote,
+    summary: summarizeFenceOption(takeoff, quote),
+  };
+};
+
+/**
+ * Price the same runs and gates as several fence types.
+ * Each fence type gets one result for the style closest to the current options,
+ * or one per style it offers with allStyles. A fence type that cannot be priced
+ * is returned with its error so the others can still be compared.
+ * @param {Array} fenceTypes - Fence type categories ({ id, name })
+ * @param {Object} request - { runs, fenceOptions, installationOptions }
+ * @param {Object} options - { allStyles, client, signal }
+ * @returns {Promise<Array>} Results from priceFenceOption, or { key, fenceType, error }
+ */
+export const compareFenceTypes = async (fenceTypes, request, options = {}) => {
+  const { allStyles = false, client = api, signal } = options;
+
+  const results = await Promise.all(fenceTypes.map(async (fenceType) => {
+    try {
+      const catalog = await loadFenceCatalog(fenceType.id, { client, signal });
+      const styles = allStyles ? getUniqueAttributeValues(catalog.products, 'Style') : [];
+      const wanted = styles.length > 0 ? styles : [request.fenceOptions?.style || ''];
+
+      return await Promise.all(wanted.map(style => priceFenceOption(fenceType, catalog, style, request, client)));
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      getClientLogger(client).error(`[Comparison] Could not price ${fenceType.name}:`, error);
+      return [{ key: String(fenceType.id), fenceType, error }];
+    }
+  }));
+
+  return results.flat();
+};
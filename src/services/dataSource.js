@@ -0,0 +1,74 @@
+/**
+ * Data Source Tracking
+ * Tags API responses with where their data came from and lets the UI follow it,
+ * so quotes are never built from mock prices without the customer knowing
+ */
+
+// Where response data came from
+export const DATA_SOURCES = {
+  // Answered by the store just now
+  LIVE: 'live',
+  // Served from a saved catalog or the service worker cache
+  CACHE: 'cache',
+  // Generated by the mock data fallback; prices are not real
+  MOCK: 'mock',
+};
+
+// Hidden property responses are tagged with; left out of JSON and object spreads
+const SOURCE_KEY = Symbol('dataSource');
+
+// Listeners notified of every tagged response
+const listeners = new Set();
+
+/**
+ * Tag response data (and each object in an array) with its source
+ * @param {Object|Array} data - Response data
+ * @param {string} source - Data source (see DATA_SOURCES)
+ * @returns {Object|Array} The same data
+ */
+export const tagDataSource = (data, source) => {
+  const items = Array.isArray(data) ? [data, ...data] : [data];
+
+  items
+    .filter(item => item && typeof item === 'object')
+    .forEach(item => Object.defineProperty(item, SOURCE_KEY, { value: source, configurable: true }));
+
+  return data;
+};
+
+/**
+ * Get the source response data was tagged with
+ * @param {Object|Array} data - Response data
+ * @returns {string|null} Data source, or null when untagged
+ */
+export const getDataSource = (data) => (data && typeof data === 'object' ? data[SOURCE_KEY] || null : null);
+
+/**
+ * Combine the sources of several responses; mock wins over cache, cache over live
+ * @param {Array} sources - Data sources
+ * @returns {string} Combined data source
+ */
+export const combineDataSources = (sources = []) => {
+  if (sources.includes(DATA_SOURCES.MOCK)) return DATA_SOURCES.MOCK;
+  if (sources.includes(DATA_SOURCES.CACHE)) return DATA_SOURCES.CACHE;
+  return DATA_SOURCES.LIVE;
+};
+
+/**
+ * Let listeners know where the data of a request came from
+ * @param {string} source - Data source (see DATA_SOURCES)
+ * @param {string} key - Request key, e.g. "products?category=53"
+ */
+export const reportDataSource = (source, key) => {
+  listeners.forEach(listener => listener({ source, key }));
+};
+
+/**
+ * Follow the data sources of API responses
+ * @param {Function} listener - Called with { source, key } for every response
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToDataSource = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,247 @@
+/**
+ * Order Queue
+ * Orders placed while offline, kept in localStorage until the store can be reached
+ */
+
+import { api, isNetworkError, getClientLogger } from './woocommerce.api';
+
+// localStorage key of the queued orders
+const QUEUE_KEY = 'fence-calculator:order-queue';
+
+// Window event fired whenever the queue changes
+export const ORDER_QUEUE_EVENT = 'fence-calculator:order-queue';
+
+// Order meta data entry naming the queued order, so a replayed order can be found in the store
+export const QUEUE_ID_META_KEY = 'fence_queue_id';
+
+// Web Lock, or localStorage lease where Web Locks are unavailable, held by the tab flushing the queue
+const FLUSH_LOCK_NAME = 'fence-calculator:order-queue-flush';
+const FLUSH_LEASE_KEY = 'fence-calculator:order-queue-lease';
+
+// How long a lease lasts without being renewed, so a closed tab never blocks the queue for good
+const FLUSH_LEASE_DURATION = 60 * 1000;
+
+// Flush in progress in this tab, shared so an order is never posted twice at once
+let activeFlush = null;
+
+/**
+ * Create an ID that stays unique when several are created in the same millisecond
+ * @param {string} prefix - ID prefix
+ * @returns {string} Unique ID
+ */
+const createId = (prefix) => {
+  const random = window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : Math.random().toString(36).slice(2, 12);
+  return `${prefix}-${Date.now().toString(36)}-${random}`;
+};
+
+// Owner of this tab's flush lease
+const TAB_ID = createId('tab');
+
+/**
+ * Read the queued orders
+ * @returns {Array} Queued orders ({ id, label, queuedAt, payload })
+ */
+const readQueue = () => {
+  try {
+    const stored = window.localStorage.getItem(QUEUE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Store the queued orders and let listeners know
+ * @param {Array} queue - Queued orders
+ */
+const writeQueue = (queue) => {
+  try {
+    window.localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    getClientLogger(api).warn('[Order Queue] Could not write to localStorage:', error);
+  }
+  window.dispatchEvent(new Event(ORDER_QUEUE_EVENT));
+};
+
+/**
+ * List queued orders, oldest first
+ * @returns {Array} Queued orders ({ id, label, queuedAt, payload })
+ */
+export const listQueuedOrders = () => readQueue();
+
+/**
+ * Queue an order payload to be submitted once the store can be reached
+ * @param {Object} payload - Order payload from buildOrderPayload
+ * @param {string} label - Short description shown to the customer
+ * @returns {Object} Queued order
+ */
+export const queueOrder = (payload, label = '') => {
+  const id = createId('order');
+  const order = {
+    id,
+    label,
+    queuedAt: new Date().toISOString(),
+    payload: {
+      ...payload,
+      meta_data: [...(payload.meta_data || []), { key: QUEUE_ID_META_KEY, value: id }],
+    },
+  };
+
+  writeQueue([...readQueue(), order]);
+  return order;
+};
+
+/**
+ * Update one queued order
+ * @param {string} id - Queued order ID
+ * @param {Object} changes - Fields to change
+ */
+const updateQueuedOrder = (id, changes) => {
+  writeQueue(readQueue().map(item => (item.id === id ? { ...item, ...changes } : item)));
+};
+
+/**
+ * Look up a queued order the store already created
+ * @param {Object} client - WooCommerce API client
+ * @param {Object} order - Queued order
+ * @returns {Promise<Object|null>} Store order carrying the queue ID, or null
+ */
+const findSubmittedOrder = async (client, order) => {
+  const orders = await client.get(
+    'orders',
+    { [QUEUE_ID_META_KEY]: order.id, after: order.queuedAt, dates_are_gmt: true, per_page: 100 },
+    { useMockData: false }
+  );
+
+  return (Array.isArray(orders) ? orders : []).find(storeOrder => (
+    storeOrder.meta_data?.some(meta => meta.key === QUEUE_ID_META_KEY && meta.value === order.id)
+  )) || null;
+};
+
+/**
+ * Read the flush lease
+ * @returns {Object|null} { owner, expiresAt }, or null when no tab holds it
+ */
+const readLease = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(FLUSH_LEASE_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Take or renew the flush lease unless another tab holds it
+ * @returns {boolean} True when this tab holds the lease
+ */
+const acquireLease = () => {
+  const lease = readLease();
+  if (lease && lease.owner !== TAB_ID && lease.expiresAt > Date.now()) {
+    return false;
+  }
+
+  try {
+    window.localStorage.setItem(FLUSH_LEASE_KEY, JSON.stringify({ owner: TAB_ID, expiresAt: Date.now() + FLUSH_LEASE_DURATION }));
+  } catch (error) {
+    // Without localStorage there is no queue shared with other tabs either
+    return true;
+  }
+
+  // Another tab may have written its lease at the same time; the last write wins
+  return readLease()?.owner === TAB_ID;
+};
+
+/**
+ * Give up the flush lease if this tab holds it
+ */
+const releaseLease = () => {
+  if (readLease()?.owner === TAB_ID) {
+    window.localStorage.removeItem(FLUSH_LEASE_KEY);
+  }
+};
+
+/**
+ * Run a task while no other tab flushes the queue
+ * @param {Function} task - (renew) => Promise; renew keeps the lease alive and returns false once another tab took it
+ * @returns {Promise<*>} Result of the task, or null when another tab is flushing
+ */
+const withFlushLock = async (task) => {
+  if (window.navigator?.locks?.request) {
+    return window.navigator.locks.request(FLUSH_LOCK_NAME, { ifAvailable: true }, lock => (
+      lock ? task(() => true) : null
+    ));
+  }
+
+  if (!acquireLease()) {
+    return null;
+  }
+
+  try {
+    return await task(acquireLease);
+  } finally {
+    releaseLease();
+  }
+};
+
+/**
+ * Submit each queued order once.
+ * An order whose earlier attempt may have reached the store is looked up by its queue ID first,
+ * so replaying it never creates a second order.
+ * @param {Object} client - WooCommerce API client
+ * @param {Function} renew - Keeps the flush lock alive; false when it was lost
+ * @returns {Promise<Object>} { submitted, failed }
+ */
+const submitQueuedOrders = async (client, renew) => {
+  const submitted = [];
+  const failed = [];
+
+  for (const order of readQueue()) {
+    // A tab that lost its lease leaves the rest to the tab that took it
+    if (!renew()) {
+      break;
+    }
+
+    try {
+      const existing = order.sentAt ? await findSubmittedOrder(client, order) : null;
+      let result = existing;
+
+      if (!existing) {
+        updateQueuedOrder(order.id, { sentAt: new Date().toISOString() });
+        // Never answer a real order with mock data
+        result = await client.post('orders', order.payload, { useMockData: false });
+      }
+      submitted.push({ order, result });
+    } catch (error) {
+      if (isNetworkError(error)) {
+        break;
+      }
+      failed.push({ order, error });
+    }
+
+    // Remove each order as it is handled so a reload never submits it twice
+    writeQueue(readQueue().filter(item => item.id !== order.id));
+  }
+
+  return { submitted, failed };
+};
+
+/**
+ * Submit the queued orders in the order they were placed.
+ * Stops at the first network failure so the remaining orders keep their place;
+ * orders the store rejects are dropped and reported.
+ * Only one tab flushes at a time; the others return without submitting anything.
+ * @param {Object} client - WooCommerce API client
+ * @returns {Promise<Object>} { submitted, failed } arrays of { order, result|error }, and busy when another tab is flushing
+ */
+export const flushOrderQueue = (client = api) => {
+  if (!activeFlush) {
+    activeFlush = withFlushLock(renew => submitQueuedOrders(client, renew))
+      .then(result => result || { submitted: [], failed: [], busy: true })
+      .finally(() => {
+        activeFlush = null;
+      });
+  }
+  return activeFlush;
+};
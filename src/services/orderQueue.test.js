@@ -0,0 +1,173 @@
+import { queueOrder, listQueuedOrders, flushOrderQueue, QUEUE_ID_META_KEY } from './orderQueue';
+
+// API client whose order lookups and posts are stubbed by each test
+const client = { get: jest.fn(), post: jest.fn() };
+
+const networkError = () => Object.assign(new TypeError('Failed to fetch'), { networkError: true });
+
+beforeEach(() => {
+  window.localStorage.clear();
+  client.get.mockReset();
+  client.post.mockReset();
+});
+
+afterEach(() => {
+  delete window.navigator.locks;
+});
+
+describe('order queue', () => {
+  it('keeps queued orders in localStorage, oldest first', () => {
+    queueOrder({ customer_note: 'first' }, 'First');
+    queueOrder({ customer_note: 'second' }, 'Second');
+
+    expect(listQueuedOrders().map(order => order.label)).toEqual(['First', 'Second']);
+  });
+
+  it('names orders queued in the same millisecond apart', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2025, 0, 1));
+
+    const ids = [queueOrder({}), queueOrder({})].map(order => order.id);
+    jest.restoreAllMocks();
+
+    expect(ids[0]).not.toBe(ids[1]);
+  });
+
+  it('tags the order with its queue ID', () => {
+    const order = queueOrder({ meta_data: [{ key: 'fence_type', value: 'Vinyl' }] });
+
+    expect(order.payload.meta_data).toEqual([
+      { key: 'fence_type', value: 'Vinyl' },
+      { key: QUEUE_ID_META_KEY, value: order.id },
+    ]);
+  });
+
+  it('submits queued orders in order and empties the queue', async () => {
+    client.post.mockImplementation((endpoint, payload) => Promise.resolve({ id: payload.n }));
+    queueOrder({ n: 1 });
+    queueOrder({ n: 2 });
+
+    const { submitted, failed } = await flushOrderQueue(client);
+
+    expect(submitted.map(({ result }) => result.id)).toEqual([1, 2]);
+    expect(failed).toEqual([]);
+    expect(listQueuedOrders()).toEqual([]);
+    expect(client.post).toHaveBeenCalledWith('orders', expect.objectContaining({ n: 1 }), { useMockData: false });
+    expect(client.get).not.toHaveBeenCalled();
+  });
+
+  it('stops at a network failure and keeps the remaining orders', async () => {
+    client.post
+      .mockResolvedValueOnce({ id: 1 })
+      .mockRejectedValueOnce(networkError());
+    queueOrder({ n: 1 });
+    queueOrder({ n: 2 });
+    queueOrder({ n: 3 });
+
+    const { submitted } = await flushOrderQueue(client);
+
+    expect(submitted).toHaveLength(1);
+    expect(listQueuedOrders().map(order => order.payload.n)).toEqual([2, 3]);
+  });
+
+  it('drops and reports orders the store rejects', async () => {
+    client.post
+      .mockRejectedValueOnce(Object.assign(new Error('API Error: 400'), { status: 400 }))
+      .mockResolvedValueOnce({ id: 2 });
+    queueOrder({ n: 1 });
+    queueOrder({ n: 2 });
+
+    const { submitted, failed } = await flushOrderQueue(client);
+
+    expect(failed.map(({ order }) => order.payload.n)).toEqual([1]);
+    expect(submitted.map(({ order }) => order.payload.n)).toEqual([2]);
+    expect(listQueuedOrders()).toEqual([]);
+  });
+
+  it('shares a flush that is already running', async () => {
+    client.post.mockResolvedValue({ id: 1 });
+    queueOrder({ n: 1 });
+
+    const [first, second] = await Promise.all([flushOrderQueue(client), flushOrderQueue(client)]);
+
+    expect(first).toBe(second);
+    expect(client.post).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('order queue replays', () => {
+  it('does not post an order again that reached the store', async () => {
+    client.post.mockRejectedValueOnce(networkError());
+    const order = queueOrder({ n: 1 });
+    await flushOrderQueue(client);
+
+    client.get.mockResolvedValue([{ id: 41, meta_data: [{ key: QUEUE_ID_META_KEY, value: order.id }] }]);
+    const { submitted } = await flushOrderQueue(client);
+
+    expect(client.post).toHaveBeenCalledTimes(1);
+    expect(client.get).toHaveBeenCalledWith('orders', expect.objectContaining({ [QUEUE_ID_META_KEY]: order.id }), { useMockData: false });
+    expect(submitted.map(({ result }) => result.id)).toEqual([41]);
+    expect(listQueuedOrders()).toEqual([]);
+  });
+
+  it('posts an order again that never reached the store', async () => {
+    client.post.mockRejectedValueOnce(networkError()).mockResolvedValueOnce({ id: 42 });
+    queueOrder({ n: 1 });
+    await flushOrderQueue(client);
+
+    client.get.mockResolvedValue([{ id: 7, meta_data: [{ key: QUEUE_ID_META_KEY, value: 'order-other' }] }]);
+    const { submitted } = await flushOrderQueue(client);
+
+    expect(client.post).toHaveBeenCalledTimes(2);
+    expect(submitted.map(({ result }) => result.id)).toEqual([42]);
+  });
+
+  it('keeps the order when the store cannot be checked', async () => {
+    client.post.mockRejectedValueOnce(networkError());
+    queueOrder({ n: 1 });
+    await flushOrderQueue(client);
+
+    client.get.mockRejectedValue(networkError());
+    await flushOrderQueue(client);
+
+    expect(client.post).toHaveBeenCalledTimes(1);
+    expect(listQueuedOrders()).toHaveLength(1);
+  });
+});
+
+describe('flushing across tabs', () => {
+  const leaseKey = 'fence-calculator:order-queue-lease';
+
+  it('leaves the queue to a tab holding the lease', async () => {
+    window.localStorage.setItem(leaseKey, JSON.stringify({ owner: 'tab-other', expiresAt: Date.now() + 60000 }));
+    queueOrder({ n: 1 });
+
+    const result = await flushOrderQueue(client);
+
+    expect(result).toEqual({ submitted: [], failed: [], busy: true });
+    expect(client.post).not.toHaveBeenCalled();
+    expect(listQueuedOrders()).toHaveLength(1);
+  });
+
+  it('takes over an expired lease and gives it up afterwards', async () => {
+    window.localStorage.setItem(leaseKey, JSON.stringify({ owner: 'tab-other', expiresAt: Date.now() - 1 }));
+    client.post.mockResolvedValue({ id: 1 });
+    queueOrder({ n: 1 });
+
+    const { submitted } = await flushOrderQueue(client);
+
+    expect(submitted).toHaveLength(1);
+    expect(window.localStorage.getItem(leaseKey)).toBeNull();
+  });
+
+  it('flushes under a Web Lock when the browser has them', async () => {
+    const request = jest.fn((name, options, callback) => callback(null));
+    window.navigator.locks = { request };
+    queueOrder({ n: 1 });
+
+    const result = await flushOrderQueue(client);
+
+    expect(request).toHaveBeenCalledWith(expect.any(String), { ifAvailable: true }, expect.any(Function));
+    expect(result.busy).toBe(true);
+    expect(client.post).not.toHaveBeenCalled();
+  });
+});
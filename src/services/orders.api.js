@@ -0,0 +1,160 @@
+/**
+ * Orders API
+ * Submits finished quotes to WooCommerce as orders
+ */
+
+import { api } from './woocommerce.api';
+import { getRunLength } from '../utils/fenceRuns';
+
+// Order statuses used by the calculator
+export const ORDER_STATUSES = {
+  // Customer confirmed the quote; staff follow up for payment
+  PLACED: 'on-hold',
+  // Quote saved for later; not yet confirmed by the customer
+  PENDING: 'pending',
+};
+
+// Empty customer contact form
+export const EMPTY_CUSTOMER = {
+  firstName: '',
+  lastName: '',
+  email: '',
+  phone: '',
+  address: '',
+  city: '',
+  state: '',
+  postcode: '',
+  notes: '',
+};
+
+/**
+ * Combine quote line items into WooCommerce order line items
+ * @param {Array} lineItems - Quote line items
+ * @returns {Array} Order line items ({ product_id, variation_id, quantity })
+ */
+const toOrderLineItems = (lineItems = []) => {
+  const items = new Map();
+
+  lineItems
+    .filter(item => item.productId && item.quantity > 0)
+    .forEach(item => {
+      const key = `${item.productId}:${item.variationId || 0}`;
+      const existing = items.get(key);
+
+      if (existing) {
+        existing.quantity += item.quantity;
+      } else {
+        items.set(key, {
+          product_id: item.productId,
+          ...(item.variationId ? { variation_id: item.variationId } : {}),
+          quantity: item.quantity,
+        });
+      }
+    });
+
+  return [...items.values()];
+};
+
+/**
+ * Turn quote labor lines into WooCommerce order fees
+ * @param {Array} laborItems - Quote labor line items
+ * @returns {Array} Order fee lines ({ name, total })
+ */
+const toOrderFeeLines = (laborItems = []) => {
+  return laborItems.map(item => ({
+    name: item.label,
+    total: item.total.toFixed(2),
+    tax_status: 'none',
+  }));
+};
+
+/**
+ * Describe the run layout for the order meta data
+ * @param {Array} runs - Fence runs
+ * @returns {Array} Runs without editor-only fields
+ */
+const toLayoutMeta = (runs = []) => {
+  return runs.map((run, index) => ({
+    name: run.name || `Run ${index + 1}`,
+    length: getRunLength(run),
+    height: run.height,
+    style: run.style,
+    startCondition: run.startCondition,
+    endCondition: run.endCondition,
+    gates: (run.gates || []).map(gate => ({
+      type: gate.type,
+      width: gate.width,
+      style: gate.style,
+      position: gate.position,
+    })),
+  }));
+};
+
+/**
+ * Build a WooCommerce order payload from a quote
+ * @param {Object} quote - Quote from buildQuote
+ * @param {Object} customer - Customer contact info
+ * @param {Object} layout - { fenceType, fenceOptions, runs }
+ * @param {string} status - Order status (see ORDER_STATUSES)
+ * @returns {Object} Order payload
+ */
+export const buildOrderPayload = (quote, customer, layout = {}, status = ORDER_STATUSES.PENDING) => {
+  const address = {
+    first_name: customer.firstName || '',
+    last_name: customer.lastName || '',
+    address_1: customer.address || '',
+    city: customer.city || '',
+    state: customer.state || '',
+    postcode: customer.postcode || '',
+    country: customer.country || 'US',
+  };
+
+  return {
+    status,
+    set_paid: false,
+    billing: {
+      ...address,
+      email: customer.email || '',
+      phone: customer.phone || '',
+    },
+    shipping: address,
+    customer_note: customer.notes || '',
+    line_items: toOrderLineItems(quote.lineItems),
+    fee_lines: toOrderFeeLines(quote.laborItems),
+    meta_data: [
+      { key: 'fence_type', value: layout.fenceType?.name || String(layout.fenceType?.id || '') },
+      { key: 'fence_options', value: JSON.stringify(layout.fenceOptions || {}) },
+      { key: 'fence_runs', value: JSON.stringify(toLayoutMeta(layout.runs)) },
+      { key: 'fence_quote_total', value: String(quote.total) },
+      { key: 'fence_quote_date', value: quote.createdAt },
+      // Backorders and shortages the customer accepted when ordering
+      ...(quote.availabilityWarnings?.length > 0
+        ? [{ key: 'fence_availability', value: JSON.stringify(quote.availabilityWarnings.map(({ label, message }) => ({ label, message }))) }]
+        : []),
+    ],
+  };
+};
+
+/**
+ * Create a WooCommerce order from a quote
+ * @param {Object} quote - Quote from buildQuote
+ * @param {Object} customer - Customer contact info
+ * @param {Object} layout - { fenceType, fenceOptions, runs }
+ * @param {string} status - Order status (see ORDER_STATUSES)
+ * @param {Object} client - WooCommerce API client
+ * @returns {Promise<Object>} Created order
+ */
+export const createOrder = async (quote, customer, layout, status, client = api) => {
+  const payload = buildOrderPayload(quote, customer, layout, status);
+
+  if (payload.line_items.length === 0) {
+    throw new Error('The quote has no products that can be ordered.');
+  }
+
+  if (quote.mockPriced?.length > 0) {
+    throw new Error('The quote uses sample prices and cannot be ordered.');
+  }
+
+  // A failed order must never come back as a sample order, or the customer would think it was placed
+  return client.post('orders', payload, { useMockData: false });
+};
@@ -0,0 +1,156 @@
+/**
+ * Pricing API
+ * Fetches current prices for the products used in a quote
+ */
+
+import { api, isNetworkError, getClientLogger } from './woocommerce.api';
+import { findVariation, isVariableProduct } from './variations.api';
+import { DATA_SOURCES, getDataSource } from './dataSource';
+import { getStock, getProductStock } from '../utils/availability';
+
+/**
+ * Find the variation of a variable product for a set of attributes.
+ * Offline, when the variations cannot be loaded, no variation is found.
+ * @param {Object} product - Variable product
+ * @param {Object} attributes - Selected attributes, e.g. { Height: '6 ft', Style: 'Privacy' }
+ * @param {Object} client - WooCommerce API client
+ * @returns {Promise<Object|null>} Matching variation, or null
+ */
+const resolveVariation = async (product, attributes, client) => {
+  try {
+    return await findVariation(product.id, attributes, client);
+  } catch (error) {
+    if (!isNetworkError(error)) {
+      throw error;
+    }
+    return null;
+  }
+};
+
+/**
+ * Fetch the current price and stock of a product.
+ * Variable products are priced by the variation matching the selected attributes; the parent
+ * price is only the cheapest variation, so a product without a matching variation is not priced.
+ * When the store cannot be reached, the price and stock of the (snapshot) catalog product are used.
+ * @param {Object} product - Product to price
+ * @param {Object} client - WooCommerce API client
+ * @param {Object} attributes - Selected attributes used to pick the variation of a variable product
+ * @returns {Promise<Object|null>} { productId, variationId, name, sku, price, stock, source },
+ *   or null when no variation matches
+ */
+export const fetchProductPrice = async (product, client = api, attributes = {}) => {
+  let current;
+  let source;
+  try {
+    current = await client.get(`products/${product.id}`);
+    source = getDataSource(current) || DATA_SOURCES.LIVE;
+  } catch (error) {
+    if (!isNetworkError(error) || product.price === undefined) {
+      throw error;
+    }
+    current = product;
+    source = DATA_SOURCES.CACHE;
+  }
+
+  if (isVariableProduct(current)) {
+    const variation = await resolveVariation(current, attributes, client);
+    if (!variation) {
+      getClientLogger(client).warn(`[Pricing] No single variation of product ${current.id} matches`, attributes);
+      return null;
+    }
+
+    return {
+      productId: current.id,
+      variationId: variation.id,
+      name: current.name,
+      sku: variation.sku || current.sku || '',
+      price: parseFloat(variation.price || '0'),
+      // Stock of the chosen variation, not the combined stock of all of them
+      stock: getStock(variation),
+      source: getDataSource(variation) || source,
+    };
+  }
+
+  return {
+    productId: current.id,
+    variationId: null,
+    name: current.name,
+    sku: current.sku || '',
+    price: parseFloat(current.price || '0'),
+    stock: getProductStock(current),
+    source,
+  };
+};
+
+/**
+ * Get the attributes that pick a component's variation from the fence options.
+ * The panel width only applies to panels; posts, caps and hardware are not sized by it.
+ * @param {string} key - Component key
+ * @param {Object} fenceOptions - Fence-wide options ({ height, style, panelWidth })
+ * @returns {Object} Attributes for findVariation
+ */
+export const getComponentAttributes = (key, fenceOptions = {}) => ({
+  Height: fenceOptions.height,
+  Style: fenceOptions.style,
+  ...(key === 'panels' ? { Width: fenceOptions.panelWidth } : {}),
+});
+
+/**
+ * Fetch current prices for each resolved quote component
+ * @param {Object} componentProducts - Map of component key to product (or null)
+ * @param {Object} client - WooCommerce API client
+ * @param {Object} fenceOptions - Fence-wide options that pick the variations of variable products
+ * @returns {Promise<Object>} Map of component key to price (or null when no product or variation)
+ */
+export const fetchComponentPrices = async (componentProducts, client = api, fenceOptions = {}) => {
+  const entries = await Promise.all(
+    Object.entries(componentProducts).map(async ([key, product]) => {
+      if (!product) {
+        return [key, null];
+      }
+
+      return [key, await fetchProductPrice(product, client, getComponentAttributes(key, fenceOptions))];
+    })
+  );
+
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Fetch the variation price and stock of each gate variant of a variable gate product.
+ * Variants without a matching variation (or that cannot be looked up offline) are priced
+ * as null so the quote lists them as unpriced; a simple gate product is priced as a whole.
+ * @param {Object} gateProduct - Gate product (or null)
+ * @param {Array} gateVariants - Gate variants from the takeoff totals
+ * @param {Object} client - WooCommerce API client
+ * @returns {Promise<Object>} Map of gate variant key to price
+ */
+export const fetchGatePrices = async (gateProduct, gateVariants = [], client = api) => {
+  if (!gateProduct || gateVariants.length === 0 || !isVariableProduct(gateProduct)) {
+    return {};
+  }
+
+  const entries = await Promise.all(gateVariants.map(async (variant) => {
+    const variation = await resolveVariation(gateProduct, {
+      Width: variant.width,
+      Height: variant.height,
+      Style: variant.style
+    }, client);
+
+    if (!variation) {
+      return [variant.key, null];
+    }
+
+    return [variant.key, {
+      productId: gateProduct.id,
+      variationId: variation.id,
+      name: gateProduct.name,
+      sku: variation.sku || gateProduct.sku || '',
+      price: parseFloat(variation.price || '0'),
+      stock: getStock(variation),
+      source: getDataSource(variation) || DATA_SOURCES.LIVE,
+    }];
+  }));
+
+  return Object.fromEntries(entries);
+};
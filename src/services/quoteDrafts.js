@@ -0,0 +1,123 @@
+/**
+ * Quote Drafts
+ * Named drafts and the autosaved wizard state, kept in localStorage
+ */
+
+import { encodeQuoteState, decodeQuoteState } from '../utils/quoteState';
+
+// localStorage key of the named drafts list
+const DRAFTS_KEY = 'fence-calculator:drafts';
+
+// localStorage key of the autosaved wizard state
+const AUTOSAVE_KEY = 'fence-calculator:autosave';
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when missing or unreadable
+ * @returns {*} Stored value
+ */
+const readStorage = (key, fallback) => {
+  try {
+    const stored = window.localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Write a JSON value to localStorage
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ */
+const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn('[Drafts] Could not write to localStorage:', error);
+  }
+};
+
+/**
+ * List saved drafts, newest first
+ * @returns {Array} Drafts ({ id, name, savedAt, state })
+ */
+export const listDrafts = () => {
+  return readStorage(DRAFTS_KEY, [])
+    .slice()
+    .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+};
+
+/**
+ * Save the calculator state as a named draft, replacing a draft with the same name
+ * @param {string} name - Draft name
+ * @param {Object} state - { fenceTypeId, fenceOptions, runs, layout, installationOptions, step }
+ * @returns {Object} Saved draft
+ */
+export const saveDraft = (name, state) => {
+  const drafts = readStorage(DRAFTS_KEY, []);
+  const existing = drafts.find(draft => draft.name === name);
+  const draft = {
+    id: existing?.id || `draft-${Date.now().toString(36)}`,
+    name,
+    savedAt: new Date().toISOString(),
+    state: encodeQuoteState(state),
+  };
+
+  writeStorage(DRAFTS_KEY, [...drafts.filter(item => item.id !== draft.id), draft]);
+  return draft;
+};
+
+/**
+ * Load the calculator state of a draft
+ * @param {string} id - Draft ID
+ * @returns {Object|null} Calculator state, or null when the draft is missing
+ */
+export const loadDraft = (id) => {
+  const draft = readStorage(DRAFTS_KEY, []).find(item => item.id === id);
+  return draft ? decodeQuoteState(draft.state) : null;
+};
+
+/**
+ * Delete a draft
+ * @param {string} id - Draft ID
+ */
+export const deleteDraft = (id) => {
+  writeStorage(DRAFTS_KEY, readStorage(DRAFTS_KEY, []).filter(draft => draft.id !== id));
+};
+
+/**
+ * Autosave the wizard state so a page refresh can restore it
+ * @param {Object} state - { fenceTypeId, fenceOptions, runs, layout, installationOptions, step }
+ */
+export const saveAutosave = (state) => {
+  writeStorage(AUTOSAVE_KEY, encodeQuoteState(state));
+};
+
+/**
+ * Load the autosaved wizard state
+ * @returns {Object|null} Calculator state, or null when nothing usable was saved
+ */
+export const loadAutosave = () => {
+  const encoded = readStorage(AUTOSAVE_KEY, null);
+  if (!encoded) return null;
+
+  try {
+    return decodeQuoteState(encoded);
+  } catch (error) {
+    // Saved by an older version; start fresh
+    return null;
+  }
+};
+
+/**
+ * Clear the autosaved wizard state
+ */
+export const clearAutosave = () => {
+  try {
+    window.localStorage.removeItem(AUTOSAVE_KEY);
+  } catch (error) {
+    // Storage unavailable; nothing to clear
+  }
+};
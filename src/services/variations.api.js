@@ -0,0 +1,129 @@
+/**
+ * Product Variations API
+ * Fetches and caches WooCommerce product variations and resolves the
+ * variation matching a set of selected attributes
+ */
+
+import { api, getClientCacheKey } from './woocommerce.api';
+import { fetchAllPages, CATALOG_CACHE_TTL } from './catalog.api';
+import { DATA_SOURCES, getDataSource } from './dataSource';
+import { normalizeAttributeName, attributeOptionsMatch } from '../utils/productFilters';
+
+// Cached variation requests ({ request, cachedAt }) by store and product ID (see getVariationCacheKey).
+// They expire with the catalog, so variation prices and stock are never older than product prices.
+const variationCache = new Map();
+
+/**
+ * Build the cache key of a product's variations
+ * @param {Object} client - WooCommerce API client
+ * @param {number} productId - Product ID
+ * @returns {string} Cache key
+ */
+const getVariationCacheKey = (client, productId) => `${getClientCacheKey(client)}|${productId}`;
+
+/**
+ * Check whether a product is sold as variations.
+ * Catalog lists may leave out the product type, so attributes used for variations also count.
+ * @param {Object} product - Product object
+ * @returns {boolean} True for variable products
+ */
+export const isVariableProduct = (product) => (
+  product?.type === 'variable' || Boolean(product?.attributes?.some(attr => attr.variation))
+);
+
+/**
+ * Get all variations of a variable product
+ * @param {number} productId - Product ID
+ * @param {Object} options - { refresh: true } to bypass the cache, { client } to use another API client
+ * @returns {Promise<Array>} Product variations
+ */
+export const getProductVariations = async (productId, options = {}) => {
+  const { refresh = false, client = api } = options;
+  const key = getVariationCacheKey(client, productId);
+
+  const cached = variationCache.get(key);
+  if (!refresh && cached && Date.now() - cached.cachedAt < CATALOG_CACHE_TTL) {
+    return cached.request;
+  }
+
+  const request = fetchAllPages(`products/${productId}/variations`, {}, { client });
+  variationCache.set(key, { request, cachedAt: Date.now() });
+
+  try {
+    const variations = await request;
+    // Sample variations are only a stand-in until the store answers again
+    if (getDataSource(variations) === DATA_SOURCES.MOCK) {
+      variationCache.delete(key);
+    }
+    return variations;
+  } catch (error) {
+    // Don't cache failures so the next lookup tries again
+    variationCache.delete(key);
+    throw error;
+  }
+};
+
+/**
+ * Find the variation matching a set of attributes.
+ * A variation that leaves an attribute out matches any value ("Any Width" in WooCommerce);
+ * when several variations match, the one that specifies the most attributes wins.
+ * Attributes without a selection match every variation, so when that leaves several equally
+ * specific variations (e.g. no style chosen and two styles offered) the match is ambiguous.
+ * @param {Array} variations - Product variations
+ * @param {Object} attributes - Selected attributes, e.g. { Width: '4 ft', Height: '6 ft', Style: 'Privacy' }
+ * @returns {Object|null} Matching variation, or null when none or more than one matches
+ */
+export const matchVariation = (variations = [], attributes = {}) => {
+  const selected = Object.entries(attributes)
+    .filter(([, option]) => option !== undefined && option !== null && option !== '')
+    .map(([name, option]) => [normalizeAttributeName(name), option]);
+
+  let bestMatches = [];
+  let bestScore = -1;
+
+  variations.forEach(variation => {
+    const variationAttributes = variation.attributes || [];
+
+    const matches = selected.every(([name, option]) => {
+      const attr = variationAttributes.find(a => normalizeAttributeName(a.name) === name);
+      return !attr || attributeOptionsMatch(attr.option, option);
+    });
+
+    if (!matches) return;
+
+    if (variationAttributes.length > bestScore) {
+      bestMatches = [variation];
+      bestScore = variationAttributes.length;
+    } else if (variationAttributes.length === bestScore) {
+      bestMatches.push(variation);
+    }
+  });
+
+  return bestMatches.length === 1 ? bestMatches[0] : null;
+};
+
+/**
+ * Fetch a product's variations and find the one matching a set of attributes
+ * @param {number} productId - Product ID
+ * @param {Object} attributes - Selected attributes
+ * @param {Object} client - WooCommerce API client
+ * @returns {Promise<Object|null>} Matching variation, or null when none or more than one matches
+ */
+export const findVariation = async (productId, attributes, client = api) => {
+  const variations = await getProductVariations(productId, { client });
+  return matchVariation(variations, attributes);
+};
+
+/**
+ * Clear cached variations
+ * @param {number} productId - Product ID to clear (in every store), or nothing to clear every product
+ */
+export const clearVariationCache = (productId) => {
+  if (productId === undefined) {
+    variationCache.clear();
+  } else {
+    [...variationCache.keys()]
+      .filter(key => key.endsWith(`|${productId}`))
+      .forEach(key => variationCache.delete(key));
+  }
+};
@@ -0,0 +1,78 @@
+import { matchVariation, getProductVariations, clearVariationCache } from './variations.api';
+import { CATALOG_CACHE_TTL } from './catalog.api';
+
+const createVariation = (id, attributes) => ({
+  id,
+  attributes: Object.entries(attributes).map(([name, option]) => ({ name, option })),
+});
+
+const variations = [
+  createVariation(1, { Width: '4 ft', Style: 'Privacy' }),
+  createVariation(2, { Width: '4 ft', Style: 'Picket' }),
+  createVariation(3, { Width: '5 ft' }),
+];
+
+describe('matchVariation', () => {
+  it('finds the variation with the selected options', () => {
+    expect(matchVariation(variations, { Width: '4 ft', Style: 'Picket' })?.id).toBe(2);
+  });
+
+  it('compares attribute names and options loosely', () => {
+    expect(matchVariation(variations, { pa_width: '4-Ft', style: 'privacy' })?.id).toBe(1);
+  });
+
+  it('lets a variation that leaves an attribute out match any value', () => {
+    expect(matchVariation(variations, { Width: '5 ft', Style: 'Gothic' })?.id).toBe(3);
+  });
+
+  it('prefers the variation that specifies the most attributes', () => {
+    const withAny = [...variations, createVariation(4, { Style: 'Privacy' })];
+    expect(matchVariation(withAny, { Width: '4 ft', Style: 'Privacy' })?.id).toBe(1);
+  });
+
+  it('returns null when several variations match equally well', () => {
+    expect(matchVariation(variations, { Width: '4 ft' })).toBeNull();
+    expect(matchVariation(variations, { Width: '4 ft', Style: '' })).toBeNull();
+  });
+
+  it('returns null when no variation matches', () => {
+    expect(matchVariation(variations, { Width: '6 ft' })).toBeNull();
+    expect(matchVariation([], { Width: '4 ft' })).toBeNull();
+  });
+});
+
+describe('getProductVariations', () => {
+  const createClient = () => ({
+    get: jest.fn().mockResolvedValue({ data: variations, totalPages: 1 }),
+    getConfig: () => ({ proxyUrl: '/api/woo' }),
+  });
+
+  beforeEach(() => {
+    clearVariationCache();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('caches the variations of a product', async () => {
+    const client = createClient();
+
+    await getProductVariations(7, { client });
+    await expect(getProductVariations(7, { client })).resolves.toEqual(variations);
+
+    expect(client.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('loads the variations again once they are as old as the catalog TTL', async () => {
+    const client = createClient();
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await getProductVariations(7, { client });
+    clock.mockReturnValue(now + CATALOG_CACHE_TTL);
+    await getProductVariations(7, { client });
+
+    expect(client.get).toHaveBeenCalledTimes(2);
+  });
+});
@@ -3,28 +3,57 @@
  * Uses WooCommerce REST API to fetch fence products and variations
  */
 
-// Configuration to control API behavior
-const API_SETTINGS = {
-  // Whether to use mock data when API calls fail
-  USE_MOCK_DATA: true,
-  // Maximum timeout for API calls in milliseconds
-  REQUEST_TIMEOUT: 15000,
-  // Number of retry attempts for failed requests
-  MAX_RETRIES: 3,
-  // Delay between retries in milliseconds (multiplied by retry attempt)
-  RETRY_DELAY: 1000,
-  // Whether to log API requests for debugging
-  DEBUG_MODE: true,
-  // Whether to show warnings in console for fallback data usage
-  SHOW_FALLBACK_WARNINGS: true,
+import { DATA_SOURCES, tagDataSource, reportDataSource } from './dataSource';
+
+// Header the service worker adds to API responses it serves from its cache
+const CACHED_RESPONSE_HEADER = 'X-Served-From-Cache';
+
+// Header the proxy adds to errors when it could not connect to the store, so the request never reached it
+const NOT_REACHED_HEADER = 'X-Upstream-Not-Reached';
+
+// REST API paths to try on each domain, in order
+const API_PATHS = ['/wp-json/wc/v3', '/index.php/wp-json/wc/v3'];
+
+// Methods that can safely be sent again after a failure without a response
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+
+// Log levels from most to least verbose
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'none'];
+
+// Default client options, read from the environment
+export const DEFAULT_CLIENT_OPTIONS = {
+  // Store URL, used when there is no proxy
+  baseUrl: process.env.REACT_APP_WOOCOMMERCE_URL || 'https://example.com',
+  // Local proxy that holds the API credentials server-side (see server/wooProxy.js)
+  proxyUrl: process.env.REACT_APP_WOOCOMMERCE_PROXY_URL || '',
+  // Consumer key and secret (only used without the proxy)
+  consumerKey: process.env.REACT_APP_WOOCOMMERCE_CONSUMER_KEY || '',
+  consumerSecret: process.env.REACT_APP_WOOCOMMERCE_CONSUMER_SECRET || '',
+  // Whether to use mock data when API calls fail (never used while the browser is offline)
+  useMockData: process.env.REACT_APP_USE_MOCK_DATA === 'true',
+  // Maximum time per request in milliseconds
+  timeout: 15000,
+  // Retries of failed requests: the delay doubles each retry (with jitter) up to maxDelay, in milliseconds.
+  // maxTotalTime caps a request with all its retries and store URLs.
+  retry: {
+    maxRetries: 3,
+    retryDelay: 1000,
+    maxDelay: 30000,
+    maxTotalTime: 45000,
+  },
+  // Object with debug/info/warn/error methods
+  logger: console,
   // Log level: 'debug', 'info', 'warn', 'error', 'none'
-  LOG_LEVEL: 'debug',
+  logLevel: process.env.REACT_APP_DEBUG_MODE === 'false' ? 'warn' : 'debug',
+  // fetch implementation; looked up on each call so a replaced global fetch is used
+  fetch: (...args) => fetch(...args),
 };
 
-// Primary domain from environment
-const primaryDomain = process.env.REACT_APP_WOOCOMMERCE_URL || 'https://example.com';
-
-// Create alternative URLs to try
+/**
+ * Create alternative URLs to try (the www or non-www version of the store)
+ * @param {string} url - Store URL
+ * @returns {Array} Alternative store URLs
+ */
 const getAlternativeUrls = (url) => {
   if (!url) return [];
   try {
@@ -41,71 +70,107 @@ const getAlternativeUrls = (url) => {
   }
 };
 
-// API configuration with correct endpoint formats
-const API_CONFIG = {
-  // Try different API endpoint formats (will try each one in order until success)
-  endpointFormats: [
-    `${primaryDomain}/wp-json/wc/v3`,           // Standard format
-    `${primaryDomain}/index.php/wp-json/wc/v3`, // Format for certain WordPress configurations
-    `${primaryDomain}/wp-json/wc/v3`,           // Fallback to standard again
-  ],
-  // Alternative domains to try if primary fails
-  alternativeDomains: getAlternativeUrls(primaryDomain),
-  // Consumer key and secret from environment
-  consumerKey: process.env.REACT_APP_WOOCOMMERCE_CONSUMER_KEY || '',
-  consumerSecret: process.env.REACT_APP_WOOCOMMERCE_CONSUMER_SECRET || '',
+/**
+ * Wrap a logger so messages below the log level are dropped
+ * @param {Object} logger - Object with debug/info/warn/error methods
+ * @param {string} logLevel - Lowest level to log
+ * @returns {Object} Filtered logger
+ */
+const createLevelLogger = (logger, logLevel) => {
+  const minimum = LOG_LEVELS.indexOf(logLevel);
+
+  return Object.fromEntries(LOG_LEVELS.slice(0, -1).map(level => [
+    level,
+    (...args) => {
+      if (minimum !== -1 && LOG_LEVELS.indexOf(level) >= minimum) {
+        logger[level]?.(...args);
+      }
+    },
+  ]));
 };
 
 /**
- * Creates a WooCommerce API client
- * @returns {Object} WooCommerce API client
+ * Resolve client options into the configuration used for requests
+ * @param {Object} options - Client options (see DEFAULT_CLIENT_OPTIONS)
+ * @returns {Object} Client configuration
  */
-const createWooCommerceClient = () => {
+const resolveClientConfig = (options = {}) => {
+  const settings = {
+    ...DEFAULT_CLIENT_OPTIONS,
+    ...options,
+    retry: { ...DEFAULT_CLIENT_OPTIONS.retry, ...options.retry },
+  };
+  const baseUrl = settings.baseUrl.replace(/\/+$/, '');
+  const proxyUrl = settings.proxyUrl.replace(/\/+$/, '');
+  const alternativeDomains = getAlternativeUrls(baseUrl);
+
   return {
-    get: async (endpoint, params = {}) => {
-      return woocommerceRequest(endpoint, params, 'GET');
-    },
-    post: async (endpoint, data = {}) => {
-      return woocommerceRequest(endpoint, {}, 'POST', data);
-    },
-    put: async (endpoint, data = {}) => {
-      return woocommerceRequest(endpoint, {}, 'PUT', data);
-    },
-    delete: async (endpoint, params = {}) => {
-      return woocommerceRequest(endpoint, params, 'DELETE');
-    }
+    ...settings,
+    baseUrl,
+    proxyUrl,
+    // Whether requests go through the local proxy instead of straight to WooCommerce
+    useProxy: Boolean(proxyUrl),
+    // Alternative domains to try if primary fails
+    alternativeDomains,
+    // API base URLs to try in order until one answers: each path on the primary domain, then on the alternatives
+    apiBaseUrls: proxyUrl
+      ? [proxyUrl]
+      : [baseUrl, ...alternativeDomains].flatMap(domain => API_PATHS.map(path => `${domain}${path}`)),
+    // Credentials never go to the browser's requests when the proxy adds them
+    consumerKey: proxyUrl ? '' : settings.consumerKey,
+    consumerSecret: proxyUrl ? '' : settings.consumerSecret,
+    logger: createLevelLogger(settings.logger, settings.logLevel),
   };
 };
 
 /**
- * Get API configuration
- * @returns {Object} API configuration
+ * Check whether the browser reports having no network connection
+ * @returns {boolean} True when offline
  */
-export const getConfig = () => {
-  return {
-    ...API_CONFIG,
-    settings: { ...API_SETTINGS }
-  };
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Check whether an API error means the store could not be reached at all
+ * (as opposed to the store answering with an error status)
+ * @param {Error} error - Error thrown by woocommerceRequest
+ * @returns {boolean} True for network failures and timeouts
+ */
+export const isNetworkError = (error) => !error?.aborted && (Boolean(error?.networkError) || isOffline());
+
+/**
+ * Check whether an API error means the caller cancelled the request
+ * @param {Error} error - Error thrown by woocommerceRequest
+ * @returns {boolean} True when the request was cancelled through its AbortSignal
+ */
+export const isAbortError = (error) => Boolean(error?.aborted);
+
+/**
+ * Create the error a request rejects with when its caller cancels it
+ * @returns {Error} Abort error
+ */
+const createAbortError = () => {
+  const error = new Error('The request was cancelled.');
+  error.name = 'AbortError';
+  error.aborted = true;
+  return error;
 };
 
 /**
  * Builds a WooCommerce API URL with authentication
+ * @param {Object} config - Client configuration
+ * @param {string} apiBaseUrl - API base URL, one of config.apiBaseUrls
  * @param {string} endpoint - API endpoint
  * @param {Object} params - URL parameters
- * @param {number} formatIndex - Index of endpoint format to use
  * @returns {string} URL with authentication
  */
-const buildWooCommerceUrl = (endpoint, params = {}, formatIndex = 0) => {
-  // Get the endpoint format to use, defaulting to the first one
-  const endpointFormat = API_CONFIG.endpointFormats[formatIndex] || API_CONFIG.endpointFormats[0];
-  
-  // Build the URL
-  const url = new URL(`${endpointFormat}/${endpoint}`);
+const buildWooCommerceUrl = (config, apiBaseUrl, endpoint, params = {}) => {
+  // Build the URL (the proxy URL may be relative to the page)
+  const url = new URL(`${apiBaseUrl}/${endpoint}`, window.location.origin);
   
-  // Add authentication parameters
-  const allParams = {
-    consumer_key: API_CONFIG.consumerKey,
-    consumer_secret: API_CONFIG.consumerSecret,
+  // Add authentication parameters; the proxy adds its own
+  const allParams = config.useProxy ? { ...params } : {
+    consumer_key: config.consumerKey,
+    consumer_secret: config.consumerSecret,
     ...params
   };
   
@@ -120,95 +185,441 @@ const buildWooCommerceUrl = (endpoint, params = {}, formatIndex = 0) => {
 };
 
 /**
- * Makes a request to the WooCommerce API
+ * Describe a request for data source reports
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - URL parameters
+ * @returns {string} Request key, e.g. "products?category=53"
+ */
+const getRequestKey = (endpoint, params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+  ).toString();
+  return query ? `${endpoint}?${query}` : endpoint;
+};
+
+/**
+ * Read a Retry-After header
+ * @param {string|null} value - Header value: seconds or an HTTP date
+ * @returns {number|null} Delay in milliseconds, or null when missing or unreadable
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Check whether a failed request is worth sending again.
+ * Rate limits, server errors and lost connections are; other errors would fail the same way.
+ * Orders are only resent when they never reached the store (the proxy could not connect to it):
+ * a store that answered, even with 429 or 503, or a connection lost mid-request may have created them.
+ * @param {Error} error - Request error
+ * @param {string} method - HTTP method
+ * @returns {boolean} True when the request can be retried
+ */
+const isRetryable = (error, method) => {
+  if (!IDEMPOTENT_METHODS.includes(method)) return Boolean(error.notReached);
+  return Boolean(error.networkError) || error.status === 429 || error.status >= 500;
+};
+
+/**
+ * Get the delay before a retry: exponential backoff with jitter, or what the store asked for
+ * @param {Object} retry - Retry policy ({ retryDelay, maxDelay })
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {number|null} retryAfter - Delay from a Retry-After header in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (retry, attempt, retryAfter) => {
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, retry.maxDelay);
+  }
+
+  // Equal jitter: half the backoff is fixed, half is random, so clients don't retry in lockstep
+  const backoff = Math.min(retry.retryDelay * 2 ** attempt, retry.maxDelay);
+  return backoff / 2 + Math.random() * (backoff / 2);
+};
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Cancels the wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const handleAbort = () => {
+    clearTimeout(timeoutId);
+    reject(createAbortError());
+  };
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener('abort', handleAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+/**
+ * Send one request to one API base URL
+ * @param {Object} config - Client configuration
+ * @param {string} url - Request URL
+ * @param {string} method - HTTP method
+ * @param {Object} data - Request body for POST/PUT requests
+ * @param {AbortSignal} signal - Caller's signal to cancel the request
+ * @param {number} timeout - Time the request may take in milliseconds
+ * @returns {Promise<Response>} Successful response
+ */
+const sendRequest = async (config, url, method, data, signal, timeout = config.timeout) => {
+  // Set up request options
+  const fetchOptions = {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+    },
+  };
+
+  // Add body for POST/PUT requests
+  if (data && (method === 'POST' || method === 'PUT')) {
+    fetchOptions.body = JSON.stringify(data);
+  }
+
+  // Make request with timeout, cancelled along with the caller's signal
+  const abortController = new AbortController();
+  const timeoutId = setTimeout(() => abortController.abort(), timeout);
+  const handleAbort = () => abortController.abort();
+  signal?.addEventListener('abort', handleAbort, { once: true });
+  fetchOptions.signal = abortController.signal;
+
+  try {
+    const response = await config.fetch(url, fetchOptions);
+
+    // Handle response
+    if (!response.ok) {
+      const apiError = new Error(`API Error: ${response.status} ${response.statusText}`);
+      apiError.status = response.status;
+      apiError.retryAfter = parseRetryAfter(response.headers?.get('Retry-After'));
+      apiError.notReached = response.headers?.get(NOT_REACHED_HEADER) === 'true';
+      throw apiError;
+    }
+
+    return response;
+  } catch (error) {
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+
+    // No status means no response: the request failed or timed out
+    if (!error.status) {
+      error.networkError = true;
+      error.timeout = abortController.signal.aborted;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', handleAbort);
+  }
+};
+
+/**
+ * Makes a request to the WooCommerce API.
+ * Each attempt tries the API base URLs in order, starting with the one that last worked;
+ * attempts that only hit rate limits, server errors or lost connections are retried with backoff
+ * until retry.maxTotalTime has passed.
+ * @param {Object} config - Client configuration
+ * @param {Object} state - Client state ({ workingBaseUrl })
  * @param {string} endpoint - API endpoint
  * @param {Object} params - URL parameters
  * @param {string} method - HTTP method (GET, POST, etc.)
  * @param {Object} data - Request body for POST/PUT requests
  * @param {Object} options - Additional options
- * @returns {Promise<Object>} API response
+ * @param {boolean} options.useMockData - Whether to fall back to mock data when every endpoint fails
+ * @param {boolean} options.includeMeta - Resolve with { data, total, totalPages, source } from the pagination headers
+ * @param {AbortSignal} options.signal - Cancels the request, including retries
+ * @returns {Promise<Object>} API response, tagged with its data source (see getDataSource)
  */
-export const woocommerceRequest = async (endpoint, params = {}, method = 'GET', data = null, options = {}) => {
-  const { useMockData = API_SETTINGS.USE_MOCK_DATA } = options;
-  
-  // Log request if in debug mode
-  if (API_SETTINGS.DEBUG_MODE && API_SETTINGS.LOG_LEVEL === 'debug') {
-    console.debug(`[WooCommerce API] ${method} ${endpoint}`, params);
+const performRequest = async (config, state, endpoint, params = {}, method = 'GET', data = null, options = {}) => {
+  const { useMockData = config.useMockData, includeMeta = false, signal } = options;
+  const { logger, retry } = config;
+
+  if (signal?.aborted) {
+    throw createAbortError();
   }
-  
-  // Try each endpoint format
-  for (let i = 0; i < API_CONFIG.endpointFormats.length; i++) {
-    const url = buildWooCommerceUrl(endpoint, params, i);
-    
-    try {
-      // Set up request options
-      const fetchOptions = {
-        method,
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        timeout: API_SETTINGS.REQUEST_TIMEOUT,
-      };
-      
-      // Add body for POST/PUT requests
-      if (data && (method === 'POST' || method === 'PUT')) {
-        fetchOptions.body = JSON.stringify(data);
-      }
-      
-      // Make request with timeout
-      const abortController = new AbortController();
-      const timeoutId = setTimeout(() => abortController.abort(), API_SETTINGS.REQUEST_TIMEOUT);
-      fetchOptions.signal = abortController.signal;
-      
-      const response = await fetch(url, fetchOptions);
-      clearTimeout(timeoutId);
-      
-      // Handle response
-      if (!response.ok) {
-        throw new Error(`API Error: ${response.status} ${response.statusText}`);
-      }
-      
-      const responseData = await response.json();
-      
-      // Log success if in debug mode
-      if (API_SETTINGS.DEBUG_MODE && API_SETTINGS.LOG_LEVEL === 'debug') {
-        console.debug(`[WooCommerce API] Response:`, responseData);
+
+  logger.debug(`[WooCommerce API] ${method} ${endpoint}`, params);
+
+  // Start with the base URL that worked last time
+  const baseUrls = state.workingBaseUrl
+    ? [state.workingBaseUrl, ...config.apiBaseUrls.filter(url => url !== state.workingBaseUrl)]
+    : config.apiBaseUrls;
+
+  let lastError = null;
+  let outOfTime = false;
+  const deadline = Date.now() + retry.maxTotalTime;
+
+  for (let attempt = 0; attempt <= retry.maxRetries; attempt++) {
+    let retryable = true;
+    let retryAfter = null;
+
+    // Once a URL is known to work, retries stay on it instead of walking every domain again
+    const attemptUrls = attempt > 0 && state.workingBaseUrl ? [state.workingBaseUrl] : baseUrls;
+
+    for (const apiBaseUrl of attemptUrls) {
+      // Every URL and retry shares the time left, so a failing store can't hold the caller for minutes
+      const remaining = deadline - Date.now();
+      if (remaining <= 0 && lastError) {
+        outOfTime = true;
+        break;
       }
-      
-      return responseData;
-    } catch (error) {
-      // Log error if in debug mode
-      if (API_SETTINGS.DEBUG_MODE) {
-        console.error(`[WooCommerce API] Error:`, error);
+
+      try {
+        const url = buildWooCommerceUrl(config, apiBaseUrl, endpoint, params);
+        const response = await sendRequest(config, url, method, data, signal, Math.min(config.timeout, Math.max(remaining, 0)));
+        const responseData = await response.json();
+
+        // Remember the base URL that answered so later requests go straight to it
+        state.workingBaseUrl = apiBaseUrl;
+
+        logger.debug(`[WooCommerce API] Response:`, responseData);
+
+        // The service worker marks responses it answered from its cache
+        const source = response.headers?.get(CACHED_RESPONSE_HEADER) ? DATA_SOURCES.CACHE : DATA_SOURCES.LIVE;
+        tagDataSource(responseData, source);
+        reportDataSource(source, getRequestKey(endpoint, params));
+
+        if (includeMeta) {
+          return withPaginationMeta(responseData, response.headers, source);
+        }
+
+        return responseData;
+      } catch (error) {
+        // Cancelled by the caller: no retries, other URLs or mock data
+        if (signal?.aborted) {
+          throw createAbortError();
+        }
+
+        logger.error(`[WooCommerce API] Error from ${apiBaseUrl}:`, error);
+
+        // An answer from the store says more than a failed connection to another URL
+        if (!lastError?.status || error.status) {
+          lastError = error;
+        }
+
+        if (!isRetryable(error, method)) {
+          retryable = false;
+
+          // The store answered from a known-good URL, so the error is real and other URLs won't help.
+          // An order the store may have handled is not sent anywhere else either; only a missing route (404) is safe to try elsewhere.
+          const mayHaveBeenHandled = !IDEMPOTENT_METHODS.includes(method) && error.status !== 404;
+          if ((error.status && apiBaseUrl === state.workingBaseUrl) || mayHaveBeenHandled) {
+            break;
+          }
+        } else if (error.retryAfter !== undefined && error.retryAfter !== null) {
+          retryAfter = Math.max(retryAfter || 0, error.retryAfter);
+        }
       }
-      
-      // Try next endpoint format
-      if (i < API_CONFIG.endpointFormats.length - 1) {
-        continue;
+    }
+
+    // Stop when the store gave a final answer, the retries or the time are used up or the browser is offline
+    if (!retryable || outOfTime || attempt === retry.maxRetries || isOffline()) {
+      break;
+    }
+
+    const delay = getRetryDelay(retry, attempt, retryAfter);
+    if (Date.now() + delay >= deadline) {
+      logger.warn(`[WooCommerce API] Giving up on ${method} ${endpoint}: no time left to retry`);
+      break;
+    }
+    logger.warn(`[WooCommerce API] Retrying ${method} ${endpoint} in ${Math.round(delay)} ms`);
+    await wait(delay, signal);
+  }
+
+  // If every attempt failed and mock data is enabled, return mock data.
+  // Offline, mock prices would look real, so the error is passed on for the saved catalog to handle.
+  if (useMockData && !isOffline()) {
+    logger.warn(`[WooCommerce API] Using mock data for ${endpoint}`);
+
+    const mockData = tagDataSource(generateMockData(endpoint, params), DATA_SOURCES.MOCK);
+    reportDataSource(DATA_SOURCES.MOCK, getRequestKey(endpoint, params));
+    return includeMeta ? withPaginationMeta(mockData, null, DATA_SOURCES.MOCK) : mockData;
+  }
+
+  // Otherwise, throw the error
+  throw lastError;
+};
+
+/**
+ * Wraps response data with the pagination totals WooCommerce sends in its headers
+ * @param {Object|Array} data - Response data
+ * @param {Headers} headers - Response headers (missing for mock data)
+ * @param {string} source - Data source (see DATA_SOURCES)
+ * @returns {Object} { data, total, totalPages, source }
+ */
+const withPaginationMeta = (data, headers, source) => {
+  const count = Array.isArray(data) ? data.length : 1;
+  const total = parseInt(headers?.get('X-WP-Total'), 10);
+  const totalPages = parseInt(headers?.get('X-WP-TotalPages'), 10);
+  
+  return {
+    data,
+    total: Number.isNaN(total) ? count : total,
+    totalPages: Number.isNaN(totalPages) ? 1 : totalPages,
+    source
+  };
+};
+
+/**
+ * Share one in-flight request between callers.
+ * Each caller can cancel its own wait; the request itself is cancelled once no caller is left.
+ * @param {Map} inFlight - Requests in flight by key
+ * @param {string} key - Request key
+ * @param {AbortSignal} signal - Caller's signal
+ * @param {Function} start - Starts the request, given the shared signal
+ * @returns {Promise<Object>} Response
+ */
+const shareRequest = (inFlight, key, signal, start) => {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  let entry = inFlight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    const created = { controller, callers: 0 };
+    created.promise = start(controller.signal).finally(() => {
+      if (inFlight.get(key) === created) {
+        inFlight.delete(key);
       }
-      
-      // If all endpoint formats fail and mock data is enabled, return mock data
-      if (useMockData) {
-        // Log warning about using mock data
-        if (API_SETTINGS.SHOW_FALLBACK_WARNINGS) {
-          console.warn(`[WooCommerce API] Using mock data for ${endpoint}`);
+    });
+    inFlight.set(key, created);
+    entry = created;
+  }
+
+  entry.callers += 1;
+
+  // Callers without a signal never cancel, so the request always finishes for them
+  if (!signal) {
+    return entry.promise;
+  }
+
+  const shared = entry;
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      shared.callers -= 1;
+      if (shared.callers === 0) {
+        shared.controller.abort();
+        if (inFlight.get(key) === shared) {
+          inFlight.delete(key);
         }
-        
-        return generateMockData(endpoint, params);
       }
-      
-      // Otherwise, throw the error
-      throw error;
+      reject(createAbortError());
+    };
+
+    signal.addEventListener('abort', handleAbort, { once: true });
+    shared.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', handleAbort));
+  });
+};
+
+/**
+ * Creates a WooCommerce API client
+ * @param {Object} options - Client options, merged over DEFAULT_CLIENT_OPTIONS
+ * @param {string} options.baseUrl - Store URL
+ * @param {string} options.proxyUrl - Local API proxy URL; when set, credentials are left to the proxy
+ * @param {string} options.consumerKey - WooCommerce consumer key
+ * @param {string} options.consumerSecret - WooCommerce consumer secret
+ * @param {boolean} options.useMockData - Whether to fall back to mock data when every endpoint fails
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {Object} options.retry - Retry policy ({ maxRetries, retryDelay, maxDelay, maxTotalTime })
+ * @param {Object} options.logger - Object with debug/info/warn/error methods
+ * @param {string} options.logLevel - Lowest level to log ('debug', 'info', 'warn', 'error' or 'none')
+ * @param {Function} options.fetch - fetch implementation
+ * @returns {Object} WooCommerce API client
+ */
+export const createWooCommerceClient = (options = {}) => {
+  const config = resolveClientConfig(options);
+  // API base URL that last answered, tried first by later requests
+  const state = { workingBaseUrl: null };
+  // Identical GET requests in flight, shared by their callers
+  const inFlight = new Map();
+
+  const request = (endpoint, params = {}, method = 'GET', data = null, requestOptions = {}) => {
+    if (method !== 'GET') {
+      return performRequest(config, state, endpoint, params, method, data, requestOptions);
     }
-  }
+
+    const { signal, ...sharedOptions } = requestOptions;
+    const key = JSON.stringify([getRequestKey(endpoint, params), sharedOptions]);
+    return shareRequest(inFlight, key, signal, sharedSignal => (
+      performRequest(config, state, endpoint, params, method, data, { ...sharedOptions, signal: sharedSignal })
+    ));
+  };
+
+  return {
+    request,
+    get: async (endpoint, params = {}, requestOptions = {}) => {
+      return request(endpoint, params, 'GET', null, requestOptions);
+    },
+    post: async (endpoint, data = {}, requestOptions = {}) => {
+      return request(endpoint, {}, 'POST', data, requestOptions);
+    },
+    put: async (endpoint, data = {}, requestOptions = {}) => {
+      return request(endpoint, {}, 'PUT', data, requestOptions);
+    },
+    delete: async (endpoint, params = {}, requestOptions = {}) => {
+      return request(endpoint, params, 'DELETE', null, requestOptions);
+    },
+    // Configuration without the credentials
+    getConfig: () => ({ ...config, consumerKey: '', consumerSecret: '' }),
+  };
+};
+
+/**
+ * Identify the store a client talks to, so caches never mix up the data of two stores
+ * @param {Object} client - WooCommerce API client
+ * @returns {string} Proxy URL, or the store URL without a proxy
+ */
+export const getClientCacheKey = (client) => {
+  const { proxyUrl, baseUrl } = client?.getConfig?.() || {};
+  return proxyUrl || baseUrl || '';
 };
 
 /**
- * Creates an API client instance
+ * Default API client, configured from the environment
  */
 export const api = createWooCommerceClient();
 
+/**
+ * Get the logger of a client, filtered by its log level, so services log where its requests do
+ * @param {Object} client - WooCommerce API client
+ * @returns {Object} Logger with debug/info/warn/error methods; the default client's for clients without one
+ */
+export const getClientLogger = (client) => client?.getConfig?.().logger || api.getConfig().logger;
+
+/**
+ * Makes a request with the default API client
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - URL parameters
+ * @param {string} method - HTTP method (GET, POST, etc.)
+ * @param {Object} data - Request body for POST/PUT requests
+ * @param {Object} options - { useMockData, includeMeta, signal }
+ * @returns {Promise<Object>} API response
+ */
+export const woocommerceRequest = (endpoint, params, method, data, options) => {
+  return api.request(endpoint, params, method, data, options);
+};
+
+/**
+ * Get the configuration of the default API client
+ * @returns {Object} API configuration
+ */
+export const getConfig = () => api.getConfig();
+
 /**
  * Generate mock data for different endpoints
  * @param {string} endpoint - API endpoint
@@ -222,6 +633,12 @@ const generateMockData = (endpoint, params = {}) => {
       return generateMockCategories(params);
     }
     
+    // If endpoint is the variations of a product
+    const variationsMatch = endpoint.match(/products\/(\d+)\/variations/);
+    if (variationsMatch) {
+      return generateMockVariations(parseInt(variationsMatch[1]));
+    }
+    
     // If endpoint is a specific product
     if (/products\/\d+/.test(endpoint)) {
       const id = parseInt(endpoint.split('/').pop());
@@ -241,27 +658,367 @@ const generateMockData = (endpoint, params = {}) => {
  * @param {Object} params - URL parameters
  * @returns {Array} Mock categories
  */
-const generateMockCategories = () => {
-  return [
-    { id: 53, name: 'Vinyl Fence', slug: 'vinyl-fence', count: 15 },
-    { id: 49, name: 'Aluminum Fence', slug: 'aluminum-fence', count: 10 },
-    { id: 439, name: 'Wood Fence', slug: 'wood-fence', count: 12 },
-    { id: 296, name: 'Chain Link Fence', slug: 'chain-link-fence', count: 8 },
-    { id: 289, name: 'Vinyl Panels', slug: 'vinyl-panels', count: 6 },
-    { id: 290, name: 'Vinyl Gates', slug: 'vinyl-gates', count: 4 },
-    { id: 291, name: 'Vinyl Posts', slug: 'vinyl-posts', count: 3 },
-    { id: 292, name: 'Aluminum Panels', slug: 'aluminum-panels', count: 5 },
-    { id: 293, name: 'Aluminum Posts', slug: 'aluminum-posts', count: 3 },
-    { id: 295, name: 'Aluminum Gates', slug: 'aluminum-gates', count: 4 },
-    { id: 297, name: 'Chain Link Fabric', slug: 'chain-link-fabric', count: 4 },
-    { id: 298, name: 'Chain Link Gates', slug: 'chain-link-gates', count: 3 },
-    { id: 299, name: 'Chain Link Posts', slug: 'chain-link-posts', count: 3 },
-    { id: 300, name: 'Wood Posts', slug: 'wood-posts', count: 3 },
-    { id: 301, name: 'Wood Panels', slug: 'wood-panels', count: 5 },
-    { id: 302, name: 'Wood Gates', slug: 'wood-gates', count: 4 }
+const generateMockCategories = (params = {}) => {
+  const categories = [
+    { id: 53, name: 'Vinyl Fence', slug: 'vinyl-fence', parent: 0, count: 15 },
+    { id: 49, name: 'Aluminum Fence', slug: 'aluminum-fence', parent: 0, count: 10 },
+    { id: 439, name: 'Wood Fence', slug: 'wood-fence', parent: 0, count: 12 },
+    { id: 296, name: 'Chain Link Fence', slug: 'chain-link-fence', parent: 0, count: 8 },
+    { id: 289, name: 'Vinyl Panels', slug: 'vinyl-panels', parent: 53, count: 6 },
+    { id: 290, name: 'Vinyl Gates', slug: 'vinyl-gates', parent: 53, count: 4 },
+    { id: 291, name: 'Vinyl Posts', slug: 'vinyl-posts', parent: 53, count: 3 },
+    { id: 292, name: 'Aluminum Panels', slug: 'aluminum-panels', parent: 49, count: 5 },
+    { id: 293, name: 'Aluminum Posts', slug: 'aluminum-posts', parent: 49, count: 3 },
+    { id: 295, name: 'Aluminum Gates', slug: 'aluminum-gates', parent: 49, count: 4 },
+    { id: 297, name: 'Chain Link Fabric', slug: 'chain-link-fabric', parent: 296, count: 4 },
+    { id: 298, name: 'Chain Link Gates', slug: 'chain-link-gates', parent: 296, count: 3 },
+    { id: 299, name: 'Chain Link Posts', slug: 'chain-link-posts', parent: 296, count: 3 },
+    { id: 300, name: 'Wood Posts', slug: 'wood-posts', parent: 439, count: 3 },
+    { id: 301, name: 'Wood Panels', slug: 'wood-panels', parent: 439, count: 5 },
+    { id: 302, name: 'Wood Gates', slug: 'wood-gates', parent: 439, count: 4 },
+    { id: 303, name: 'Vinyl Accessories', slug: 'vinyl-accessories', parent: 53, count: 3 },
+    { id: 304, name: 'Wood Pickets & Rails', slug: 'wood-pickets-rails', parent: 439, count: 2 }
   ];
+  
+  // Apply parent filter if present
+  if (params.parent !== undefined && params.parent !== null) {
+    return categories.filter(category => category.parent === parseInt(params.parent));
+  }
+  
+  return categories;
 };
 
+/**
+ * Base set of mock products used when the API is unavailable
+ */
+const MOCK_PRODUCTS = [
+  {
+    id: 101,
+    name: "Vinyl Privacy Panel",
+    price: "89.99",
+    categories: [
+      { id: 53, name: "Vinyl Fence", slug: "vinyl-fence" },
+      { id: 289, name: "Vinyl Panels", slug: "vinyl-panels" }
+    ],
+    attributes: [
+      { id: 1, name: "Width", position: 0, visible: true, variation: false, options: ["6 ft", "8 ft"] },
+      { id: 2, name: "Height", position: 1, visible: true, variation: false, options: ["4 ft", "6 ft", "8 ft"] },
+      { id: 3, name: "Color", position: 2, visible: true, variation: false, options: ["White", "Almond"] }
+    ]
+  },
+  {
+    id: 102,
+    name: "Vinyl Picket Panel",
+    price: "79.99",
+    categories: [
+      { id: 53, name: "Vinyl Fence", slug: "vinyl-fence" },
+      { id: 289, name: "Vinyl Panels", slug: "vinyl-panels" }
+    ],
+    attributes: [
+      { id: 1, name: "Width", position: 0, visible: true, variation: false, options: ["6 ft", "8 ft"] },
+      { id: 2, name: "Height", position: 1, visible: true, variation: false, options: ["3 ft", "4 ft"] },
+      { id: 3, name: "Color", position: 2, visible: true, variation: false, options: ["White", "Almond"] }
+    ]
+  },
+  {
+    id: 103,
+    name: "Vinyl Post",
+    price: "45.99",
+    categories: [
+      { id: 53, name: "Vinyl Fence", slug: "vinyl-fence" },
+      { id: 291, name: "Vinyl Posts", slug: "vinyl-posts" }
+    ],
+    attributes: [
+      { id: 2, name: "Height", position: 0, visible: true, variation: false, options: ["4 ft", "5 ft", "6 ft", "8 ft"] },
+      { id: 3, name: "Color", position: 1, visible: true, variation: false, options: ["White", "Almond"] }
+    ]
+  },
+  {
+    id: 104,
+    name: "Vinyl Gate",
+    price: "219.99",
+    categories: [
+      { id: 53, name: "Vinyl Fence", slug: "vinyl-fence" },
+      { id: 290, name: "Vinyl Gates", slug: "vinyl-gates" }
+    ],
+    attributes: [
+      { id: 1, name: "Width", position: 0, visible: true, variation: true, options: ["3 ft", "4 ft", "5 ft", "6 ft"] },
+      { id: 2, name: "Height", position: 1, visible: true, variation: true, options: ["4 ft", "6 ft"] },
+      { id: 3, name: "Style", position: 2, visible: true, variation: true, options: ["Privacy", "Picket"] }
+    ]
+  },
+  {
+    id: 105,
+    name: "Vinyl Post Cap",
+    price: "6.99",
+    categories: [
+      { id: 53, name: "Vinyl Fence", slug: "vinyl-fence" },
+      { id: 303, name: "Vinyl Accessories", slug: "vinyl-accessories" }
+    ],
+    attributes: [
+      { id: 3, name: "Color", position: 0, visible: true, variation: false, options: ["White", "Almond"] }
+    ]
+  },
+  {
+    id: 106,
+    name: "Vinyl Panel Bracket",
+    price: "3.49",
+    categories: [
+      { id: 53, name: "Vinyl Fence", slug: "vinyl-fence" },
+      { id: 303, name: "Vinyl Accessories", slug: "vinyl-accessories" }
+    ],
+    attributes: []
+  },
+  {
+    id: 107,
+    name: "Fence Post Concrete (50 lb)",
+    price: "7.49",
+    categories: [
+      { id: 53, name: "Vinyl Fence", slug: "vinyl-fence" },
+      { id: 49, name: "Aluminum Fence", slug: "aluminum-fence" },
+      { id: 439, name: "Wood Fence", slug: "wood-fence" },
+      { id: 296, name: "Chain Link Fence", slug: "chain-link-fence" },
+      { id: 303, name: "Vinyl Accessories", slug: "vinyl-accessories" }
+    ],
+    attributes: []
+  },
+  {
+    id: 111,
+    name: "Aluminum Fence Section",
+    price: "129.99",
+    categories: [
+      { id: 49, name: "Aluminum Fence", slug: "aluminum-fence" },
+      { id: 292, name: "Aluminum Panels", slug: "aluminum-panels" }
+    ],
+    attributes: [
+      { id: 1, name: "Width", position: 0, visible: true, variation: false, options: ["6 ft"] },
+      { id: 2, name: "Height", position: 1, visible: true, variation: false, options: ["4 ft", "5 ft"] },
+      { id: 3, name: "Color", position: 2, visible: true, variation: false, options: ["Black", "Bronze"] }
+    ]
+  },
+  {
+    id: 112,
+    name: "Aluminum Post",
+    price: "54.99",
+    categories: [
+      { id: 49, name: "Aluminum Fence", slug: "aluminum-fence" },
+      { id: 293, name: "Aluminum Posts", slug: "aluminum-posts" }
+    ],
+    attributes: [
+      { id: 2, name: "Height", position: 0, visible: true, variation: false, options: ["4 ft", "5 ft"] },
+      { id: 3, name: "Color", position: 1, visible: true, variation: false, options: ["Black", "Bronze"] }
+    ]
+  },
+  {
+    id: 113,
+    name: "Aluminum Gate",
+    price: "249.99",
+    categories: [
+      { id: 49, name: "Aluminum Fence", slug: "aluminum-fence" },
+      { id: 295, name: "Aluminum Gates", slug: "aluminum-gates" }
+    ],
+    attributes: [
+      { id: 1, name: "Width", position: 0, visible: true, variation: true, options: ["4 ft", "5 ft"] },
+      { id: 2, name: "Height", position: 1, visible: true, variation: true, options: ["4 ft", "5 ft"] },
+      { id: 3, name: "Style", position: 2, visible: true, variation: true, options: ["Flat Top", "Spear Top"] }
+    ]
+  },
+  {
+    id: 114,
+    name: "Aluminum Post Cap",
+    price: "8.99",
+    categories: [
+      { id: 49, name: "Aluminum Fence", slug: "aluminum-fence" }
+    ],
+    attributes: []
+  },
+  {
+    id: 115,
+    name: "Aluminum Rackable Bracket",
+    price: "2.99",
+    categories: [
+      { id: 49, name: "Aluminum Fence", slug: "aluminum-fence" }
+    ],
+    attributes: []
+  },
+  {
+    id: 121,
+    name: "Cedar Fence Picket 1x6",
+    price: "3.29",
+    categories: [
+      { id: 439, name: "Wood Fence", slug: "wood-fence" },
+      { id: 304, name: "Wood Pickets & Rails", slug: "wood-pickets-rails" }
+    ],
+    attributes: [
+      { id: 2, name: "Height", position: 0, visible: true, variation: false, options: ["4 ft", "6 ft"] }
+    ]
+  },
+  {
+    id: 122,
+    name: "Wood Fence Rail 2x4x8",
+    price: "8.49",
+    categories: [
+      { id: 439, name: "Wood Fence", slug: "wood-fence" },
+      { id: 304, name: "Wood Pickets & Rails", slug: "wood-pickets-rails" }
+    ],
+    attributes: []
+  },
+  {
+    id: 123,
+    name: "Pressure Treated Wood Post 4x4",
+    price: "17.99",
+    categories: [
+      { id: 439, name: "Wood Fence", slug: "wood-fence" },
+      { id: 300, name: "Wood Posts", slug: "wood-posts" }
+    ],
+    attributes: []
+  },
+  {
+    id: 124,
+    name: "Wood Gate",
+    price: "179.99",
+    categories: [
+      { id: 439, name: "Wood Fence", slug: "wood-fence" },
+      { id: 302, name: "Wood Gates", slug: "wood-gates" }
+    ],
+    attributes: [
+      { id: 1, name: "Width", position: 0, visible: true, variation: true, options: ["4 ft", "5 ft"] },
+      { id: 2, name: "Height", position: 1, visible: true, variation: true, options: ["4 ft", "6 ft"] },
+      { id: 3, name: "Style", position: 2, visible: true, variation: true, options: ["Privacy", "Picket"] }
+    ]
+  },
+  {
+    id: 125,
+    name: "Exterior Fence Screws (box of 350)",
+    price: "24.99",
+    categories: [
+      { id: 439, name: "Wood Fence", slug: "wood-fence" }
+    ],
+    attributes: []
+  },
+  {
+    id: 131,
+    name: "Chain Link Fabric Roll (50 ft)",
+    price: "119.99",
+    categories: [
+      { id: 296, name: "Chain Link Fence", slug: "chain-link-fence" },
+      { id: 297, name: "Chain Link Fabric", slug: "chain-link-fabric" }
+    ],
+    attributes: [
+      { id: 2, name: "Height", position: 0, visible: true, variation: false, options: ["4 ft", "5 ft", "6 ft"] }
+    ]
+  },
+  {
+    id: 132,
+    name: "Chain Link Top Rail (21 ft)",
+    price: "32.99",
+    categories: [
+      { id: 296, name: "Chain Link Fence", slug: "chain-link-fence" }
+    ],
+    attributes: []
+  },
+  {
+    id: 133,
+    name: "Chain Link Line Post",
+    price: "24.99",
+    categories: [
+      { id: 296, name: "Chain Link Fence", slug: "chain-link-fence" },
+      { id: 299, name: "Chain Link Posts", slug: "chain-link-posts" }
+    ],
+    attributes: [
+      { id: 2, name: "Height", position: 0, visible: true, variation: false, options: ["4 ft", "5 ft", "6 ft"] }
+    ]
+  },
+  {
+    id: 134,
+    name: "Chain Link Terminal Post",
+    price: "34.99",
+    categories: [
+      { id: 296, name: "Chain Link Fence", slug: "chain-link-fence" },
+      { id: 299, name: "Chain Link Posts", slug: "chain-link-posts" }
+    ],
+    attributes: [
+      { id: 2, name: "Height", position: 0, visible: true, variation: false, options: ["4 ft", "5 ft", "6 ft"] }
+    ]
+  },
+  {
+    id: 135,
+    name: "Chain Link Gate",
+    price: "139.99",
+    categories: [
+      { id: 296, name: "Chain Link Fence", slug: "chain-link-fence" },
+      { id: 298, name: "Chain Link Gates", slug: "chain-link-gates" }
+    ],
+    attributes: [
+      { id: 1, name: "Width", position: 0, visible: true, variation: true, options: ["4 ft", "6 ft"] },
+      { id: 2, name: "Height", position: 1, visible: true, variation: true, options: ["4 ft", "5 ft", "6 ft"] }
+    ]
+  },
+  {
+    id: 136,
+    name: "Chain Link Tension Bar",
+    price: "6.49",
+    categories: [
+      { id: 296, name: "Chain Link Fence", slug: "chain-link-fence" }
+    ],
+    attributes: []
+  },
+  {
+    id: 137,
+    name: "Chain Link Tension Band",
+    price: "1.19",
+    categories: [
+      { id: 296, name: "Chain Link Fence", slug: "chain-link-fence" }
+    ],
+    attributes: []
+  },
+  {
+    id: 138,
+    name: "Chain Link Brace Band",
+    price: "1.29",
+    categories: [
+      { id: 296, name: "Chain Link Fence", slug: "chain-link-fence" }
+    ],
+    attributes: []
+  },
+  {
+    id: 139,
+    name: "Chain Link Rail End",
+    price: "2.49",
+    categories: [
+      { id: 296, name: "Chain Link Fence", slug: "chain-link-fence" }
+    ],
+    attributes: []
+  },
+  {
+    id: 140,
+    name: "Chain Link Loop Cap",
+    price: "2.99",
+    categories: [
+      { id: 296, name: "Chain Link Fence", slug: "chain-link-fence" }
+    ],
+    attributes: []
+  },
+  {
+    id: 141,
+    name: "Chain Link Dome Cap",
+    price: "3.49",
+    categories: [
+      { id: 296, name: "Chain Link Fence", slug: "chain-link-fence" }
+    ],
+    attributes: []
+  },
+  {
+    id: 142,
+    name: "Chain Link Tie Wires (bag of 100)",
+    price: "9.99",
+    categories: [
+      { id: 296, name: "Chain Link Fence", slug: "chain-link-fence" }
+    ],
+    attributes: []
+  }
+];
+
 /**
  * Generate a mock product
  * @param {number} productId - Product ID
@@ -389,8 +1146,10 @@ const generateMockProduct = (productId) => {
     return {
       ...template,
       name: "Vinyl Gate",
+      type: "variable",
       price: "219.99",
       regular_price: "219.99",
+      variations: generateMockVariations(productId).map(variation => variation.id),
       categories: [
         { id: 53, name: "Vinyl Fence", slug: "vinyl-fence" },
         { id: 290, name: "Vinyl Gates", slug: "vinyl-gates" }
@@ -413,6 +1172,17 @@ const generateMockProduct = (productId) => {
     };
   }
   
+  // Other products from the mock product set
+  const baseProduct = MOCK_PRODUCTS.find(product => product.id === productId);
+  if (baseProduct) {
+    return {
+      ...template,
+      ...baseProduct,
+      regular_price: baseProduct.price,
+      sku: `SKU-${productId}`
+    };
+  }
+  
   // Default mock product
   return {
     ...template,
@@ -436,69 +1206,11 @@ const generateMockProducts = (endpoint, params = {}) => {
   const categoryFilter = params.category;
   const searchFilter = params.search;
   
-  // Create a base set of products
-  const baseProducts = [
-    {
-      id: 101,
-      name: "Vinyl Privacy Panel",
-      price: "89.99",
-      categories: [
-        { id: 53, name: "Vinyl Fence", slug: "vinyl-fence" },
-        { id: 289, name: "Vinyl Panels", slug: "vinyl-panels" }
-      ],
-      attributes: [
-        { id: 1, name: "Width", position: 0, visible: true, variation: false, options: ["6 ft", "8 ft"] },
-        { id: 2, name: "Height", position: 1, visible: true, variation: false, options: ["4 ft", "6 ft", "8 ft"] },
-        { id: 3, name: "Color", position: 2, visible: true, variation: false, options: ["White", "Almond"] }
-      ]
-    },
-    {
-      id: 102,
-      name: "Vinyl Picket Panel",
-      price: "79.99",
-      categories: [
-        { id: 53, name: "Vinyl Fence", slug: "vinyl-fence" },
-        { id: 289, name: "Vinyl Panels", slug: "vinyl-panels" }
-      ],
-      attributes: [
-        { id: 1, name: "Width", position: 0, visible: true, variation: false, options: ["6 ft", "8 ft"] },
-        { id: 2, name: "Height", position: 1, visible: true, variation: false, options: ["3 ft", "4 ft"] },
-        { id: 3, name: "Color", position: 2, visible: true, variation: false, options: ["White", "Almond"] }
-      ]
-    },
-    {
-      id: 103,
-      name: "Vinyl Post",
-      price: "45.99",
-      categories: [
-        { id: 53, name: "Vinyl Fence", slug: "vinyl-fence" },
-        { id: 291, name: "Vinyl Posts", slug: "vinyl-posts" }
-      ],
-      attributes: [
-        { id: 2, name: "Height", position: 0, visible: true, variation: false, options: ["4 ft", "5 ft", "6 ft", "8 ft"] },
-        { id: 3, name: "Color", position: 1, visible: true, variation: false, options: ["White", "Almond"] }
-      ]
-    },
-    {
-      id: 104,
-      name: "Vinyl Gate",
-      price: "219.99",
-      categories: [
-        { id: 53, name: "Vinyl Fence", slug: "vinyl-fence" },
-        { id: 290, name: "Vinyl Gates", slug: "vinyl-gates" }
-      ],
-      attributes: [
-        { id: 1, name: "Width", position: 0, visible: true, variation: true, options: ["3 ft", "4 ft", "5 ft", "6 ft"] },
-        { id: 2, name: "Height", position: 1, visible: true, variation: true, options: ["4 ft", "6 ft"] },
-        { id: 3, name: "Style", position: 2, visible: true, variation: true, options: ["Privacy", "Picket"] }
-      ]
-    }
-  ];
   
   // Apply category filter if present
-  let filteredProducts = baseProducts;
+  let filteredProducts = MOCK_PRODUCTS;
   if (categoryFilter) {
-    filteredProducts = baseProducts.filter(product => 
+    filteredProducts = MOCK_PRODUCTS.filter(product => 
       product.categories.some(cat => cat.id === parseInt(categoryFilter) || cat.slug === categoryFilter)
     );
   }
@@ -513,4 +1225,61 @@ const generateMockProducts = (endpoint, params = {}) => {
   
   // Convert to full products
   return filteredProducts.map(product => generateMockProduct(product.id));
-};
\ No newline at end of file
+};
+
+/**
+ * Price adjustments applied to the base price of mock variations, by attribute option
+ */
+const MOCK_VARIATION_ADJUSTMENTS = {
+  Width: { "3 ft": -30, "4 ft": 0, "5 ft": 30, "6 ft": 60 },
+  Height: { "4 ft": -40, "6 ft": 0 },
+  Style: { "Privacy": 0, "Picket": -20 }
+};
+
+/**
+ * Generate mock variations for a variable product
+ * One variation is created for every combination of the product's variation attributes.
+ * @param {number} productId - Product ID
+ * @returns {Array} Mock variations
+ */
+const generateMockVariations = (productId) => {
+  const baseProduct = MOCK_PRODUCTS.find(product => product.id === productId);
+  const variationAttributes = (baseProduct?.attributes || []).filter(attr => attr.variation);
+  
+  if (variationAttributes.length === 0) {
+    return [];
+  }
+  
+  // Build every combination of attribute options
+  const combinations = variationAttributes.reduce((result, attr) => 
+    result.flatMap(combination => 
+      attr.options.map(option => [...combination, { id: attr.id, name: attr.name, option }])
+    ),
+    [[]]
+  );
+  
+  return combinations.map((attributes, index) => {
+    const price = attributes.reduce(
+      (total, attr) => total + (MOCK_VARIATION_ADJUSTMENTS[attr.name]?.[attr.option] || 0),
+      parseFloat(baseProduct.price)
+    ).toFixed(2);
+    
+    return {
+      id: productId * 1000 + index + 1,
+      parent_id: productId,
+      sku: `SKU-${productId}-${attributes.map(attr => attr.option.replace(/\s+/g, '').toUpperCase()).join('-')}`,
+      price,
+      regular_price: price,
+      sale_price: '',
+      on_sale: false,
+      purchasable: true,
+      manage_stock: false,
+      stock_quantity: null,
+      stock_status: 'instock',
+      backorders: 'no',
+      backorders_allowed: false,
+      backordered: false,
+      attributes
+    };
+  });
+};
@@ -0,0 +1,285 @@
+import { createWooCommerceClient, getClientLogger, isNetworkError, isAbortError } from './woocommerce.api';
+
+const jsonResponse = (data, status = 200, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 200 ? 'OK' : 'Error',
+  headers: new Headers(headers),
+  json: () => Promise.resolve(data),
+});
+
+// A fetch whose responses are resolved by the test, one at a time
+const createPendingFetch = () => {
+  const calls = [];
+  const fetch = jest.fn((url, options) => new Promise((resolve, reject) => {
+    calls.push({ url, options, resolve });
+    options.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  }));
+  return { fetch, calls };
+};
+
+const createClient = (fetch, options = {}) => createWooCommerceClient({
+  proxyUrl: '/api/woocommerce',
+  useMockData: false,
+  logLevel: 'none',
+  retry: { maxRetries: 2, retryDelay: 0, maxDelay: 0 },
+  fetch,
+  ...options,
+});
+
+describe('client configuration', () => {
+  it('signs store requests with the credentials', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse([]));
+    const client = createClient(fetch, {
+      proxyUrl: '',
+      baseUrl: 'https://store.test/',
+      consumerKey: 'ck_1',
+      consumerSecret: 'cs_1',
+    });
+
+    await client.get('products', { per_page: 10 });
+
+    const url = new URL(fetch.mock.calls[0][0]);
+    expect(url.origin + url.pathname).toBe('https://store.test/wp-json/wc/v3/products');
+    expect(Object.fromEntries(url.searchParams)).toEqual({ consumer_key: 'ck_1', consumer_secret: 'cs_1', per_page: '10' });
+  });
+
+  it('leaves the credentials to the proxy', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse([]));
+    const client = createClient(fetch, { consumerKey: 'ck_1', consumerSecret: 'cs_1' });
+
+    await client.get('products');
+
+    expect(fetch.mock.calls[0][0]).toBe(`${window.location.origin}/api/woocommerce/products`);
+  });
+
+  it('never hands out the credentials', () => {
+    const config = createClient(jest.fn(), { proxyUrl: '', consumerKey: 'ck_1', consumerSecret: 'cs_1' }).getConfig();
+
+    expect(config.consumerKey).toBe('');
+    expect(config.consumerSecret).toBe('');
+  });
+
+  it('sends the body of POST requests', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse({ id: 7 }, 201));
+
+    await expect(createClient(fetch).post('orders', { status: 'pending' })).resolves.toEqual({ id: 7 });
+    expect(fetch.mock.calls[0][1]).toMatchObject({ method: 'POST', body: JSON.stringify({ status: 'pending' }) });
+  });
+
+  it('logs through the injected logger from its log level up', async () => {
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    const client = createClient(fetch, { logger, logLevel: 'warn', useMockData: true, retry: { maxRetries: 0 } });
+
+    await client.get('products/categories');
+
+    expect(logger.debug).not.toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Using mock data'));
+  });
+
+  it('hands its filtered logger to the services using it', () => {
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const client = createClient(jest.fn(), { logger, logLevel: 'error' });
+
+    getClientLogger(client).warn('[Catalog] Could not write to localStorage');
+    getClientLogger(client).error('[Comparison] Could not price Vinyl');
+
+    expect(logger.warn).not.toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalledWith('[Comparison] Could not price Vinyl');
+    expect(getClientLogger({ post: jest.fn() }).warn).toEqual(expect.any(Function));
+  });
+
+  it('keeps clients independent of each other', async () => {
+    const first = jest.fn().mockResolvedValue(jsonResponse([{ id: 1 }]));
+    const second = jest.fn().mockResolvedValue(jsonResponse([{ id: 2 }]));
+
+    await expect(createClient(first).get('products')).resolves.toEqual([{ id: 1 }]);
+    await expect(createClient(second, { proxyUrl: '/other' }).get('products')).resolves.toEqual([{ id: 2 }]);
+    expect(second.mock.calls[0][0]).toBe(`${window.location.origin}/other/products`);
+  });
+});
+
+describe('retries', () => {
+  it('retries rate limits and server errors', async () => {
+    const fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse(null, 503))
+      .mockResolvedValueOnce(jsonResponse(null, 500))
+      .mockResolvedValueOnce(jsonResponse([{ id: 1 }]));
+
+    await expect(createClient(fetch).get('products')).resolves.toEqual([{ id: 1 }]);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('gives up after the last retry', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse(null, 503));
+
+    await expect(createClient(fetch).get('products')).rejects.toMatchObject({ status: 503 });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry errors that would fail the same way', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse(null, 404));
+
+    await expect(createClient(fetch).get('products/1')).rejects.toMatchObject({ status: 404 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries lost connections of GET requests', async () => {
+    const fetch = jest.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(jsonResponse({ id: 1 }));
+
+    await expect(createClient(fetch).get('products/1')).resolves.toEqual({ id: 1 });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('sends an order once when the connection is lost', async () => {
+    const fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    const client = createClient(fetch, { proxyUrl: '', baseUrl: 'https://store.test' });
+
+    const error = await client.post('orders', { line_items: [] }).catch(err => err);
+
+    expect(isNetworkError(error)).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not resend an order the store answered', async () => {
+    for (const status of [429, 503]) {
+      const fetch = jest.fn().mockResolvedValue(jsonResponse(null, status, { 'Retry-After': '0' }));
+      const client = createClient(fetch, { proxyUrl: '', baseUrl: 'https://store.test' });
+
+      await expect(client.post('orders', {})).rejects.toMatchObject({ status });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    }
+  });
+
+  it('resends an order the proxy could not deliver to the store', async () => {
+    const fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse(null, 502, { 'X-Upstream-Not-Reached': 'true' }))
+      .mockResolvedValueOnce(jsonResponse({ id: 7 }, 201));
+
+    await expect(createClient(fetch).post('orders', {})).resolves.toEqual({ id: 7 });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up once the total time is used up', async () => {
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    // Every attempt takes the full request timeout
+    const fetch = jest.fn(() => {
+      now += 15000;
+      return Promise.resolve(jsonResponse(null, 503));
+    });
+    const client = createClient(fetch, { timeout: 15000, retry: { maxRetries: 10, retryDelay: 0, maxDelay: 0, maxTotalTime: 45000 } });
+
+    await expect(client.get('products')).rejects.toMatchObject({ status: 503 });
+    expect(fetch).toHaveBeenCalledTimes(3);
+    jest.restoreAllMocks();
+  });
+
+  it('shortens the last attempt to the time left', async () => {
+    jest.useFakeTimers();
+    const { fetch, calls } = createPendingFetch();
+    const client = createClient(fetch, { timeout: 15000, retry: { maxRetries: 0, maxTotalTime: 5000 } });
+
+    const request = client.get('products');
+    jest.advanceTimersByTime(5000);
+
+    await expect(request).rejects.toMatchObject({ networkError: true, timeout: true });
+    expect(calls).toHaveLength(1);
+    jest.useRealTimers();
+  });
+
+  it('tries every store URL and stays on the one that answers', async () => {
+    const fetch = jest.fn((url) => (
+      url.startsWith('https://www.store.test/wp-json')
+        ? Promise.resolve(jsonResponse([]))
+        : Promise.reject(new TypeError('Failed to fetch'))
+    ));
+    const client = createClient(fetch, { proxyUrl: '', baseUrl: 'https://store.test', retry: { maxRetries: 0 } });
+
+    await client.get('products');
+    expect(fetch.mock.calls.map(([url]) => new URL(url).origin + new URL(url).pathname)).toEqual([
+      'https://store.test/wp-json/wc/v3/products',
+      'https://store.test/index.php/wp-json/wc/v3/products',
+      'https://www.store.test/wp-json/wc/v3/products',
+    ]);
+
+    await client.get('products/1');
+    expect(fetch).toHaveBeenCalledTimes(4);
+    expect(fetch.mock.calls[3][0]).toMatch(/^https:\/\/www\.store\.test\/wp-json\/wc\/v3\/products\/1/);
+  });
+});
+
+describe('de-duplication', () => {
+  it('shares identical GET requests in flight', async () => {
+    const { fetch, calls } = createPendingFetch();
+    const client = createClient(fetch);
+
+    const first = client.get('products', { category: 53 });
+    const second = client.get('products', { category: 53 });
+    const other = client.get('products', { category: 54 });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    calls.forEach(call => call.resolve(jsonResponse([{ url: call.url }])));
+
+    const [a, b] = await Promise.all([first, second, other]);
+    expect(a).toBe(b);
+  });
+
+  it('sends a request again once the shared one has finished', async () => {
+    const fetch = jest.fn(() => Promise.resolve(jsonResponse([])));
+    const client = createClient(fetch);
+
+    await client.get('products');
+    await client.get('products');
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('never shares POST requests', async () => {
+    const fetch = jest.fn(() => Promise.resolve(jsonResponse({ id: 1 }, 201)));
+    const client = createClient(fetch);
+
+    await Promise.all([client.post('orders', {}), client.post('orders', {})]);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps a shared request going while any caller still waits for it', async () => {
+    const { fetch, calls } = createPendingFetch();
+    const client = createClient(fetch);
+    const controller = new AbortController();
+
+    const cancelled = client.get('products', {}, { signal: controller.signal });
+    const kept = client.get('products');
+    controller.abort();
+
+    await expect(cancelled).rejects.toMatchObject({ aborted: true });
+    expect(calls[0].options.signal.aborted).toBe(false);
+
+    calls[0].resolve(jsonResponse([{ id: 1 }]));
+    await expect(kept).resolves.toEqual([{ id: 1 }]);
+  });
+
+  it('cancels a shared request once every caller has cancelled', async () => {
+    const { fetch, calls } = createPendingFetch();
+    const client = createClient(fetch);
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const requests = [
+      client.get('products', {}, { signal: first.signal }).catch(error => error),
+      client.get('products', {}, { signal: second.signal }).catch(error => error),
+    ];
+    first.abort();
+    second.abort();
+
+    const errors = await Promise.all(requests);
+    expect(errors.every(isAbortError)).toBe(true);
+    expect(calls[0].options.signal.aborted).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
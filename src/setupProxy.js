@@ -0,0 +1,10 @@
+/**
+ * Development server proxy
+ * Mounts the WooCommerce proxy on the dev server so the browser never sees the API credentials.
+ */
+
+const { createWooProxyHandler } = require('../server/wooProxy');
+
+module.exports = function setupProxy(app) {
+  app.use('/api/woo', createWooProxyHandler());
+};
@@ -0,0 +1,6 @@
+// Jest setup, run before every test file (see Create React App's src/setupTests.js)
+
+import { TextEncoder, TextDecoder } from 'util';
+
+// jsdom leaves out the encoding API that quote links use
+Object.assign(global, { TextEncoder, TextDecoder });
@@ -1,11 +1,21 @@
 import { createTheme, responsiveFontSizes } from '@mui/material/styles';
 
+// Brand identity for Two Brothers Fencing, also used on printed and PDF quotes
+export const BRAND = {
+  name: 'Two Brothers Fencing',
+  colors: {
+    primary: '#3a5161', // Dark blue-gray
+    secondary: '#518651', // Forest green
+    accent: '#d9a566', // Warm wood-like tan/gold
+  },
+};
+
 // Create a brand-themed dark mode theme
 export const createAppTheme = () => {
   // Brand colors for Two Brothers Fencing
-  const primaryColor = '#3a5161'; // Dark blue-gray
-  const secondaryColor = '#518651'; // Forest green
-  const accentColor = '#d9a566'; // Warm wood-like tan/gold
+  const primaryColor = BRAND.colors.primary;
+  const secondaryColor = BRAND.colors.secondary;
+  const accentColor = BRAND.colors.accent;
 
   let theme = createTheme({
     palette: {
@@ -0,0 +1,156 @@
+/**
+ * Stock availability
+ * Reads the WooCommerce stock fields of products and variations and checks
+ * whether the quantities of a quote can be supplied.
+ */
+
+import { BACKORDER_LEAD_TIME_DAYS } from '../config/inventory';
+
+// Stock statuses, as WooCommerce reports them (plus unknown when a product says nothing)
+export const STOCK_STATUSES = {
+  IN_STOCK: 'instock',
+  ON_BACKORDER: 'onbackorder',
+  OUT_OF_STOCK: 'outofstock',
+  UNKNOWN: 'unknown',
+};
+
+// Whether a quote line can be supplied
+export const AVAILABILITY = {
+  // Everything ships from stock (or stock is not tracked)
+  AVAILABLE: 'available',
+  // Part ships from stock, the rest is backordered
+  PARTIAL: 'partial',
+  // Everything is backordered
+  BACKORDER: 'backorder',
+  // Not enough stock and no backorders
+  UNAVAILABLE: 'unavailable',
+  // The store did not say
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * Read the stock of a product or variation.
+ * Tracked quantities win over the reported status; "notify" backorders count as allowed.
+ * @param {Object} item - Product or variation
+ * @returns {Object} { status, quantity (null when stock is not tracked), backordersAllowed }
+ */
+export const getStock = (item) => {
+  if (!item) {
+    return { status: STOCK_STATUSES.UNKNOWN, quantity: null, backordersAllowed: false };
+  }
+
+  const backordersAllowed = Boolean(item.backorders_allowed) ||
+    (item.backorders !== undefined && item.backorders !== 'no');
+  const tracked = Boolean(item.manage_stock) && item.stock_quantity !== null && item.stock_quantity !== undefined;
+  const quantity = tracked ? Number(item.stock_quantity) : null;
+
+  let status = STOCK_STATUSES.UNKNOWN;
+  if (tracked) {
+    if (quantity > 0) {
+      status = STOCK_STATUSES.IN_STOCK;
+    } else {
+      status = backordersAllowed ? STOCK_STATUSES.ON_BACKORDER : STOCK_STATUSES.OUT_OF_STOCK;
+    }
+  } else if (Object.values(STOCK_STATUSES).includes(item.stock_status)) {
+    status = item.stock_status;
+  }
+
+  return { status, quantity, backordersAllowed };
+};
+
+/**
+ * Get the variation objects of a product.
+ * WooCommerce lists variation IDs in product.variations; only resolved objects are returned.
+ * @param {Object} product - Product object
+ * @param {Array} variations - Variations fetched for the product, if any
+ * @returns {Array} Variation objects
+ */
+const getVariationObjects = (product, variations) => {
+  const candidates = variations || product?.variations || [];
+  return candidates.filter(variation => variation && typeof variation === 'object');
+};
+
+/**
+ * Read the stock of a product, combining its variations for variable products.
+ * Without resolved variations the parent's status is used, which WooCommerce derives from them.
+ * @param {Object} product - Product object
+ * @param {Array} variations - Variations of a variable product (see getProductVariations)
+ * @returns {Object} { status, quantity, backordersAllowed }
+ */
+export const getProductStock = (product, variations) => {
+  const variationObjects = product?.type === 'variable' ? getVariationObjects(product, variations) : [];
+
+  if (variationObjects.length === 0) {
+    return getStock(product);
+  }
+
+  const stocks = variationObjects.map(getStock);
+  const hasStatus = status => stocks.some(stock => stock.status === status);
+
+  let status = STOCK_STATUSES.UNKNOWN;
+  if (hasStatus(STOCK_STATUSES.IN_STOCK)) status = STOCK_STATUSES.IN_STOCK;
+  else if (hasStatus(STOCK_STATUSES.ON_BACKORDER)) status = STOCK_STATUSES.ON_BACKORDER;
+  else if (hasStatus(STOCK_STATUSES.OUT_OF_STOCK)) status = STOCK_STATUSES.OUT_OF_STOCK;
+
+  // A total only means something when every variation tracks its stock
+  const quantity = stocks.every(stock => stock.quantity !== null)
+    ? stocks.reduce((sum, stock) => sum + Math.max(0, stock.quantity), 0)
+    : null;
+
+  return { status, quantity, backordersAllowed: stocks.some(stock => stock.backordersAllowed) };
+};
+
+/**
+ * Check whether a product can be ordered now
+ * @param {Object} product - Product object
+ * @param {Object} options - { allowBackorders, variations }
+ * @returns {boolean} True when in stock (or on backorder, when allowed)
+ */
+export const isProductAvailable = (product, options = {}) => {
+  const { allowBackorders = false, variations } = options;
+  const { status } = getProductStock(product, variations);
+
+  return status === STOCK_STATUSES.IN_STOCK || (allowBackorders && status === STOCK_STATUSES.ON_BACKORDER);
+};
+
+/**
+ * Check whether a quantity can be supplied from a stock reading
+ * @param {Object|null} stock - Stock from getStock or getProductStock
+ * @param {number} quantity - Quantity needed
+ * @param {number} leadTimeDays - Days backordered items take to ship
+ * @returns {Object} { status (see AVAILABILITY), inStock, backordered, leadTimeDays, message }
+ */
+export const checkAvailability = (stock, quantity, leadTimeDays = BACKORDER_LEAD_TIME_DAYS) => {
+  const result = (status, inStock, backordered, message) => ({
+    status,
+    inStock,
+    backordered,
+    leadTimeDays: backordered > 0 ? leadTimeDays : 0,
+    message,
+  });
+  const leadTime = `ships in about ${leadTimeDays} days`;
+
+  if (!stock || stock.status === STOCK_STATUSES.UNKNOWN) {
+    return result(AVAILABILITY.UNKNOWN, null, 0, null);
+  }
+
+  const { status, backordersAllowed } = stock;
+  const onHand = stock.quantity === null ? null : Math.max(0, stock.quantity);
+
+  if (status === STOCK_STATUSES.IN_STOCK && (onHand === null || onHand >= quantity)) {
+    return result(AVAILABILITY.AVAILABLE, quantity, 0, null);
+  }
+
+  if (status === STOCK_STATUSES.IN_STOCK) {
+    const short = quantity - onHand;
+    return backordersAllowed
+      ? result(AVAILABILITY.PARTIAL, onHand, short, `Only ${onHand} in stock; ${short} on backorder, ${leadTime}`)
+      : result(AVAILABILITY.UNAVAILABLE, onHand, 0, `Only ${onHand} in stock, ${short} short`);
+  }
+
+  if (status === STOCK_STATUSES.ON_BACKORDER) {
+    return result(AVAILABILITY.BACKORDER, 0, quantity, `On backorder, ${leadTime}`);
+  }
+
+  return result(AVAILABILITY.UNAVAILABLE, 0, 0, 'Out of stock');
+};
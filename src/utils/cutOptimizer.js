@@ -0,0 +1,124 @@
+/**
+ * Cut optimization
+ * Runs rarely divide into whole panels, so crews cut panels, rails and boards to length.
+ * These helpers pack the cut pieces of every run into as few stock pieces as possible
+ * and report what is left over. Pure functions only.
+ */
+
+/**
+ * Round a length to a hundredth of a foot
+ * @param {number} value - Length in feet
+ * @returns {number} Rounded length
+ */
+const roundLength = (value) => Math.round(value * 100) / 100;
+
+// Lengths within this many feet of each other count as equal, so rounding never rejects a fit
+const LENGTH_TOLERANCE = 0.001;
+
+/**
+ * Pack cut pieces into stock pieces, longest first, each into the offcut it fits most tightly
+ * (best-fit decreasing). One saw kerf is lost between two pieces of the same stock, and one more
+ * between the last piece and the offcut.
+ * Each stock piece is counted to the owner of the first piece cut from it, so the owners'
+ * counts add up to stockUsed.
+ * @param {Array} pieces - Lengths of the pieces to cut in feet, or { length, owner } to count
+ *   the stock each owner needs
+ * @param {number} stockLength - Length of one stock piece, in feet
+ * @param {Object} options - { kerf, minUsableLength } in feet
+ * @returns {Object} { pieces, stockUsed, stockByOwner, unoptimized, saved, cuts, leftovers, scrap }
+ */
+export const packCuts = (pieces = [], stockLength, options = {}) => {
+  const { kerf = 0, minUsableLength = 0 } = options;
+  const stocks = [];
+  const stockByOwner = {};
+  let oversizedStock = 0;
+
+  const countStock = (owner, count) => {
+    if (owner !== undefined) {
+      stockByOwner[owner] = (stockByOwner[owner] || 0) + count;
+    }
+  };
+
+  // Length a stock piece uses once another piece is cut from it
+  const getUsedWith = (stock, piece) => (stock.pieces.length > 0 ? stock.used + kerf + piece : piece);
+
+  const items = pieces.map(piece => (typeof piece === 'number' ? { length: piece } : piece));
+
+  [...items].sort((a, b) => b.length - a.length).forEach(({ length: piece, owner }) => {
+    // A piece longer than the stock is spliced from whole stock pieces and shares nothing
+    if (piece > stockLength + LENGTH_TOLERANCE) {
+      const count = Math.ceil(piece / stockLength - LENGTH_TOLERANCE);
+      oversizedStock += count;
+      countStock(owner, count);
+      return;
+    }
+
+    const fitting = stocks
+      .filter(stock => getUsedWith(stock, piece) <= stockLength + LENGTH_TOLERANCE)
+      .sort((a, b) => b.used - a.used)[0];
+    const stock = fitting || { pieces: [], used: 0 };
+
+    if (!fitting) {
+      stocks.push(stock);
+      countStock(owner, 1);
+    }
+    stock.used = getUsedWith(stock, piece);
+    stock.pieces.push(piece);
+  });
+
+  const cuts = stocks.map(stock => ({
+    pieces: stock.pieces,
+    leftover: roundLength(Math.max(0, stockLength - stock.used - kerf)),
+  }));
+  const offcuts = cuts.map(cut => cut.leftover).filter(leftover => leftover > 0);
+  const stockUsed = stocks.length + oversizedStock;
+
+  // Without optimization every piece is cut from its own stock piece
+  const unoptimized = items.reduce(
+    (sum, { length: piece }) => sum + (piece > stockLength + LENGTH_TOLERANCE ? Math.ceil(piece / stockLength - LENGTH_TOLERANCE) : 1),
+    0
+  );
+
+  return {
+    pieces: pieces.length,
+    stockUsed,
+    stockByOwner,
+    unoptimized,
+    saved: unoptimized - stockUsed,
+    cuts,
+    leftovers: offcuts.filter(leftover => leftover >= minUsableLength).sort((a, b) => b - a),
+    scrap: roundLength(offcuts.filter(leftover => leftover < minUsableLength).reduce((sum, leftover) => sum + leftover, 0)),
+  };
+};
+
+/**
+ * Plan the cuts of every cuttable material of a fence type across all runs.
+ * Cut lengths are measured center to center of the posts; the piece itself spans
+ * the gap between them, one post width shorter.
+ * @param {Array} runTakeoffs - Run takeoffs with panels.cutLengths
+ * @param {Object} settings - Takeoff settings with rules, kerf, minUsableOffcut and postWidthInches
+ * @returns {Array} Per material { key, label, stockLength, ...packCuts result }, with
+ *   stockByOwner keyed by run index
+ */
+export const planCuts = (runTakeoffs, settings) => {
+  const { rules, kerf, minUsableOffcut } = settings;
+  const postWidth = (settings.postWidthInches || 0) / 12;
+
+  return (rules.cutMaterials || []).map(material => {
+    const pieces = runTakeoffs.flatMap((run, index) => {
+      const perCut = material.getPiecesPerCut(run, settings);
+      return run.panels.cutLengths
+        .map(length => roundLength(length - postWidth))
+        .filter(length => length > 0)
+        .flatMap(length => Array(perCut).fill({ length, owner: index }));
+    });
+    const stockLength = material.getStockLength(settings);
+
+    return {
+      key: material.key,
+      label: material.label,
+      stockLength,
+      ...packCuts(pieces, stockLength, { kerf, minUsableLength: minUsableOffcut }),
+    };
+  });
+};
@@ -0,0 +1,100 @@
+import { packCuts, planCuts } from './cutOptimizer';
+import vinyl from './fenceRules/vinyl';
+import wood from './fenceRules/wood';
+import { SAW_KERF, MIN_USABLE_OFFCUT } from '../config/materials';
+
+describe('packCuts', () => {
+  it('packs pieces into as few stock pieces as possible', () => {
+    const result = packCuts([5, 3, 2, 6], 8);
+
+    expect(result.pieces).toBe(4);
+    expect(result.stockUsed).toBe(2);
+    expect(result.unoptimized).toBe(4);
+    expect(result.saved).toBe(2);
+    expect(result.cuts.map(cut => cut.pieces)).toEqual([[6, 2], [5, 3]]);
+  });
+
+  it('puts each piece into the fullest stock it fits', () => {
+    const result = packCuts([6, 5, 3, 2], 8, { kerf: 0.1, minUsableLength: 1 });
+
+    expect(result.stockUsed).toBe(3);
+    expect(result.cuts.map(cut => cut.pieces)).toEqual([[6], [5, 2], [3]]);
+    expect(result.leftovers).toEqual([4.9, 1.9]);
+    expect(result.scrap).toBe(0.8);
+  });
+
+  it('loses kerf only between two pieces of the same stock', () => {
+    expect(packCuts([8], 8, { kerf: 0.1 }).stockUsed).toBe(1);
+    expect(packCuts([8], 8, { kerf: 0.1 }).cuts[0].leftover).toBe(0);
+    expect(packCuts([4, 4], 8, { kerf: 0.1 }).stockUsed).toBe(2);
+    expect(packCuts([3.9, 4], 8, { kerf: 0.1 }).stockUsed).toBe(1);
+  });
+
+  it('splices pieces longer than the stock from whole stock pieces', () => {
+    expect(packCuts([20], 8).stockUsed).toBe(3);
+    expect(packCuts([16], 8).stockUsed).toBe(2);
+    expect(packCuts([20, 2], 8)).toMatchObject({ stockUsed: 4, unoptimized: 4, saved: 0 });
+  });
+
+  it('counts each stock piece to the owner of the first piece cut from it', () => {
+    const result = packCuts([
+      { length: 2, owner: 'a' },
+      { length: 6, owner: 'b' },
+      { length: 5, owner: 'a' },
+      { length: 3, owner: 'c' },
+      { length: 20, owner: 'c' },
+    ], 8);
+
+    expect(result.stockUsed).toBe(5);
+    expect(result.stockByOwner).toEqual({ a: 1, b: 1, c: 3 });
+  });
+
+  it('handles no pieces', () => {
+    expect(packCuts([], 8)).toMatchObject({ pieces: 0, stockUsed: 0, saved: 0, cuts: [], leftovers: [], scrap: 0 });
+  });
+});
+
+describe('planCuts', () => {
+  const getSettings = (rules, overrides = {}) => ({
+    ...rules.options,
+    rules,
+    panelWidth: rules.maxPostSpacing,
+    kerf: SAW_KERF,
+    minUsableOffcut: MIN_USABLE_OFFCUT,
+    ...overrides,
+  });
+
+  it('cuts vinyl panels to the gap between posts and shares panels across runs', () => {
+    const runs = [4, 4, 4, 4].map(length => ({ heightFeet: 6, panels: { cutLengths: [length] } }));
+    const [plan] = planCuts(runs, getSettings(vinyl));
+
+    expect(plan.key).toBe('panels');
+    expect(plan.stockLength).toBeCloseTo(8 - 5 / 12);
+    expect(plan.pieces).toBe(4);
+    expect(plan.stockUsed).toBe(2);
+    expect(plan.saved).toBe(2);
+    expect(plan.stockByOwner).toEqual({ 0: 1, 2: 1 });
+  });
+
+  it('cuts one wood rail per rail of each short bay', () => {
+    const runs = [
+      { heightFeet: 6, panels: { cutLengths: [4] } },
+      { heightFeet: 4, panels: { cutLengths: [4] } },
+    ];
+    const [plan] = planCuts(runs, getSettings(wood));
+
+    expect(plan.key).toBe('rails');
+    expect(plan.stockLength).toBe(8);
+    expect(plan.pieces).toBe(5);
+    expect(plan.stockUsed).toBe(3);
+  });
+
+  it('leaves out pieces no longer than a post', () => {
+    const runs = [{ heightFeet: 6, panels: { cutLengths: [0.3] } }];
+    expect(planCuts(runs, getSettings(vinyl))[0].pieces).toBe(0);
+  });
+
+  it('plans nothing for fence types without cut materials', () => {
+    expect(planCuts([], { rules: { cutMaterials: undefined } })).toEqual([]);
+  });
+});
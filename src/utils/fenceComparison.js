@@ -0,0 +1,199 @@
+/**
+ * Fence type comparison
+ * Fits the current fence options to another fence type's catalog and
+ * summarizes priced quotes so they can be compared side by side.
+ * Pure functions only; pricing lives in services/comparison.api.js.
+ */
+
+import { calculateTakeoff } from './fenceTakeoff';
+import { getUniqueAttributeValues, getPostHeightOptions, attributeOptionsMatch, hasCategory } from './productFilters';
+import { parseFeet } from './units';
+
+/**
+ * Pick the offered option that matches a wanted value
+ * @param {Array} options - Offered options
+ * @param {string} wanted - Wanted value
+ * @param {boolean} nearest - Fall back to the closest dimension when nothing matches
+ * @returns {string} Offered option, or '' when none fits
+ */
+const pickOption = (options, wanted, nearest = false) => {
+  if (!wanted) return '';
+
+  const match = options.find(option => attributeOptionsMatch(option, wanted));
+  if (match || !nearest) return match || '';
+
+  const wantedFeet = parseFeet(wanted);
+  if (!Number.isFinite(wantedFeet)) return '';
+
+  // Options that are not a length (e.g. "Custom") are never the nearest
+  return options.reduce((best, option) => {
+    const feet = parseFeet(option);
+    if (feet === null) return best;
+
+    const distance = Math.abs(feet - wantedFeet);
+    return !best || distance < Math.abs(parseFeet(best) - wantedFeet) ? option : best;
+  }, '');
+};
+
+/**
+ * Fit fence options to the products of another fence type.
+ * A style or panel width the type does not offer is dropped; the height moves to the closest one offered.
+ * @param {Array} products - Products of the fence type
+ * @param {Object} fenceOptions - Current fence options ({ height, style, panelWidth })
+ * @returns {Object} Fence options for the fence type
+ */
+export const matchFenceOptions = (products, fenceOptions = {}) => {
+  const panels = products.filter(product => hasCategory(product, 'panel'));
+
+  return {
+    ...fenceOptions,
+    height: pickOption(getUniqueAttributeValues(products, 'Height'), fenceOptions.height, true),
+    style: pickOption(getUniqueAttributeValues(products, 'Style'), fenceOptions.style),
+    panelWidth: pickOption(getUniqueAttributeValues(panels, 'Width'), fenceOptions.panelWidth),
+  };
+};
+
+/**
+ * Fit the run overrides and gates of runs to the products of a fence type.
+ * Heights and gate widths move to the closest one offered; styles that are not offered are dropped.
+ * Gates keep their width when the fence type has no gate widths at all, so they stay unpriced
+ * instead of disappearing from the layout.
+ * @param {Array} products - Products of the fence type
+ * @param {Array} runs - Fence runs
+ * @returns {Object} { runs, adjustedRuns, adjustedGates, unmatchedGates }: fitted runs and how many
+ *   runs and gates changed or could not be fitted
+ */
+export const matchRunOptions = (products, runs = []) => {
+  const gateProducts = products.filter(product => hasCategory(product, 'gate'));
+  const heights = getUniqueAttributeValues(products, 'Height');
+  const styles = getUniqueAttributeValues(products, 'Style');
+  const gateWidths = getUniqueAttributeValues(gateProducts, 'Width');
+  const gateStyles = getUniqueAttributeValues(gateProducts, 'Style');
+  let adjustedRuns = 0;
+  let adjustedGates = 0;
+  let unmatchedGates = 0;
+
+  // Fit one gate, counting what changed
+  const fitGate = (gate) => {
+    const width = pickOption(gateWidths, gate.width, true);
+    const style = pickOption(gateStyles, gate.style);
+
+    if (gate.width && !width) {
+      unmatchedGates += 1;
+      return gate;
+    }
+
+    if (!attributeOptionsMatch(width, gate.width || '') || !attributeOptionsMatch(style, gate.style || '')) {
+      adjustedGates += 1;
+    }
+    return { ...gate, width, style };
+  };
+
+  const fittedRuns = runs.map(run => {
+    const height = pickOption(heights, run.height, true) || run.height || '';
+    const style = pickOption(styles, run.style);
+
+    if (!attributeOptionsMatch(height, run.height || '') || !attributeOptionsMatch(style, run.style || '')) {
+      adjustedRuns += 1;
+    }
+    return { ...run, height, style, gates: (run.gates || []).map(fitGate) };
+  });
+
+  return { runs: fittedRuns, adjustedRuns, adjustedGates, unmatchedGates };
+};
+
+/**
+ * List the values that fitting to another fence type changed
+ * @param {Object} current - { fenceOptions, runs } before fitting
+ * @param {Object} fitted - { fenceOptions, runs } after fitting, e.g. a comparison result
+ * @returns {Array} Changes ({ label, field, from, to }); '' means the value was cleared
+ */
+export const listFittedChanges = (current, fitted) => {
+  const changes = [];
+
+  // Record a change unless both values name the same option ("6 ft" and "72 in")
+  const compare = (label, field, from = '', to = '') => {
+    if (!attributeOptionsMatch(from, to)) {
+      changes.push({ label, field, from, to });
+    }
+  };
+
+  ['height', 'style', 'panelWidth'].forEach(field => {
+    compare('Fence', field, current.fenceOptions?.[field], fitted.fenceOptions?.[field]);
+  });
+
+  (current.runs || []).forEach((run, runIndex) => {
+    const fittedRun = fitted.runs?.[runIndex] || {};
+    const runLabel = run.name || `Run ${runIndex + 1}`;
+
+    compare(runLabel, 'height', run.height, fittedRun.height);
+    compare(runLabel, 'style', run.style, fittedRun.style);
+
+    (run.gates || []).forEach((gate, gateIndex) => {
+      const fittedGate = fittedRun.gates?.[gateIndex] || {};
+      compare(`${runLabel}, gate ${gateIndex + 1}`, 'width', gate.width, fittedGate.width);
+      compare(`${runLabel}, gate ${gateIndex + 1}`, 'style', gate.style, fittedGate.style);
+    });
+  });
+
+  return changes;
+};
+
+/**
+ * Calculate the takeoff of the runs as another fence type, the way the calculator does
+ * @param {Array} runs - Fence runs
+ * @param {Object} fenceOptions - Fence options fitted with matchFenceOptions
+ * @param {Object} rules - Rule set of the fence type
+ * @param {Array} products - Products of the fence type
+ * @returns {Object} Takeoff from calculateTakeoff
+ */
+export const calculateOptionTakeoff = (runs, fenceOptions, rules, products) => {
+  return calculateTakeoff(runs, {
+    rules,
+    panelWidth: parseFeet(fenceOptions.panelWidth) || rules.maxPostSpacing,
+    defaultHeight: fenceOptions.height,
+    defaultStyle: fenceOptions.style,
+    postHeightOptions: getPostHeightOptions(products),
+  });
+};
+
+/**
+ * Summarize a priced fence option
+ * @param {Object} takeoff - Takeoff of the option
+ * @param {Object} quote - Quote from buildQuote
+ * @returns {Object} { total, costPerFoot, counts: { sections, sectionLabel, posts, gates }, complete }
+ */
+export const summarizeFenceOption = (takeoff, quote) => {
+  const { totals, rules } = takeoff;
+
+  return {
+    total: quote.total,
+    costPerFoot: totals.length > 0 ? quote.total / totals.length : null,
+    counts: {
+      sections: totals.panels.total,
+      sectionLabel: rules.sectionLabel,
+      posts: totals.posts.total,
+      gates: totals.gates.reduce((sum, variant) => sum + variant.singles + variant.doubles, 0),
+    },
+    // Missing products leave a total too low to compare fairly
+    complete: quote.missing.length === 0,
+  };
+};
+
+/**
+ * Find the cheapest priced option; complete quotes win over ones with missing products
+ * @param {Array} results - Comparison results ({ key, summary, error })
+ * @returns {string|null} Key of the cheapest result, or null when nothing was priced
+ */
+export const findCheapestOption = (results = []) => {
+  const priced = results.filter(result => result.summary);
+  const complete = priced.filter(result => result.summary.complete);
+  const candidates = complete.length > 0 ? complete : priced;
+
+  const cheapest = candidates.reduce(
+    (best, result) => (!best || result.summary.total < best.summary.total ? result : best),
+    null
+  );
+
+  return cheapest ? cheapest.key : null;
+};
@@ -0,0 +1,75 @@
+import { matchFenceOptions, findCheapestOption, listFittedChanges } from './fenceComparison';
+
+const createProduct = (id, category, attributes = {}) => ({
+  id,
+  name: `Product ${id}`,
+  categories: [{ id, name: category }],
+  attributes: Object.entries(attributes).map(([name, options]) => ({ name, options })),
+});
+
+const products = [
+  createProduct(1, 'Aluminum Panels', { Height: ['4 ft', '5 ft'], Style: ['Flat Top'], Width: ['6 ft'] }),
+  createProduct(2, 'Aluminum Posts', { Height: ['7 ft'], Width: ['2 in'] }),
+];
+
+describe('matchFenceOptions', () => {
+  it('keeps options the fence type offers', () => {
+    const options = matchFenceOptions(products, { height: '60 in', style: 'flat top', panelWidth: '6 ft' });
+
+    expect(options).toEqual({ height: '5 ft', style: 'Flat Top', panelWidth: '6 ft' });
+  });
+
+  it('drops styles and widths it does not offer and moves to the closest height', () => {
+    const options = matchFenceOptions(products, { height: '6 ft', style: 'Privacy', panelWidth: '8 ft', gateWidth: '4 ft' });
+
+    expect(options).toEqual({ height: '5 ft', style: '', panelWidth: '', gateWidth: '4 ft' });
+  });
+});
+
+describe('findCheapestOption', () => {
+  it('prefers complete quotes over cheaper incomplete ones', () => {
+    const results = [
+      { key: 'vinyl', summary: { total: 900, complete: true } },
+      { key: 'wood', summary: { total: 500, complete: false } },
+      { key: 'aluminum', summary: { total: 1200, complete: true } },
+      { key: 'chainLink', error: 'Failed' },
+    ];
+
+    expect(findCheapestOption(results)).toBe('vinyl');
+  });
+
+  it('returns null when nothing was priced', () => {
+    expect(findCheapestOption([{ key: 'vinyl', error: 'Failed' }])).toBeNull();
+  });
+});
+
+describe('listFittedChanges', () => {
+  const current = {
+    fenceOptions: { height: '6 ft', style: 'Privacy', panelWidth: '8 ft' },
+    runs: [
+      { name: '', height: '72 in', style: '', gates: [{ width: '4 ft', style: 'Arched' }] },
+      { name: 'Back', height: '', style: 'Privacy', gates: [] },
+    ],
+  };
+
+  it('lists the values fitting changed or cleared', () => {
+    const fitted = {
+      fenceOptions: { height: '5 ft', style: 'Privacy', panelWidth: '' },
+      runs: [
+        { height: '6 ft', style: '', gates: [{ width: '5 ft', style: 'Arched' }] },
+        { height: '', style: '', gates: [] },
+      ],
+    };
+
+    expect(listFittedChanges(current, fitted)).toEqual([
+      { label: 'Fence', field: 'height', from: '6 ft', to: '5 ft' },
+      { label: 'Fence', field: 'panelWidth', from: '8 ft', to: '' },
+      { label: 'Run 1, gate 1', field: 'width', from: '4 ft', to: '5 ft' },
+      { label: 'Back', field: 'style', from: 'Privacy', to: '' },
+    ]);
+  });
+
+  it('lists nothing when every value is offered', () => {
+    expect(listFittedChanges(current, current)).toEqual([]);
+  });
+});
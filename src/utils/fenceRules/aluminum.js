@@ -0,0 +1,91 @@
+/**
+ * Aluminum fence rules
+ * Rackable sections fasten to posts with one bracket per rail end.
+ */
+
+import { hasCategory, hasName } from '../productFilters';
+
+const aluminum = {
+  key: 'aluminum',
+  label: 'Aluminum',
+  match: name => name.includes('aluminum'),
+  // Standard aluminum sections are 6 ft on center
+  maxPostSpacing: 6,
+  sectionLabel: 'Sections',
+  // Rackable sections follow up to about 18 in of rise over a 6 ft section
+  maxRackGrade: 0.25,
+  options: {
+    // Width of a post; panels fill the gap between two posts
+    postWidthInches: 2,
+    // Three rails per section, a bracket at each rail end
+    bracketsPerSection: 6,
+    bracketsPerWallMount: 3,
+    concreteBagsPerPost: 1,
+  },
+  calculateMaterials: ({ panels, posts, wallMounts }, options) => ({
+    caps: posts.total,
+    brackets: (panels.full + panels.cut) * options.bracketsPerSection + wallMounts * options.bracketsPerWallMount,
+    concreteBags: posts.total * options.concreteBagsPerPost,
+  }),
+  // Panels cut to length; offcuts can fill the short gap of another run
+  cutMaterials: [
+    {
+      key: 'panels',
+      label: 'Sections',
+      // A panel spans post center to post center, less one post width
+      getStockLength: settings => settings.panelWidth - settings.postWidthInches / 12,
+      getPiecesPerCut: () => 1,
+    },
+  ],
+  components: [
+    {
+      key: 'panels',
+      category: 'panels',
+      label: 'Sections',
+      match: product => hasCategory(product, 'panel'),
+      // Cut pieces share panels across runs when the takeoff planned the cuts
+      getQuantity: part => part.panels.full + (part.cutStock?.panels ?? part.panels.cut),
+      describe: part => {
+        if (part.panels.cut === 0) return '';
+        const stock = part.cutStock?.panels ?? part.panels.cut;
+        return stock < part.panels.cut
+          ? `includes ${part.panels.cut} cut to length from ${stock}`
+          : `includes ${part.panels.cut} cut to length`;
+      },
+    },
+    {
+      key: 'posts',
+      category: 'posts',
+      label: 'Posts',
+      match: product => hasCategory(product, 'post') && !hasName(product, 'cap'),
+      getQuantity: part => part.posts.total,
+      describe: part => ['line', 'corner', 'end', 'gate']
+        .filter(type => part.posts[type] > 0)
+        .map(type => `${part.posts[type]} ${type}`)
+        .join(', '),
+    },
+    {
+      key: 'caps',
+      category: 'hardware',
+      label: 'Post Caps',
+      match: product => hasName(product, 'cap'),
+      getQuantity: part => part.caps,
+    },
+    {
+      key: 'brackets',
+      category: 'hardware',
+      label: 'Rackable Brackets',
+      match: product => hasName(product, 'bracket'),
+      getQuantity: part => part.brackets,
+    },
+    {
+      key: 'concrete',
+      category: 'hardware',
+      label: 'Concrete',
+      match: product => hasName(product, 'concrete'),
+      getQuantity: part => part.concreteBags,
+    },
+  ],
+};
+
+export default aluminum;
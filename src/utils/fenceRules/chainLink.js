@@ -0,0 +1,153 @@
+/**
+ * Chain link fence rules
+ * Fabric is unrolled between terminal posts, stretched with tension bars and bands,
+ * and tied to line posts and a continuous top rail.
+ */
+
+import { hasName } from '../productFilters';
+
+// Height used for band and tie counts when no fence height is selected
+const DEFAULT_HEIGHT = 4;
+
+/**
+ * Count the terminal posts (corner, end and gate) of a takeoff part
+ * @param {Object} posts - Post counts
+ * @returns {number} Terminal posts
+ */
+const getTerminalPosts = (posts) => posts.corner + posts.end + posts.gate;
+
+const chainLink = {
+  key: 'chainLink',
+  label: 'Chain Link',
+  match: name => name.includes('chain'),
+  maxPostSpacing: 10,
+  sectionLabel: 'Bays',
+  // Fabric follows the ground on any grade (null = no limit)
+  maxRackGrade: null,
+  options: {
+    fabricRollLength: 50,
+    topRailLength: 21,
+    // Ties every 2 ft along the top rail and every 1 ft up each line post
+    railTieSpacing: 2,
+    postTieSpacing: 1,
+    tieWiresPerBag: 100,
+    concreteBagsPerLinePost: 1,
+    concreteBagsPerTerminalPost: 2,
+  },
+  calculateMaterials: ({ posts, wallMounts, fencedLength, heightFeet }, options) => {
+    const height = heightFeet || DEFAULT_HEIGHT;
+    const terminalPosts = getTerminalPosts(posts);
+    // One tension bar where the fabric ends: corners hold fabric from both sides
+    const tensionBars = posts.end + posts.corner * 2 + posts.gate + wallMounts;
+    const ties = fencedLength / options.railTieSpacing + (posts.line * height) / options.postTieSpacing;
+
+    return {
+      fabricRolls: Math.ceil(fencedLength / options.fabricRollLength),
+      topRails: Math.ceil(fencedLength / options.topRailLength),
+      terminalPosts,
+      tensionBars,
+      // One band per foot of height, less one, on each tension bar
+      tensionBands: tensionBars * Math.max(Math.ceil(height) - 1, 1),
+      // One brace band and rail end where the top rail meets a terminal post
+      braceBands: tensionBars,
+      railEnds: tensionBars,
+      loopCaps: posts.line,
+      domeCaps: terminalPosts,
+      tieWireBags: Math.ceil(ties / options.tieWiresPerBag),
+      concreteBags: posts.line * options.concreteBagsPerLinePost + terminalPosts * options.concreteBagsPerTerminalPost,
+    };
+  },
+  components: [
+    {
+      key: 'fabric',
+      category: 'infill',
+      label: 'Fabric Rolls',
+      match: product => hasName(product, 'fabric'),
+      getQuantity: part => part.fabricRolls,
+      describe: part => `${part.fencedLength} ft of fabric`,
+    },
+    {
+      key: 'topRail',
+      category: 'rails',
+      label: 'Top Rail',
+      match: product => hasName(product, 'top rail'),
+      getQuantity: part => part.topRails,
+    },
+    {
+      key: 'linePosts',
+      category: 'posts',
+      label: 'Line Posts',
+      match: product => hasName(product, 'line post'),
+      getQuantity: part => part.posts.line,
+    },
+    {
+      key: 'terminalPosts',
+      category: 'posts',
+      label: 'Terminal Posts',
+      match: product => hasName(product, 'terminal post'),
+      getQuantity: part => part.terminalPosts,
+      describe: part => ['corner', 'end', 'gate']
+        .filter(type => part.posts[type] > 0)
+        .map(type => `${part.posts[type]} ${type}`)
+        .join(', '),
+    },
+    {
+      key: 'tensionBars',
+      category: 'hardware',
+      label: 'Tension Bars',
+      match: product => hasName(product, 'tension bar'),
+      getQuantity: part => part.tensionBars,
+    },
+    {
+      key: 'tensionBands',
+      category: 'hardware',
+      label: 'Tension Bands',
+      match: product => hasName(product, 'tension band'),
+      getQuantity: part => part.tensionBands,
+    },
+    {
+      key: 'braceBands',
+      category: 'hardware',
+      label: 'Brace Bands',
+      match: product => hasName(product, 'brace band'),
+      getQuantity: part => part.braceBands,
+    },
+    {
+      key: 'railEnds',
+      category: 'hardware',
+      label: 'Rail Ends',
+      match: product => hasName(product, 'rail end'),
+      getQuantity: part => part.railEnds,
+    },
+    {
+      key: 'loopCaps',
+      category: 'hardware',
+      label: 'Loop Caps',
+      match: product => hasName(product, 'loop cap'),
+      getQuantity: part => part.loopCaps,
+    },
+    {
+      key: 'domeCaps',
+      category: 'hardware',
+      label: 'Dome Caps',
+      match: product => hasName(product, 'dome cap'),
+      getQuantity: part => part.domeCaps,
+    },
+    {
+      key: 'tieWires',
+      category: 'hardware',
+      label: 'Tie Wires',
+      match: product => hasName(product, 'tie wire'),
+      getQuantity: part => part.tieWireBags,
+    },
+    {
+      key: 'concrete',
+      category: 'hardware',
+      label: 'Concrete',
+      match: product => hasName(product, 'concrete'),
+      getQuantity: part => part.concreteBags,
+    },
+  ],
+};
+
+export default chainLink;
@@ -0,0 +1,96 @@
+import { FENCE_RULE_SETS, DEFAULT_FENCE_RULES, findFenceRules, getFenceRules } from './index';
+import vinyl from './vinyl';
+import aluminum from './aluminum';
+import wood from './wood';
+import chainLink from './chainLink';
+import { calculateTakeoff } from '../fenceTakeoff';
+import { createFenceRun, END_CONDITIONS } from '../fenceRuns';
+
+describe('findFenceRules', () => {
+  it('finds the rule set of a fence type by name', () => {
+    expect(findFenceRules('Chain Link Fence')).toBe(chainLink);
+    expect(findFenceRules('Aluminum Fencing')).toBe(aluminum);
+    expect(findFenceRules('Wood Privacy')).toBe(wood);
+    expect(findFenceRules('White VINYL')).toBe(vinyl);
+  });
+
+  it('returns null for unknown fence types', () => {
+    expect(findFenceRules('Steel')).toBeNull();
+    expect(findFenceRules()).toBeNull();
+  });
+});
+
+describe('getFenceRules', () => {
+  it('falls back to the default rule set', () => {
+    expect(getFenceRules('Steel')).toBe(DEFAULT_FENCE_RULES);
+    expect(getFenceRules('Wood')).toBe(wood);
+  });
+});
+
+describe.each(FENCE_RULE_SETS.map(rules => [rules.key, rules]))('%s rule set', (key, rules) => {
+  it('describes how the fence is built', () => {
+    expect(rules.key).toBe(key);
+    expect(rules.maxPostSpacing).toBeGreaterThan(0);
+    expect(typeof rules.calculateMaterials).toBe('function');
+    expect(rules.components.length).toBeGreaterThan(0);
+  });
+
+  it('gives every component a quantity for a takeoff', () => {
+    const { totals } = calculateTakeoff([createFenceRun({ length: 40, height: '6 ft' })], { rules });
+
+    rules.components.forEach(component => {
+      expect(Number.isFinite(component.getQuantity(totals))).toBe(true);
+    });
+  });
+});
+
+describe('materials', () => {
+  it('counts vinyl caps, brackets and concrete', () => {
+    const runs = [createFenceRun({ length: 16, endCondition: END_CONDITIONS.WALL })];
+    const { totals } = calculateTakeoff(runs, { rules: vinyl });
+
+    // 2 panels, 2 posts and one panel end on the wall
+    expect(totals).toMatchObject({ caps: 2, brackets: 10, concreteBags: 4 });
+  });
+
+  it('counts aluminum section brackets', () => {
+    const { totals } = calculateTakeoff([createFenceRun({ length: 12 })], { rules: aluminum });
+
+    expect(totals.panels.total).toBe(2);
+    expect(totals).toMatchObject({ caps: 3, brackets: 12, concreteBags: 3 });
+  });
+
+  it('counts wood pickets and a third rail on tall fences', () => {
+    const { totals } = calculateTakeoff([createFenceRun({ length: 16, height: '6 ft' })], { rules: wood });
+
+    expect(totals).toMatchObject({ pickets: 35, rails: 6, fastenerBoxes: 1, concreteBags: 6 });
+
+    const short = calculateTakeoff([createFenceRun({ length: 16, height: '4 ft' })], { rules: wood });
+    expect(short.totals.rails).toBe(4);
+  });
+
+  it('cuts wood rails of short bays from shared boards', () => {
+    const runs = [createFenceRun({ length: 20, height: '6 ft' }), createFenceRun({ length: 12, height: '6 ft' })];
+    const { totals } = calculateTakeoff(runs, { rules: wood });
+
+    // 3 full bays and 2 short ones of 3 rails each; the 6 short rails fit in 3 boards
+    expect(totals.cutStock).toEqual({ rails: 3 });
+    expect(totals.rails).toBe(12);
+  });
+
+  it('counts chain link fabric, rails, fittings and ties', () => {
+    const { totals } = calculateTakeoff([createFenceRun({ length: 100, height: '6 ft' })], { rules: chainLink });
+
+    expect(totals).toMatchObject({
+      fabricRolls: 2,
+      topRails: 5,
+      terminalPosts: 2,
+      tensionBars: 2,
+      tensionBands: 10,
+      loopCaps: 9,
+      domeCaps: 2,
+      tieWireBags: 2,
+      concreteBags: 13,
+    });
+  });
+});
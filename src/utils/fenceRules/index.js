@@ -0,0 +1,36 @@
+/**
+ * Fence-type rule sets
+ * Each rule set knows how one kind of fence is built: its post spacing, the
+ * materials a run needs and which catalog products supply them. Add a new fence
+ * type by writing a rule set and listing it here.
+ */
+
+import vinyl from './vinyl';
+import aluminum from './aluminum';
+import wood from './wood';
+import chainLink from './chainLink';
+
+// Checked in order; the first rule set whose match() accepts the name wins
+export const FENCE_RULE_SETS = [chainLink, aluminum, wood, vinyl];
+
+// Used when the fence type matches no rule set
+export const DEFAULT_FENCE_RULES = vinyl;
+
+/**
+ * Find the rule set of a fence type
+ * @param {string} fenceTypeName - Fence type (category) name
+ * @returns {Object|null} Rule set, or null when none matches
+ */
+export const findFenceRules = (fenceTypeName = '') => {
+  const name = fenceTypeName.toLowerCase();
+  return FENCE_RULE_SETS.find(rules => rules.match(name)) || null;
+};
+
+/**
+ * Get the rule set of a fence type, falling back to the default
+ * @param {string} fenceTypeName - Fence type (category) name
+ * @returns {Object} Rule set
+ */
+export const getFenceRules = (fenceTypeName) => {
+  return findFenceRules(fenceTypeName) || DEFAULT_FENCE_RULES;
+};
@@ -0,0 +1,93 @@
+/**
+ * Vinyl fence rules
+ * Pre-built panels hang between posts on brackets; posts get caps and concrete.
+ */
+
+import { hasCategory, hasName } from '../productFilters';
+
+const vinyl = {
+  key: 'vinyl',
+  label: 'Vinyl',
+  match: name => name.includes('vinyl'),
+  // Posts sit one panel width apart
+  maxPostSpacing: 8,
+  sectionLabel: 'Panels',
+  // Routed vinyl panels cannot be racked; sloped runs are stepped
+  maxRackGrade: 0,
+  options: {
+    // Width of a post; panels fill the gap between two posts
+    postWidthInches: 5,
+    // Brackets needed to hang one panel between two posts
+    bracketsPerPanel: 4,
+    // Brackets needed to fasten a panel end to a wall or structure
+    bracketsPerWallMount: 2,
+    // Bags of concrete set around each post
+    concreteBagsPerPost: 2,
+  },
+  calculateMaterials: ({ panels, posts, wallMounts }, options) => ({
+    caps: posts.total,
+    brackets: (panels.full + panels.cut) * options.bracketsPerPanel + wallMounts * options.bracketsPerWallMount,
+    concreteBags: posts.total * options.concreteBagsPerPost,
+  }),
+  // Panels cut to length; offcuts can fill the short gap of another run
+  cutMaterials: [
+    {
+      key: 'panels',
+      label: 'Panels',
+      // A panel spans post center to post center, less one post width
+      getStockLength: settings => settings.panelWidth - settings.postWidthInches / 12,
+      getPiecesPerCut: () => 1,
+    },
+  ],
+  components: [
+    {
+      key: 'panels',
+      category: 'panels',
+      label: 'Panels',
+      match: product => hasCategory(product, 'panel'),
+      // Cut pieces share panels across runs when the takeoff planned the cuts
+      getQuantity: part => part.panels.full + (part.cutStock?.panels ?? part.panels.cut),
+      describe: part => {
+        if (part.panels.cut === 0) return '';
+        const stock = part.cutStock?.panels ?? part.panels.cut;
+        return stock < part.panels.cut
+          ? `includes ${part.panels.cut} cut to length from ${stock}`
+          : `includes ${part.panels.cut} cut to length`;
+      },
+    },
+    {
+      key: 'posts',
+      category: 'posts',
+      label: 'Posts',
+      match: product => hasCategory(product, 'post') && !hasName(product, 'cap'),
+      getQuantity: part => part.posts.total,
+      describe: part => ['line', 'corner', 'end', 'gate']
+        .filter(type => part.posts[type] > 0)
+        .map(type => `${part.posts[type]} ${type}`)
+        .join(', '),
+    },
+    {
+      key: 'caps',
+      category: 'hardware',
+      label: 'Post Caps',
+      match: product => hasName(product, 'cap'),
+      getQuantity: part => part.caps,
+    },
+    {
+      key: 'brackets',
+      category: 'hardware',
+      label: 'Brackets',
+      match: product => hasName(product, 'bracket'),
+      getQuantity: part => part.brackets,
+    },
+    {
+      key: 'concrete',
+      category: 'hardware',
+      label: 'Concrete',
+      match: product => hasName(product, 'concrete'),
+      getQuantity: part => part.concreteBags,
+    },
+  ],
+};
+
+export default vinyl;
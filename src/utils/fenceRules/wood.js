@@ -0,0 +1,104 @@
+/**
+ * Wood fence rules
+ * Pickets are screwed to horizontal rails that span each bay between posts.
+ */
+
+import { hasCategory, hasName } from '../productFilters';
+
+/**
+ * Count the rails of one bay
+ * @param {number} heightFeet - Fence height in feet
+ * @param {Object} options - Rule set options
+ * @returns {number} Rails per bay
+ */
+const getRailsPerBay = (heightFeet, options) => (heightFeet > options.threeRailHeight ? 3 : 2);
+
+const wood = {
+  key: 'wood',
+  label: 'Wood',
+  match: name => name.includes('wood'),
+  // Rails come in 8 ft lengths, one per bay
+  maxPostSpacing: 8,
+  sectionLabel: 'Bays',
+  // Built on site, so rails and pickets follow any grade (null = no limit)
+  maxRackGrade: null,
+  options: {
+    // 1x6 pickets are 5.5 in wide; a gap of 0 gives a privacy fence
+    picketWidthInches: 5.5,
+    picketGapInches: 0,
+    // Rails are sold in 8 ft boards and fit between 4x4 posts (3.5 in actual)
+    railLength: 8,
+    postWidthInches: 3.5,
+    // Fences taller than this get a third rail
+    threeRailHeight: 5,
+    // Two screws per picket per rail, four per rail end
+    fastenersPerBox: 350,
+    concreteBagsPerPost: 2,
+  },
+  calculateMaterials: ({ panels, posts, fencedLength, heightFeet, cutStock }, options) => {
+    const railsPerBay = getRailsPerBay(heightFeet, options);
+    const pickets = Math.ceil((fencedLength * 12) / (options.picketWidthInches + options.picketGapInches));
+    // Rails of short bays are cut from shared boards when the takeoff planned the cuts
+    const rails = panels.full * railsPerBay + (cutStock?.rails ?? panels.cut * railsPerBay);
+
+    return {
+      pickets,
+      rails,
+      fastenerBoxes: Math.ceil((pickets * railsPerBay * 2 + (panels.full + panels.cut) * railsPerBay * 4) / options.fastenersPerBox),
+      concreteBags: posts.total * options.concreteBagsPerPost,
+    };
+  },
+  // Rails of short bays; one board can supply the rails of short bays in several runs
+  cutMaterials: [
+    {
+      key: 'rails',
+      label: 'Rails',
+      getStockLength: settings => settings.railLength,
+      getPiecesPerCut: (run, settings) => getRailsPerBay(run.heightFeet, settings),
+    },
+  ],
+  components: [
+    {
+      key: 'pickets',
+      category: 'infill',
+      label: 'Pickets',
+      match: product => hasName(product, 'picket'),
+      getQuantity: part => part.pickets,
+    },
+    {
+      key: 'rails',
+      category: 'rails',
+      label: 'Rails',
+      match: product => hasName(product, 'rail'),
+      getQuantity: part => part.rails,
+      describe: part => `${part.panels.full + part.panels.cut} bays`,
+    },
+    {
+      key: 'posts',
+      category: 'posts',
+      label: 'Posts',
+      match: product => hasCategory(product, 'post') && !hasName(product, 'cap'),
+      getQuantity: part => part.posts.total,
+      describe: part => ['line', 'corner', 'end', 'gate']
+        .filter(type => part.posts[type] > 0)
+        .map(type => `${part.posts[type]} ${type}`)
+        .join(', '),
+    },
+    {
+      key: 'fasteners',
+      category: 'hardware',
+      label: 'Fasteners',
+      match: product => hasName(product, 'screw') || hasName(product, 'nail'),
+      getQuantity: part => part.fastenerBoxes,
+    },
+    {
+      key: 'concrete',
+      category: 'hardware',
+      label: 'Concrete',
+      match: product => hasName(product, 'concrete'),
+      getQuantity: part => part.concreteBags,
+    },
+  ],
+};
+
+export default wood;
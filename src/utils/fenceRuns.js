@@ -0,0 +1,262 @@
+/**
+ * Utility functions for creating and editing fence runs
+ */
+
+import { parseFeet, formatLength, UNIT_SYSTEMS } from './units';
+
+// Conditions a run can start or end with
+export const END_CONDITIONS = {
+  END: 'end',
+  CORNER: 'corner',
+  WALL: 'wall',
+};
+
+// Options shown in the run editor for start/end conditions
+export const END_CONDITION_OPTIONS = [
+  { value: END_CONDITIONS.END, label: 'End post' },
+  { value: END_CONDITIONS.CORNER, label: 'Corner (shared post)' },
+  { value: END_CONDITIONS.WALL, label: 'Wall / existing structure' },
+];
+
+// Gate types; a double gate has two leaves of the selected width
+export const GATE_TYPES = {
+  SINGLE: 'single',
+  DOUBLE: 'double',
+};
+
+// Options shown in the run editor for gate types
+export const GATE_TYPE_OPTIONS = [
+  { value: GATE_TYPES.SINGLE, label: 'Single gate' },
+  { value: GATE_TYPES.DOUBLE, label: 'Double gate' },
+];
+
+// How the grade of a run is entered
+export const GRADE_TYPES = {
+  PERCENT: 'percent',
+  RISE: 'rise',
+};
+
+// Options shown in the run editor for grade types
+export const GRADE_TYPE_OPTIONS = [
+  { value: GRADE_TYPES.PERCENT, label: 'Slope (%)' },
+  { value: GRADE_TYPES.RISE, label: 'Rise' },
+];
+
+// How panels are installed on a sloped run
+export const SLOPE_METHODS = {
+  STEPPED: 'stepped',
+  RACKED: 'racked',
+};
+
+// Options shown in the run editor for slope methods
+export const SLOPE_METHOD_OPTIONS = [
+  { value: SLOPE_METHODS.STEPPED, label: 'Stepped (level panels)' },
+  { value: SLOPE_METHODS.RACKED, label: 'Racked (follows the grade)' },
+];
+
+let runCounter = 0;
+let gateCounter = 0;
+
+/**
+ * Create a new fence run
+ * @param {Object} overrides - Values to override the defaults with
+ * @returns {Object} Fence run
+ */
+export const createFenceRun = (overrides = {}) => {
+  runCounter += 1;
+
+  return {
+    id: `run-${Date.now().toString(36)}-${runCounter}`,
+    name: '',
+    // Length in feet ('' while the user has not entered one yet)
+    length: '',
+    // Optional overrides of the fence-wide height/style ('' = use default)
+    height: '',
+    style: '',
+    startCondition: END_CONDITIONS.END,
+    endCondition: END_CONDITIONS.END,
+    gates: [],
+    // Grade as a slope percentage or a total rise in feet ('' = flat)
+    gradeType: GRADE_TYPES.PERCENT,
+    grade: '',
+    slopeMethod: SLOPE_METHODS.STEPPED,
+    ...overrides,
+  };
+};
+
+/**
+ * Create a new gate
+ * @param {Object} overrides - Values to override the defaults with
+ * @returns {Object} Gate
+ */
+export const createGate = (overrides = {}) => {
+  gateCounter += 1;
+
+  return {
+    id: `gate-${Date.now().toString(36)}-${gateCounter}`,
+    type: GATE_TYPES.SINGLE,
+    // Leaf width from the gate product's Width attribute, e.g. "4 ft"
+    width: '',
+    // Optional override of the run/fence style ('' = use default)
+    style: '',
+    // Distance in feet from the start of the run to the gate opening
+    position: 0,
+    ...overrides,
+  };
+};
+
+/**
+ * Get the number of leaves of a gate
+ * @param {Object} gate - Gate
+ * @returns {number} 2 for double gates, 1 otherwise
+ */
+export const getGateLeaves = (gate) => (gate.type === GATE_TYPES.DOUBLE ? 2 : 1);
+
+/**
+ * Get the width of a gate opening in feet
+ * @param {Object} gate - Gate
+ * @returns {number} Opening width in feet, 0 when no width is selected
+ */
+export const getGateOpening = (gate) => {
+  const leafWidth = parseFeet(gate.width);
+  return Number.isFinite(leafWidth) ? leafWidth * getGateLeaves(gate) : 0;
+};
+
+/**
+ * Get the gates of a run ordered by position
+ * @param {Object} run - Fence run
+ * @returns {Array} Gates sorted from the start of the run
+ */
+export const getSortedGates = (run) => {
+  return [...(run?.gates || [])].sort((a, b) => (Number(a.position) || 0) - (Number(b.position) || 0));
+};
+
+/**
+ * Append a run, joining it to the previous run with a corner
+ * @param {Array} runs - Current fence runs
+ * @returns {Array} Updated fence runs
+ */
+export const addFenceRun = (runs) => {
+  if (runs.length === 0) {
+    return [createFenceRun()];
+  }
+
+  const previous = runs[runs.length - 1];
+  const joined = previous.endCondition === END_CONDITIONS.END
+    ? { ...previous, endCondition: END_CONDITIONS.CORNER }
+    : previous;
+
+  return [
+    ...runs.slice(0, -1),
+    joined,
+    createFenceRun({ startCondition: END_CONDITIONS.CORNER }),
+  ];
+};
+
+/**
+ * Move a run up or down in the list
+ * @param {Array} runs - Current fence runs
+ * @param {number} index - Index of the run to move
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Array} Reordered fence runs
+ */
+export const moveFenceRun = (runs, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= runs.length) {
+    return runs;
+  }
+
+  const reordered = [...runs];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+};
+
+/**
+ * Get the length of a run in feet
+ * @param {Object} run - Fence run
+ * @returns {number} Length in feet, 0 when not set
+ */
+export const getRunLength = (run) => {
+  const length = parseFloat(run?.length);
+  return Number.isFinite(length) && length > 0 ? length : 0;
+};
+
+/**
+ * Get the grade of a run as rise per foot of (level) run length
+ * @param {Object} run - Fence run
+ * @returns {number} Grade, e.g. 0.1 for a 10% slope; 0 when flat or not set
+ */
+export const getRunGrade = (run) => {
+  const grade = Math.abs(parseFloat(run?.grade));
+  if (!Number.isFinite(grade)) return 0;
+
+  if (run.gradeType === GRADE_TYPES.RISE) {
+    const length = getRunLength(run);
+    return length > 0 ? grade / length : 0;
+  }
+
+  return grade / 100;
+};
+
+/**
+ * Get the combined length of all runs in feet
+ * @param {Array} runs - Fence runs
+ * @returns {number} Total length in feet
+ */
+export const getTotalLength = (runs = []) => {
+  return runs.reduce((total, run) => total + getRunLength(run), 0);
+};
+
+/**
+ * Validate a single run
+ * @param {Object} run - Fence run
+ * @param {Function} formatRunLength - Formats a length in feet for messages, e.g. formatLength from useUnits
+ * @returns {Object} Map of field name to error message (gate errors are keyed by gate id under `gates`)
+ */
+export const validateFenceRun = (run, formatRunLength = feet => formatLength(feet, UNIT_SYSTEMS.IMPERIAL)) => {
+  const errors = {};
+
+  const length = getRunLength(run);
+  if (length <= 0) {
+    errors.length = 'Enter a length greater than 0';
+  }
+
+  if (run.grade !== '' && run.grade !== undefined && !(parseFloat(run.grade) >= 0)) {
+    errors.grade = 'Grade must be 0 or more';
+  }
+
+  // Gates must have a width and fit inside the run without overlapping
+  const gateErrors = {};
+  let previousEnd = 0;
+  getSortedGates(run).forEach(gate => {
+    const position = Number(gate.position);
+    const opening = getGateOpening(gate);
+
+    if (opening <= 0) {
+      gateErrors[gate.id] = 'Select a gate width';
+    } else if (!Number.isFinite(position) || position < 0) {
+      gateErrors[gate.id] = 'Position must be 0 or more';
+    } else if (position < previousEnd) {
+      gateErrors[gate.id] = 'Gate overlaps another gate';
+    } else if (length > 0 && position + opening > length) {
+      gateErrors[gate.id] = `Gate extends past the end of the run (${formatRunLength(length)})`;
+    }
+
+    previousEnd = Math.max(previousEnd, (Number.isFinite(position) ? position : 0) + opening);
+  });
+
+  if (Object.keys(gateErrors).length > 0) {
+    errors.gates = gateErrors;
+  }
+
+  return errors;
+};
+
+/**
+ * Check whether every run is valid and at least one run exists
+ * @param {Array} runs - Fence runs
+ * @returns {boolean} True when the runs can be used for a quote
+ */
+export const areFenceRunsValid = (runs = []) => {
+  return runs.length > 0 && runs.every(run => Object.keys(validateFenceRun(run)).length === 0);
+};
@@ -0,0 +1,59 @@
+import {
+  createFenceRun,
+  createGate,
+  GATE_TYPES,
+  getGateOpening,
+  getSortedGates,
+  validateFenceRun,
+  areFenceRunsValid
+} from './fenceRuns';
+import { formatLength, UNIT_SYSTEMS } from './units';
+
+describe('gates', () => {
+  it('opens a double gate twice as wide as one leaf', () => {
+    expect(getGateOpening(createGate({ width: '4 ft' }))).toBe(4);
+    expect(getGateOpening(createGate({ width: '4 ft', type: GATE_TYPES.DOUBLE }))).toBe(8);
+    expect(getGateOpening(createGate())).toBe(0);
+  });
+
+  it('orders gates from the start of the run', () => {
+    const run = createFenceRun({ gates: [createGate({ position: 12 }), createGate({ position: '3' })] });
+
+    expect(getSortedGates(run).map(gate => gate.position)).toEqual(['3', 12]);
+  });
+});
+
+describe('validateFenceRun', () => {
+  it('asks for a length', () => {
+    expect(validateFenceRun(createFenceRun()).length).toBeDefined();
+    expect(validateFenceRun(createFenceRun({ length: 10 }))).toEqual({});
+  });
+
+  it('checks that gates have a width and fit inside the run', () => {
+    const noWidth = createGate({ position: 1 });
+    const overlapping = createGate({ width: '4 ft', position: 2 });
+    const first = createGate({ width: '4 ft', position: 0 });
+    const pastEnd = createGate({ width: '4 ft', position: 8 });
+    const run = createFenceRun({ length: 10, gates: [noWidth, first, overlapping, pastEnd] });
+
+    expect(validateFenceRun(run).gates).toEqual({
+      [noWidth.id]: 'Select a gate width',
+      [overlapping.id]: 'Gate overlaps another gate',
+      [pastEnd.id]: 'Gate extends past the end of the run (10 ft)',
+    });
+  });
+
+  it('gives the run length in the units it is shown in', () => {
+    const pastEnd = createGate({ width: '4 ft', position: 8 });
+    const run = createFenceRun({ length: 10, gates: [pastEnd] });
+    const toMeters = feet => formatLength(feet, UNIT_SYSTEMS.METRIC);
+
+    expect(validateFenceRun(run, toMeters).gates[pastEnd.id]).toBe('Gate extends past the end of the run (3.05 m)');
+  });
+
+  it('needs at least one valid run', () => {
+    expect(areFenceRunsValid([])).toBe(false);
+    expect(areFenceRunsValid([createFenceRun({ length: 10 })])).toBe(true);
+    expect(areFenceRunsValid([createFenceRun({ length: 10 }), createFenceRun()])).toBe(false);
+  });
+});
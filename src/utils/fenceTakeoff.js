@@ -0,0 +1,464 @@
+/**
+ * Material takeoff for fence runs
+ * Turns a list of fence runs into section, post and material counts.
+ * What a section needs is decided by the fence-type rule set (see ./fenceRules).
+ * Pure functions only, so it can be used outside of React.
+ */
+
+import {
+  END_CONDITIONS,
+  getRunLength,
+  getSortedGates,
+  getGateOpening,
+  getGateLeaves,
+  getRunGrade,
+  SLOPE_METHODS
+} from './fenceRuns';
+import { parseFeet } from './units';
+import { DEFAULT_FENCE_RULES } from './fenceRules';
+import { planCuts } from './cutOptimizer';
+import { WASTE_FACTORS, SAW_KERF, MIN_USABLE_OFFCUT } from '../config/materials';
+
+// Panel width used when the product does not define one (in feet)
+export const DEFAULT_PANEL_WIDTH = DEFAULT_FENCE_RULES.maxPostSpacing;
+
+// Default takeoff options
+export const DEFAULT_TAKEOFF_OPTIONS = {
+  // Fence-type rule set; decides post spacing and the materials of each section
+  rules: DEFAULT_FENCE_RULES,
+  // Center-to-center panel width in feet; defaults to the rule set's post spacing
+  panelWidth: null,
+  // Remainders shorter than this (in feet) are absorbed by post spacing instead of cut
+  minCutLength: 0.25,
+  // Fence-wide height and style, used for gates on runs without overrides
+  defaultHeight: '',
+  defaultStyle: '',
+  // Height options of the post products (e.g. ["6 ft", "8 ft"]), checked against stepped runs
+  postHeightOptions: [],
+  // Cut the pieces of every run from shared stock so offcuts are reused (see cutOptimizer.js)
+  optimizeCuts: true,
+  // Saw kerf and shortest reusable offcut, in feet
+  kerf: SAW_KERF,
+  minUsableOffcut: MIN_USABLE_OFFCUT,
+  // Waste allowances by component key (or `default`), merged over the rule set's WASTE_FACTORS
+  waste: {},
+};
+
+/**
+ * Merge takeoff options with the defaults and the rule set's own options
+ * @param {Object} options - Takeoff options
+ * @returns {Object} Settings with `rules`, a resolved `panelWidth` and `waste`
+ */
+const getTakeoffSettings = (options = {}) => {
+  const rules = options.rules || DEFAULT_FENCE_RULES;
+  const settings = { ...DEFAULT_TAKEOFF_OPTIONS, ...rules.options, ...options, rules };
+  settings.panelWidth = settings.panelWidth || rules.maxPostSpacing;
+  settings.waste = { ...WASTE_FACTORS[rules.key], ...options.waste };
+  return settings;
+};
+
+/**
+ * Round a number to a fixed number of decimals
+ * @param {number} value - Number to round
+ * @param {number} decimals - Number of decimals to keep
+ * @returns {number} Rounded number
+ */
+const roundTo = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Work out which terminal posts each run owns.
+ * Runs joined by a corner share one corner post, which is counted on the run it ends.
+ * The first run's starting corner joins the last run's ending corner (a closed yard).
+ * @param {Array} runs - Fence runs
+ * @returns {Array} Per run { sharedStart } flags
+ */
+const getSharedCorners = (runs) => {
+  return runs.map((run, index) => {
+    if (run.startCondition !== END_CONDITIONS.CORNER || runs.length < 2) {
+      return { sharedStart: false };
+    }
+
+    const previous = index === 0 ? runs[runs.length - 1] : runs[index - 1];
+    return { sharedStart: previous.endCondition === END_CONDITIONS.CORNER };
+  });
+};
+
+/**
+ * Split a length into whole and cut panels
+ * @param {number} length - Length to cover in feet
+ * @param {Object} options - Takeoff options
+ * @returns {Object} { full, cut, cutLengths }
+ */
+export const calculatePanels = (length, options = {}) => {
+  const { panelWidth, minCutLength } = getTakeoffSettings(options);
+
+  if (!(length > 0) || !(panelWidth > 0)) {
+    return { full: 0, cut: 0, cutLengths: [] };
+  }
+
+  // Small epsilon so lengths like 24.000000001 don't produce an extra cut panel
+  const full = Math.floor((length + 1e-9) / panelWidth);
+  const remainder = roundTo(length - full * panelWidth);
+
+  if (remainder > minCutLength || (full === 0 && remainder > 0)) {
+    return { full, cut: 1, cutLengths: [remainder] };
+  }
+
+  return { full, cut: 0, cutLengths: [] };
+};
+
+/**
+ * Count the post needed for one end of a run
+ * @param {string} condition - Start/end condition of the run
+ * @param {Object} posts - Post counts to update
+ * @returns {number} Number of wall mounts needed at this end
+ */
+const addTerminal = (condition, posts) => {
+  if (condition === END_CONDITIONS.WALL) {
+    return 1;
+  }
+
+  if (condition === END_CONDITIONS.CORNER) {
+    posts.corner += 1;
+  } else {
+    posts.end += 1;
+  }
+
+  return 0;
+};
+
+/**
+ * Split a run into the fenced lengths (bays) between its gates
+ * @param {number} length - Run length in feet
+ * @param {Array} gates - Gates sorted by position
+ * @returns {Array} Bay lengths in feet, always gates.length + 1 entries
+ */
+const getBays = (length, gates) => {
+  const bays = [];
+  let cursor = 0;
+
+  gates.forEach(gate => {
+    const position = Math.min(Math.max(Number(gate.position) || 0, cursor), length);
+    bays.push(roundTo(position - cursor));
+    cursor = Math.min(position + getGateOpening(gate), length);
+  });
+
+  bays.push(roundTo(Math.max(length - cursor, 0)));
+  return bays;
+};
+
+/**
+ * Describe the gates of a run for the takeoff
+ * @param {Array} gates - Gates sorted by position
+ * @param {Object} run - Fence run
+ * @param {Object} options - Takeoff options
+ * @returns {Array} Gate takeoff entries
+ */
+const describeGates = (gates, run, options) => {
+  return gates.map(gate => ({
+    gateId: gate.id,
+    type: gate.type,
+    width: gate.width,
+    height: run.height || options.defaultHeight,
+    style: gate.style || run.style || options.defaultStyle,
+    position: Number(gate.position) || 0,
+    opening: getGateOpening(gate),
+    leaves: getGateLeaves(gate),
+  }));
+};
+
+/**
+ * Work out how a sloped run is installed.
+ * Run lengths are level distances. Stepped panels stay level, so every post but the
+ * one at the top of the slope stands taller by the drop of one panel; racked panels
+ * follow the grade, which only some fence types allow.
+ * @param {Object} run - Fence run
+ * @param {Object} takeoff - { panels, posts, heightFeet } of the run
+ * @param {Object} settings - Takeoff settings
+ * @returns {Object|null} Slope details with `warnings`, or null when the run is flat
+ */
+const calculateSlope = (run, { panels, posts, heightFeet }, settings) => {
+  const grade = getRunGrade(run);
+  if (grade <= 0) {
+    return null;
+  }
+
+  const { rules } = settings;
+  const method = run.slopeMethod === SLOPE_METHODS.RACKED ? SLOPE_METHODS.RACKED : SLOPE_METHODS.STEPPED;
+  const longestPanel = panels.full > 0 ? settings.panelWidth : Math.max(0, ...panels.cutLengths);
+  const dropPerPanel = roundTo(longestPanel * grade);
+  const warnings = [];
+
+  const slope = {
+    grade: roundTo(grade, 4),
+    rise: roundTo(getRunLength(run) * grade),
+    method,
+    dropPerPanel,
+    extraPostHeight: 0,
+    postHeight: heightFeet,
+    tallPosts: 0,
+    postHeightOption: null,
+    warnings,
+  };
+
+  if (method === SLOPE_METHODS.RACKED) {
+    if (rules.maxRackGrade !== null && grade > rules.maxRackGrade) {
+      warnings.push(rules.maxRackGrade > 0
+        ? `${rules.label} ${rules.sectionLabel.toLowerCase()} rack up to a ${roundTo(rules.maxRackGrade * 100)}% grade; step this run instead.`
+        : `${rules.label} ${rules.sectionLabel.toLowerCase()} cannot be racked; step this run instead.`);
+    }
+    return slope;
+  }
+
+  const terminals = posts.corner + posts.end;
+  slope.extraPostHeight = dropPerPanel;
+  slope.postHeight = heightFeet > 0 ? roundTo(heightFeet + dropPerPanel) : 0;
+  slope.tallPosts = posts.line + posts.gate + Math.max(terminals - 1, 0);
+
+  // Find the shortest post product that covers the fence height plus one step
+  const postHeights = settings.postHeightOptions
+    .map(option => ({ option, feet: parseFeet(option) }))
+    .filter(({ feet }) => feet > 0)
+    .sort((a, b) => a.feet - b.feet);
+
+  if (slope.postHeight > 0 && postHeights.length > 0) {
+    const fitting = postHeights.find(({ feet }) => feet >= slope.postHeight - 1e-9);
+    if (fitting) {
+      slope.postHeightOption = fitting.option;
+    } else {
+      warnings.push(
+        `Stepped posts need ${slope.postHeight} ft above ground, but the tallest post offered is ` +
+        `${postHeights[postHeights.length - 1].option}. Use a shorter fence, rack the run or reduce the step.`
+      );
+    }
+  }
+
+  return slope;
+};
+
+/**
+ * Calculate the takeoff of a single run.
+ * Gate openings are taken out of the panel length and each gate gets two gate posts.
+ * A gate that sits right at the start or end of a run hangs on the terminal post,
+ * and two gates that touch share the post between them.
+ * @param {Object} run - Fence run
+ * @param {Object} options - Takeoff options
+ * @param {Object} context - { sharedStart } from getSharedCorners
+ * @returns {Object} Run takeoff
+ */
+export const calculateRunTakeoff = (run, options = {}, context = {}) => {
+  const settings = getTakeoffSettings(options);
+  const length = getRunLength(run);
+  const gates = getSortedGates(run).filter(gate => getGateOpening(gate) > 0);
+  const bays = getBays(length, gates);
+
+  const panels = { full: 0, cut: 0, cutLengths: [] };
+  const posts = { line: 0, corner: 0, end: 0, gate: gates.length * 2 };
+  let wallMounts = 0;
+
+  // Panels and line posts for each bay between gates
+  bays.forEach(bay => {
+    const bayPanels = calculatePanels(bay, settings);
+    panels.full += bayPanels.full;
+    panels.cut += bayPanels.cut;
+    panels.cutLengths.push(...bayPanels.cutLengths);
+    posts.line += Math.max(bayPanels.full + bayPanels.cut - 1, 0);
+  });
+
+  // Touching gates share the post between them
+  bays.slice(1, -1).forEach(bay => {
+    if (bay === 0) {
+      posts.gate -= 1;
+    }
+  });
+
+  // Terminal posts; a gate right at the end hangs on the terminal post instead
+  if (length > 0) {
+    const ends = [
+      { condition: run.startCondition, bay: bays[0], counted: !context.sharedStart },
+      { condition: run.endCondition, bay: bays[bays.length - 1], counted: true },
+    ];
+
+    ends.forEach(({ condition, bay, counted }) => {
+      if (bay > 0 || gates.length === 0) {
+        if (counted) {
+          wallMounts += addTerminal(condition, posts);
+        }
+      } else if (condition !== END_CONDITIONS.WALL) {
+        if (counted) {
+          addTerminal(condition, posts);
+        }
+        posts.gate -= 1;
+      }
+    });
+  }
+
+  const heightFeet = parseFeet(run.height || settings.defaultHeight) || 0;
+  posts.total = posts.line + posts.corner + posts.end + posts.gate;
+
+  return {
+    runId: run.id,
+    length,
+    bays,
+    // Length actually fenced, without gate openings
+    fencedLength: roundTo(bays.reduce((sum, bay) => sum + bay, 0)),
+    heightFeet,
+    panels,
+    gates: describeGates(gates, run, settings),
+    posts,
+    wallMounts,
+    slope: calculateSlope(run, { panels, posts, heightFeet }, settings),
+  };
+};
+
+/**
+ * Work out where the posts of a run stand, for drawing the layout.
+ * Uses the same bay and gate rules as calculateRunTakeoff.
+ * @param {Object} run - Fence run
+ * @param {Object} options - Takeoff options
+ * @returns {Array} Posts with { distance from the run start in feet, type }
+ */
+export const getRunPostPositions = (run, options = {}) => {
+  const settings = getTakeoffSettings(options);
+  const length = getRunLength(run);
+  const gates = getSortedGates(run).filter(gate => getGateOpening(gate) > 0);
+  const bays = getBays(length, gates);
+
+  if (length <= 0) {
+    return [];
+  }
+
+  // Terminal posts first so they win over gate posts at the same spot
+  const positions = [];
+  if (run.startCondition !== END_CONDITIONS.WALL) {
+    positions.push({ distance: 0, type: run.startCondition });
+  }
+  if (run.endCondition !== END_CONDITIONS.WALL) {
+    positions.push({ distance: length, type: run.endCondition });
+  }
+
+  let cursor = 0;
+  bays.forEach((bay, index) => {
+    const bayPanels = calculatePanels(bay, settings);
+    for (let panel = 1; panel < bayPanels.full + bayPanels.cut; panel++) {
+      positions.push({ distance: roundTo(cursor + panel * settings.panelWidth), type: 'line' });
+    }
+    cursor = roundTo(cursor + bay);
+
+    const gate = gates[index];
+    if (gate) {
+      positions.push({ distance: cursor, type: 'gate' });
+      cursor = roundTo(Math.min(cursor + getGateOpening(gate), length));
+      positions.push({ distance: cursor, type: 'gate' });
+    }
+  });
+
+  // Drop posts that share a spot with one listed earlier
+  return positions
+    .filter((post, index) => positions.findIndex(other => Math.abs(other.distance - post.distance) < 0.01) === index)
+    .sort((a, b) => a.distance - b.distance);
+};
+
+/**
+ * Group gates by width, height and style so each variant is ordered once
+ * @param {Array} runTakeoffs - Run takeoffs
+ * @returns {Array} Gate variants with { key, width, height, style, singles, doubles, leaves }
+ */
+export const groupGates = (runTakeoffs) => {
+  const groups = {};
+
+  runTakeoffs.flatMap(run => run.gates).forEach(gate => {
+    const key = [gate.width, gate.height, gate.style].join('|');
+    if (!groups[key]) {
+      groups[key] = {
+        key,
+        width: gate.width,
+        height: gate.height,
+        style: gate.style,
+        singles: 0,
+        doubles: 0,
+        leaves: 0,
+      };
+    }
+
+    groups[key][gate.leaves > 1 ? 'doubles' : 'singles'] += 1;
+    groups[key].leaves += gate.leaves;
+  });
+
+  return Object.values(groups);
+};
+
+/**
+ * Calculate the material takeoff for a list of fence runs
+ * @param {Array} runs - Fence runs
+ * @param {Object} options - Takeoff options (see DEFAULT_TAKEOFF_OPTIONS)
+ * @returns {Object} { rules, panelWidth, runs, totals, cutPlan, waste }
+ */
+export const calculateTakeoff = (runs = [], options = {}) => {
+  const settings = getTakeoffSettings(options);
+  const { rules } = settings;
+  const sharedCorners = getSharedCorners(runs);
+
+  const runTakeoffs = runs.map((run, index) =>
+    calculateRunTakeoff(run, settings, sharedCorners[index])
+  );
+
+  const totals = runTakeoffs.reduce((sum, run) => ({
+    length: sum.length + run.length,
+    fencedLength: sum.fencedLength + run.fencedLength,
+    heightFeet: Math.max(sum.heightFeet, run.heightFeet),
+    panels: {
+      full: sum.panels.full + run.panels.full,
+      cut: sum.panels.cut + run.panels.cut,
+    },
+    posts: {
+      line: sum.posts.line + run.posts.line,
+      corner: sum.posts.corner + run.posts.corner,
+      end: sum.posts.end + run.posts.end,
+      gate: sum.posts.gate + run.posts.gate,
+      total: sum.posts.total + run.posts.total,
+    },
+    wallMounts: sum.wallMounts + run.wallMounts,
+    tallPosts: sum.tallPosts + (run.slope?.tallPosts || 0),
+  }), {
+    length: 0,
+    fencedLength: 0,
+    heightFeet: 0,
+    panels: { full: 0, cut: 0 },
+    posts: { line: 0, corner: 0, end: 0, gate: 0, total: 0 },
+    wallMounts: 0,
+    tallPosts: 0,
+  });
+
+  totals.length = roundTo(totals.length);
+  totals.fencedLength = roundTo(totals.fencedLength);
+  totals.panels.total = totals.panels.full + totals.panels.cut;
+  totals.gates = groupGates(runTakeoffs);
+
+  // Stock needed for the cut pieces of all runs together; single runs still count one stock piece per cut
+  const cutPlan = settings.optimizeCuts ? planCuts(runTakeoffs, settings) : [];
+  totals.cutStock = Object.fromEntries(cutPlan.map(plan => [plan.key, plan.stockUsed]));
+
+  return {
+    rules,
+    panelWidth: settings.panelWidth,
+    runs: runTakeoffs.map((run, index) => {
+      // Each run orders the stock its own pieces opened, so the runs add up to the totals
+      const cutStock = Object.fromEntries(cutPlan.map(plan => [plan.key, plan.stockByOwner[index] || 0]));
+      return {
+        ...run,
+        cutStock,
+        materials: rules.calculateMaterials({ ...run, cutStock }, settings),
+      };
+    }),
+    totals: {
+      ...totals,
+      ...rules.calculateMaterials(totals, settings),
+    },
+    cutPlan,
+    waste: settings.waste,
+  };
+};
@@ -0,0 +1,214 @@
+import {
+  calculatePanels,
+  calculateRunTakeoff,
+  calculateTakeoff,
+  getRunPostPositions,
+  groupGates
+} from './fenceTakeoff';
+import { createFenceRun, createGate, END_CONDITIONS, GATE_TYPES, SLOPE_METHODS } from './fenceRuns';
+import vinyl from './fenceRules/vinyl';
+import wood from './fenceRules/wood';
+
+describe('calculatePanels', () => {
+  it('splits a length into whole panels and one cut panel', () => {
+    expect(calculatePanels(20)).toEqual({ full: 2, cut: 1, cutLengths: [4] });
+    expect(calculatePanels(24)).toEqual({ full: 3, cut: 0, cutLengths: [] });
+  });
+
+  it('leaves short remainders to the post spacing', () => {
+    expect(calculatePanels(8.1)).toEqual({ full: 1, cut: 0, cutLengths: [] });
+  });
+
+  it('cuts a panel when the length is shorter than one panel', () => {
+    expect(calculatePanels(0.1)).toEqual({ full: 0, cut: 1, cutLengths: [0.1] });
+  });
+
+  it('uses the panel width it is given', () => {
+    expect(calculatePanels(20, { panelWidth: 6 })).toEqual({ full: 3, cut: 1, cutLengths: [2] });
+    expect(calculatePanels(0)).toEqual({ full: 0, cut: 0, cutLengths: [] });
+  });
+});
+
+describe('calculateRunTakeoff', () => {
+  it('counts line and end posts of a straight run', () => {
+    const takeoff = calculateRunTakeoff(createFenceRun({ length: 20 }));
+
+    expect(takeoff.panels).toEqual({ full: 2, cut: 1, cutLengths: [4] });
+    expect(takeoff.posts).toEqual({ line: 2, corner: 0, end: 2, gate: 0, total: 4 });
+    expect(takeoff.wallMounts).toBe(0);
+  });
+
+  it('takes gate openings out of the fenced length and adds gate posts', () => {
+    const run = createFenceRun({ length: 20, gates: [createGate({ width: '4 ft', position: 8 })] });
+    const takeoff = calculateRunTakeoff(run);
+
+    expect(takeoff.bays).toEqual([8, 8]);
+    expect(takeoff.fencedLength).toBe(16);
+    expect(takeoff.posts).toEqual({ line: 0, corner: 0, end: 2, gate: 2, total: 4 });
+    expect(takeoff.gates).toHaveLength(1);
+    expect(takeoff.gates[0]).toMatchObject({ opening: 4, leaves: 1 });
+  });
+
+  it('hangs a gate at the end of a run on the terminal post', () => {
+    const run = createFenceRun({ length: 20, gates: [createGate({ width: '4 ft', position: 0 })] });
+    const takeoff = calculateRunTakeoff(run);
+
+    expect(takeoff.bays).toEqual([0, 16]);
+    expect(takeoff.posts).toEqual({ line: 1, corner: 0, end: 2, gate: 1, total: 4 });
+  });
+
+  it('shares the post between two touching gates', () => {
+    const run = createFenceRun({
+      length: 24,
+      gates: [createGate({ width: '4 ft', position: 8 }), createGate({ width: '4 ft', position: 12 })],
+    });
+
+    expect(calculateRunTakeoff(run).posts.gate).toBe(3);
+  });
+
+  it('counts a double gate as two leaves', () => {
+    const run = createFenceRun({ length: 20, gates: [createGate({ type: GATE_TYPES.DOUBLE, width: '4 ft', position: 8 })] });
+    const takeoff = calculateRunTakeoff(run);
+
+    expect(takeoff.gates[0]).toMatchObject({ opening: 8, leaves: 2 });
+    expect(takeoff.fencedLength).toBe(12);
+  });
+
+  it('mounts a run end on a wall instead of a post', () => {
+    const run = createFenceRun({ length: 16, startCondition: END_CONDITIONS.WALL });
+    const takeoff = calculateRunTakeoff(run);
+
+    expect(takeoff.wallMounts).toBe(1);
+    expect(takeoff.posts).toMatchObject({ end: 1, total: 2 });
+  });
+
+  it('steps a sloped run and picks a post tall enough', () => {
+    const run = createFenceRun({ length: 16, height: '6 ft', grade: 10 });
+    const { slope } = calculateRunTakeoff(run, { postHeightOptions: ['8 ft', '6 ft'] });
+
+    expect(slope).toMatchObject({ method: SLOPE_METHODS.STEPPED, dropPerPanel: 0.8, postHeight: 6.8, postHeightOption: '8 ft' });
+    expect(slope.tallPosts).toBe(2);
+    expect(slope.warnings).toEqual([]);
+  });
+
+  it('warns when a fence type cannot be racked', () => {
+    const run = createFenceRun({ length: 16, grade: 10, slopeMethod: SLOPE_METHODS.RACKED });
+    const { slope } = calculateRunTakeoff(run, { rules: vinyl });
+
+    expect(slope.warnings).toHaveLength(1);
+    expect(calculateRunTakeoff(run, { rules: wood }).slope.warnings).toEqual([]);
+  });
+
+  it('has no slope on flat runs', () => {
+    expect(calculateRunTakeoff(createFenceRun({ length: 16 })).slope).toBeNull();
+  });
+});
+
+describe('calculateTakeoff', () => {
+  it('shares corner posts between joined runs', () => {
+    const runs = [
+      createFenceRun({ length: 16, endCondition: END_CONDITIONS.CORNER }),
+      createFenceRun({ length: 16, startCondition: END_CONDITIONS.CORNER }),
+    ];
+    const { totals } = calculateTakeoff(runs);
+
+    expect(totals.length).toBe(32);
+    expect(totals.posts).toEqual({ line: 2, corner: 1, end: 2, gate: 0, total: 5 });
+  });
+
+  it('closes a yard whose first and last runs meet at a corner', () => {
+    const runs = [0, 1, 2, 3].map(() => createFenceRun({
+      length: 20,
+      startCondition: END_CONDITIONS.CORNER,
+      endCondition: END_CONDITIONS.CORNER,
+    }));
+    const { totals, cutPlan } = calculateTakeoff(runs);
+
+    expect(totals.posts).toMatchObject({ corner: 4, end: 0, line: 8, total: 12 });
+    expect(totals.panels).toEqual({ full: 8, cut: 4, total: 12 });
+    // Two 4 ft pieces fit in one panel
+    expect(totals.cutStock).toEqual({ panels: 2 });
+    expect(cutPlan[0].saved).toBe(2);
+  });
+
+  it('adds the fence type materials to each run and the totals', () => {
+    const { runs, totals } = calculateTakeoff([createFenceRun({ length: 20 })], { rules: vinyl });
+
+    expect(runs[0].materials).toEqual({ caps: 4, brackets: 12, concreteBags: 8 });
+    expect(totals).toMatchObject({ caps: 4, brackets: 12, concreteBags: 8 });
+  });
+
+  it('gives each run the cut stock the plan assigned it, so the runs add up to the totals', () => {
+    const runs = [0, 1, 2, 3].map(() => createFenceRun({
+      length: 20,
+      startCondition: END_CONDITIONS.CORNER,
+      endCondition: END_CONDITIONS.CORNER,
+    }));
+    const takeoff = calculateTakeoff(runs, { rules: vinyl });
+    const panels = vinyl.components.find(component => component.key === 'panels');
+
+    expect(takeoff.runs.map(run => run.cutStock.panels)).toEqual([1, 0, 1, 0]);
+    expect(takeoff.runs.reduce((sum, run) => sum + panels.getQuantity({ ...run, ...run.materials }), 0))
+      .toBe(panels.getQuantity(takeoff.totals));
+  });
+
+  it('adds up the wood rails of the runs to the totals', () => {
+    const runs = [20, 12, 4].map(length => createFenceRun({ length, heightFeet: 6 }));
+    const { runs: runTakeoffs, totals } = calculateTakeoff(runs, { rules: wood });
+
+    expect(totals.cutStock.rails).toBeLessThan(totals.panels.cut * 3);
+    expect(runTakeoffs.reduce((sum, run) => sum + run.materials.rails, 0)).toBe(totals.rails);
+  });
+
+  it('counts one stock piece per cut when cuts are not optimized', () => {
+    const runs = [createFenceRun({ length: 20 }), createFenceRun({ length: 20 })];
+    const { cutPlan, totals } = calculateTakeoff(runs, { optimizeCuts: false });
+
+    expect(cutPlan).toEqual([]);
+    expect(totals.cutStock).toEqual({});
+  });
+
+  it('groups gates of the same size and style', () => {
+    const runs = [
+      createFenceRun({ length: 20, gates: [createGate({ width: '4 ft', position: 8 })] }),
+      createFenceRun({ length: 20, gates: [createGate({ width: '4 ft', position: 8, type: GATE_TYPES.DOUBLE })] }),
+      createFenceRun({ length: 20, gates: [createGate({ width: '5 ft', position: 8 })] }),
+    ];
+    const { totals } = calculateTakeoff(runs, { defaultHeight: '6 ft', defaultStyle: 'Privacy' });
+
+    expect(totals.gates).toEqual([
+      { key: '4 ft|6 ft|Privacy', width: '4 ft', height: '6 ft', style: 'Privacy', singles: 1, doubles: 1, leaves: 3 },
+      { key: '5 ft|6 ft|Privacy', width: '5 ft', height: '6 ft', style: 'Privacy', singles: 1, doubles: 0, leaves: 1 },
+    ]);
+  });
+
+  it('returns empty totals without runs', () => {
+    const { totals } = calculateTakeoff([]);
+
+    expect(totals.length).toBe(0);
+    expect(totals.posts.total).toBe(0);
+    expect(groupGates([])).toEqual([]);
+  });
+});
+
+describe('getRunPostPositions', () => {
+  it('places terminal, line and gate posts along a run', () => {
+    const run = createFenceRun({ length: 20, gates: [createGate({ width: '4 ft', position: 8 })] });
+
+    expect(getRunPostPositions(run)).toEqual([
+      { distance: 0, type: END_CONDITIONS.END },
+      { distance: 8, type: 'gate' },
+      { distance: 12, type: 'gate' },
+      { distance: 20, type: END_CONDITIONS.END },
+    ]);
+  });
+
+  it('leaves out posts at wall ends', () => {
+    const run = createFenceRun({ length: 10, endCondition: END_CONDITIONS.WALL });
+
+    expect(getRunPostPositions(run)).toEqual([
+      { distance: 0, type: END_CONDITIONS.END },
+      { distance: 8, type: 'line' },
+    ]);
+  });
+});
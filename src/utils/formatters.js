@@ -0,0 +1,63 @@
+/**
+ * Utility functions for formatting values for display
+ */
+
+const currencyFormatter = new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+});
+
+/**
+ * Format a number as a currency amount
+ * @param {number} amount - Amount to format
+ * @returns {string} Formatted amount, e.g. "$1,234.50"
+ */
+export const formatCurrency = (amount) => {
+  if (amount === null || amount === undefined || Number.isNaN(amount)) {
+    return '—';
+  }
+
+  return currencyFormatter.format(amount);
+};
+
+/**
+ * Format a rate as a percentage
+ * @param {number} rate - Rate between 0 and 1
+ * @returns {string} Formatted percentage, e.g. "7.5%"
+ */
+export const formatPercent = (rate) => {
+  return `${Math.round((rate || 0) * 10000) / 100}%`;
+};
+
+const dateFormatter = new Intl.DateTimeFormat('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+});
+
+/**
+ * Format a date for display
+ * @param {Date|string} date - Date or ISO date string
+ * @returns {string} Formatted date, e.g. "March 4, 2025"
+ */
+export const formatDate = (date) => {
+  if (!date) {
+    return '';
+  }
+
+  return dateFormatter.format(new Date(date));
+};
+
+/**
+ * Describe a customer's contact details as lines of text
+ * @param {Object} customer - Customer contact info
+ * @returns {Array} Lines
+ */
+export const getCustomerLines = (customer = {}) => {
+  const name = [customer.firstName, customer.lastName].filter(Boolean).join(' ');
+  const cityLine = [customer.city, [customer.state, customer.postcode].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+
+  return [name, customer.address, cityLine, customer.email, customer.phone].filter(Boolean);
+};
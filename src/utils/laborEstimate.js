@@ -0,0 +1,95 @@
+/**
+ * Installation labor estimate
+ * Turns a takeoff into priced labor lines using the rates in config/installation
+ */
+
+import {
+  LABOR_PER_FOOT,
+  POST_SETTING_COST,
+  GATE_HANGING_FEE,
+  REMOVAL_PER_FOOT,
+  TERRAIN_OPTIONS,
+} from '../config/installation';
+import { findFenceRules } from './fenceRules';
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the labor rate key of a fence type
+ * @param {string} fenceTypeName - Fence type category name, e.g. "Chain Link Fence"
+ * @returns {string} Key of LABOR_PER_FOOT
+ */
+export const getLaborRateKey = (fenceTypeName = '') => {
+  return findFenceRules(fenceTypeName)?.key || 'default';
+};
+
+/**
+ * Build a labor line item
+ * @param {string} key - Line item key
+ * @param {string} label - Line item label
+ * @param {number} quantity - Quantity
+ * @param {number} unitPrice - Price per unit
+ * @param {string} description - Description
+ * @returns {Object} Labor line item
+ */
+const laborLine = (key, label, quantity, unitPrice, description = '') => ({
+  key: `labor-${key}`,
+  category: 'labor',
+  label,
+  description,
+  quantity,
+  unitPrice,
+  total: roundCurrency(quantity * unitPrice),
+});
+
+/**
+ * Estimate the installation labor of a takeoff
+ * @param {Object} takeoff - Takeoff from calculateTakeoff
+ * @param {Object} options - { fenceTypeName, removeOldFence, removalLength, terrain }
+ * @returns {Object} { lineItems, subtotal }
+ */
+export const estimateLabor = (takeoff, options = {}) => {
+  const { fenceTypeName, removeOldFence = false, removalLength, terrain = 'flat' } = options;
+  const { totals } = takeoff;
+  const perFoot = LABOR_PER_FOOT[getLaborRateKey(fenceTypeName)];
+  const singles = totals.gates.reduce((sum, variant) => sum + variant.singles, 0);
+  const doubles = totals.gates.reduce((sum, variant) => sum + variant.doubles, 0);
+
+  const lineItems = [
+    laborLine('fence', 'Fence installation (per ft)', totals.length, perFoot),
+    laborLine('posts', 'Post digging & setting', totals.posts.total, POST_SETTING_COST, 'Dig, set and concrete each post'),
+    laborLine('gates-single', 'Gate hanging, single', singles, GATE_HANGING_FEE.single),
+    laborLine('gates-double', 'Gate hanging, double', doubles, GATE_HANGING_FEE.double),
+  ].filter(item => item.quantity > 0);
+
+  // Terrain surcharge applies to the installation work itself
+  const terrainOption = TERRAIN_OPTIONS.find(option => option.value === terrain);
+  const installSubtotal = lineItems.reduce((sum, item) => sum + item.total, 0);
+  if (terrainOption?.surcharge > 0 && installSubtotal > 0) {
+    lineItems.push(laborLine(
+      'terrain',
+      `Terrain surcharge (${terrainOption.label.toLowerCase()})`,
+      1,
+      roundCurrency(installSubtotal * terrainOption.surcharge),
+      `${Math.round(terrainOption.surcharge * 100)}% of installation labor`
+    ));
+  }
+
+  // Old fence removal defaults to the new fence length
+  if (removeOldFence) {
+    const length = roundCurrency(parseFloat(removalLength) || totals.length);
+    if (length > 0) {
+      lineItems.push(laborLine('removal', 'Old fence removal & haul-away (per ft)', length, REMOVAL_PER_FOOT));
+    }
+  }
+
+  return {
+    lineItems,
+    subtotal: roundCurrency(lineItems.reduce((sum, item) => sum + item.total, 0)),
+  };
+};
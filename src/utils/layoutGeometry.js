@@ -0,0 +1,188 @@
+/**
+ * Geometry for the top-down fence layout drawing
+ * Points are in feet; x grows to the right and y grows down, like SVG.
+ */
+
+import { END_CONDITIONS, createFenceRun } from './fenceRuns';
+
+// Angles drawn segments snap to, in degrees
+export const SNAP_ANGLE = 45;
+
+// Lengths drawn segments snap to, in feet
+export const SNAP_LENGTH = 0.5;
+
+/**
+ * Create an empty layout
+ * @returns {Object} Layout
+ */
+export const createLayout = () => ({
+  points: [],
+  closed: false,
+  // Gates with a `segment` index in addition to the usual gate fields
+  gates: [],
+});
+
+/**
+ * Round a value to a step
+ * @param {number} value - Value to round
+ * @param {number} step - Step to round to
+ * @returns {number} Rounded value
+ */
+const roundToStep = (value, step) => Math.round(value / step) * step;
+
+/**
+ * Distance between two points
+ * @param {Object} a - Point
+ * @param {Object} b - Point
+ * @returns {number} Distance in feet
+ */
+export const getDistance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+/**
+ * Snap a point so the segment from `from` has a 45/90 degree angle and a rounded length
+ * @param {Object} from - Start point
+ * @param {Object} to - Raw end point
+ * @param {Object} options - { angleStep, lengthStep }
+ * @returns {Object} Snapped end point
+ */
+export const snapPoint = (from, to, options = {}) => {
+  const { angleStep = SNAP_ANGLE, lengthStep = SNAP_LENGTH } = options;
+  const angle = Math.atan2(to.y - from.y, to.x - from.x);
+  const step = (angleStep * Math.PI) / 180;
+  const snappedAngle = Math.round(angle / step) * step;
+  const length = roundToStep(getDistance(from, to), lengthStep);
+
+  return {
+    x: roundToStep(from.x + Math.cos(snappedAngle) * length, 0.01),
+    y: roundToStep(from.y + Math.sin(snappedAngle) * length, 0.01),
+  };
+};
+
+/**
+ * Get the segments of a layout
+ * @param {Object} layout - Layout
+ * @returns {Array} Segments with { index, start, end, length }
+ */
+export const getSegments = (layout) => {
+  const { points, closed } = layout;
+  const segments = [];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    segments.push({ index: i, start: points[i], end: points[i + 1] });
+  }
+
+  if (closed && points.length > 2) {
+    segments.push({ index: points.length - 1, start: points[points.length - 1], end: points[0] });
+  }
+
+  return segments.map(segment => ({
+    ...segment,
+    length: roundToStep(getDistance(segment.start, segment.end), 0.01),
+  }));
+};
+
+/**
+ * Get the point at a distance along a segment
+ * @param {Object} segment - Segment from getSegments
+ * @param {number} distance - Distance from the segment start in feet
+ * @returns {Object} Point
+ */
+export const getPointAlong = (segment, distance) => {
+  const ratio = segment.length > 0 ? distance / segment.length : 0;
+
+  return {
+    x: segment.start.x + (segment.end.x - segment.start.x) * ratio,
+    y: segment.start.y + (segment.end.y - segment.start.y) * ratio,
+  };
+};
+
+/**
+ * Project a point onto a segment
+ * @param {Object} segment - Segment from getSegments
+ * @param {Object} point - Point to project
+ * @returns {Object} { distance along the segment, offset from the segment }
+ */
+export const projectOntoSegment = (segment, point) => {
+  const dx = segment.end.x - segment.start.x;
+  const dy = segment.end.y - segment.start.y;
+  const lengthSquared = dx * dx + dy * dy;
+
+  if (lengthSquared === 0) {
+    return { distance: 0, offset: getDistance(segment.start, point) };
+  }
+
+  const t = Math.min(Math.max(((point.x - segment.start.x) * dx + (point.y - segment.start.y) * dy) / lengthSquared, 0), 1);
+  const projected = { x: segment.start.x + t * dx, y: segment.start.y + t * dy };
+
+  return { distance: t * Math.sqrt(lengthSquared), offset: getDistance(projected, point) };
+};
+
+/**
+ * Change the length of a segment, moving every later point along with its end
+ * @param {Object} layout - Layout
+ * @param {number} index - Segment index
+ * @param {number} length - New length in feet
+ * @returns {Object} Updated layout
+ */
+export const setSegmentLength = (layout, index, length) => {
+  const segment = getSegments(layout)[index];
+  if (!segment || !(length > 0) || segment.length === 0) {
+    return layout;
+  }
+
+  // The closing segment has no later points to move, so its length follows the others
+  if (layout.closed && index === layout.points.length - 1) {
+    return layout;
+  }
+
+  const scale = length / segment.length;
+  const newEnd = {
+    x: roundToStep(segment.start.x + (segment.end.x - segment.start.x) * scale, 0.01),
+    y: roundToStep(segment.start.y + (segment.end.y - segment.start.y) * scale, 0.01),
+  };
+  const dx = newEnd.x - segment.end.x;
+  const dy = newEnd.y - segment.end.y;
+
+  return {
+    ...layout,
+    points: layout.points.map((point, pointIndex) => (
+      pointIndex > index ? { x: point.x + dx, y: point.y + dy } : point
+    )),
+  };
+};
+
+/**
+ * Turn a layout into fence runs, one per segment.
+ * Segments meet at shared corner posts; an open layout starts and ends with end posts.
+ * Names and height/style overrides of existing runs at the same position are kept.
+ * @param {Object} layout - Layout
+ * @param {Array} existingRuns - Current fence runs
+ * @returns {Array} Fence runs
+ */
+export const layoutToRuns = (layout, existingRuns = []) => {
+  const segments = getSegments(layout);
+
+  return segments.map((segment, index) => {
+    const existing = existingRuns[index];
+    const isFirst = index === 0;
+    const isLast = index === segments.length - 1;
+
+    return createFenceRun({
+      ...(existing ? {
+        id: existing.id,
+        name: existing.name,
+        height: existing.height,
+        style: existing.style,
+        gradeType: existing.gradeType,
+        grade: existing.grade,
+        slopeMethod: existing.slopeMethod,
+      } : {}),
+      length: segment.length,
+      startCondition: isFirst && !layout.closed ? END_CONDITIONS.END : END_CONDITIONS.CORNER,
+      endCondition: isLast && !layout.closed ? END_CONDITIONS.END : END_CONDITIONS.CORNER,
+      gates: layout.gates
+        .filter(gate => gate.segment === segment.index)
+        .map(({ segment: _segment, ...gate }) => gate),
+    });
+  });
+};
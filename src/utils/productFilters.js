@@ -2,114 +2,310 @@
  * Utility functions for filtering and manipulating product data
  */
 
+import { parseFeet } from './units';
+import { isProductAvailable, getProductStock } from './availability';
+
+// Filter keys that match a single product attribute (see filterProducts)
+const ATTRIBUTE_FILTER_KEYS = {
+  height: 'Height',
+  width: 'Width',
+  material: 'Material',
+  style: 'Style',
+};
+
+// Dimensions closer than this (in feet) are taken as equal, so "72 in" matches "6 ft"
+const DIMENSION_TOLERANCE = 0.01;
+
 /**
- * Filter products based on various criteria
- * @param {Array} products - Array of product objects
- * @param {Object} filters - Filters to apply
- * @returns {Array} Filtered products
+ * Normalize an attribute name so "Width", "width", "pa_width" and "pa_post-height"/"Post Height" compare equal
+ * @param {string} name - Attribute name or slug
+ * @returns {string} Normalized name
  */
-export const filterProducts = (products, filters) => {
-  if (!products || !Array.isArray(products)) {
-    return [];
+export const normalizeAttributeName = (name = '') => {
+  return String(name).toLowerCase().replace(/^pa_/, '').replace(/[\s_-]+/g, ' ').trim();
+};
+
+/**
+ * Normalize an attribute option so "4 ft", "4 Ft" and "4-ft" compare equal
+ * @param {string} option - Attribute option
+ * @returns {string} Normalized option
+ */
+export const normalizeAttributeOption = (option = '') => String(option).toLowerCase().replace(/[\s-]+/g, ' ').trim();
+
+/**
+ * Get the length of an attribute option in feet ("4-ft" is read as "4 ft")
+ * @param {string|number} option - Attribute option
+ * @returns {number} Length in feet, or NaN when the option is not a dimension
+ */
+const getOptionFeet = (option) => {
+  const value = typeof option === 'string' ? option.replace(/-/g, ' ') : option;
+  return parseFeet(value) ?? NaN;
+};
+
+/**
+ * Check whether two attribute options mean the same thing.
+ * Dimensions compare by length ("6 ft", "6'" and "72 in" match); anything else by normalized text.
+ * @param {string} a - Attribute option
+ * @param {string} b - Attribute option
+ * @returns {boolean} True when the options match
+ */
+export const attributeOptionsMatch = (a, b) => {
+  const feetA = getOptionFeet(a);
+  const feetB = getOptionFeet(b);
+
+  if (Number.isFinite(feetA) && Number.isFinite(feetB)) {
+    return Math.abs(feetA - feetB) < DIMENSION_TOLERANCE;
+  }
+
+  return normalizeAttributeOption(a) === normalizeAttributeOption(b);
+};
+
+/**
+ * Get the options of a product attribute, looked up by name or slug
+ * @param {Object} product - Product or variation object
+ * @param {string} attributeName - Attribute name or slug, e.g. "Height" or "pa_height"
+ * @returns {Array} Attribute options (a variation's single option as a one-item array)
+ */
+export const getAttributeOptions = (product, attributeName) => {
+  const name = normalizeAttributeName(attributeName);
+  const attr = product?.attributes?.find(a => (
+    normalizeAttributeName(a.name) === name || (a.slug && normalizeAttributeName(a.slug) === name)
+  ));
+
+  if (!attr) return [];
+  if (Array.isArray(attr.options)) return attr.options;
+  return attr.option !== undefined ? [attr.option] : [];
+};
+
+/**
+ * Check whether an attribute filter value is set
+ * @param {*} value - Filter value
+ * @returns {boolean} True when the filter should be applied
+ */
+const isActiveFilterValue = (value) => {
+  if (value === undefined || value === null || value === '') return false;
+  return !Array.isArray(value) || value.length > 0;
+};
+
+/**
+ * Read a range bound, given in feet or as a dimension string
+ * @param {number|string} bound - Range bound
+ * @returns {number} Bound in feet, or NaN when unset or not a length
+ */
+const parseBound = (bound) => parseFeet(bound) ?? NaN;
+
+/**
+ * Check a product attribute against a filter value
+ * @param {Object} product - Product object
+ * @param {string} attributeName - Attribute name or slug
+ * @param {string|Array|Object} value - An option, several options (any may match)
+ *   or a range ({ min, max } in feet or as dimension strings, either end optional)
+ * @returns {string|null} Why the product does not match, or null when it does
+ */
+const getAttributeMismatch = (product, attributeName, value) => {
+  const options = getAttributeOptions(product, attributeName);
+
+  if (options.length === 0) {
+    return `no ${attributeName} attribute`;
+  }
+
+  const offered = options.join(', ');
+
+  // Range filter
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const min = parseBound(value.min);
+    const max = parseBound(value.max);
+
+    const inRange = options.some(option => {
+      const feet = getOptionFeet(option);
+      if (!Number.isFinite(feet)) return false;
+      if (Number.isFinite(min) && feet < min - DIMENSION_TOLERANCE) return false;
+      if (Number.isFinite(max) && feet > max + DIMENSION_TOLERANCE) return false;
+      return true;
+    });
+
+    return inRange ? null : `${attributeName} ${offered} is outside ${value.min ?? 'any'} to ${value.max ?? 'any'}`;
   }
 
-  return products.filter(product => {
-    // Type/category filter with enhanced matching
-    if (filters.type !== undefined) {
-      const typeFilter = filters.type.toLowerCase();
+  // Single or multi-select filter
+  const wanted = Array.isArray(value) ? value : [value];
+  const matches = options.some(option => wanted.some(item => attributeOptionsMatch(option, item)));
+
+  return matches ? null : `${attributeName} ${offered} is not ${wanted.join(' or ')}`;
+};
+
+/**
+ * Get the attribute filters to apply: the shorthand keys (height, width, material, style)
+ * followed by any attribute in filters.attributes
+ * @param {Object} filters - Filters (see filterProducts)
+ * @returns {Array} [filterKey, attributeName, value] entries
+ */
+const getAttributeFilters = (filters) => {
+  const shorthand = Object.entries(ATTRIBUTE_FILTER_KEYS)
+    .map(([key, attributeName]) => [key, attributeName, filters[key]]);
+  const named = Object.entries(filters.attributes || {})
+    .map(([attributeName, value]) => [`attributes.${attributeName}`, attributeName, value]);
+
+  return [...shorthand, ...named].filter(([, , value]) => isActiveFilterValue(value));
+};
+
+/**
+ * Find the first filter a product fails
+ * @param {Object} product - Product object
+ * @param {Object} filters - Filters to apply (see filterProducts)
+ * @returns {Object|null} { filter, reason }, or null when the product passes every filter
+ */
+export const getExclusionReason = (product, filters = {}) => {
+  // Type/category filter with enhanced matching
+  if (filters.type !== undefined) {
+    const typeFilter = String(filters.type).toLowerCase();
+    
+    // Check for category matches in different ways
+    const matchesCategory = product.categories && product.categories.some(cat => {
+      // Match by category ID
+      if (cat.id === parseInt(typeFilter, 10)) return true;
       
-      // Check for category matches in different ways
-      const matchesCategory = product.categories && product.categories.some(cat => {
-        // Match by category ID
-        if (cat.id === parseInt(typeFilter, 10)) return true;
-        
-        // Match by slug
-        if (cat.slug && cat.slug.toLowerCase() === typeFilter) return true;
-        
-        // Match by name (partial or full)
-        if (cat.name && cat.name.toLowerCase().includes(typeFilter)) return true;
-        
-        return false;
-      });
+      // Match by slug
+      if (cat.slug && cat.slug.toLowerCase() === typeFilter) return true;
       
-      // Check product name for type match as fallback
-      const matchesName = product.name && product.name.toLowerCase().includes(typeFilter);
+      // Match by name (partial or full)
+      if (cat.name && cat.name.toLowerCase().includes(typeFilter)) return true;
       
-      if (!matchesCategory && !matchesName) return false;
+      return false;
+    });
+    
+    // Check product name for type match as fallback
+    const matchesName = product.name && product.name.toLowerCase().includes(typeFilter);
+    
+    if (!matchesCategory && !matchesName) {
+      return { filter: 'type', reason: `not in category ${filters.type}` };
     }
+  }
 
-    // Price range filter
-    if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
-      const price = parseFloat(product.price || '0');
-      
-      if (filters.minPrice !== undefined && price < filters.minPrice) return false;
-      if (filters.maxPrice !== undefined && price > filters.maxPrice) return false;
+  // Price range filter
+  if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+    const price = parseFloat(product.price || '0');
+    
+    if (filters.minPrice !== undefined && price < filters.minPrice) {
+      return { filter: 'minPrice', reason: `price ${price} is below ${filters.minPrice}` };
     }
-
-    // Height filter
-    if (filters.height !== undefined) {
-      const heightAttr = product.attributes && product.attributes.find(
-        attr => attr.name === 'Height' || attr.name === 'height'
-      );
-      
-      if (!heightAttr || !heightAttr.options.includes(filters.height)) return false;
+    if (filters.maxPrice !== undefined && price > filters.maxPrice) {
+      return { filter: 'maxPrice', reason: `price ${price} is above ${filters.maxPrice}` };
     }
+  }
 
-    // Width filter
-    if (filters.width !== undefined) {
-      const widthAttr = product.attributes && product.attributes.find(
-        attr => attr.name === 'Width' || attr.name === 'width'
-      );
-      
-      if (!widthAttr || !widthAttr.options.includes(filters.width)) return false;
+  // Attribute filters (height, width, material, style and filters.attributes)
+  for (const [filterKey, attributeName, value] of getAttributeFilters(filters)) {
+    const mismatch = getAttributeMismatch(product, attributeName, value);
+    if (mismatch) {
+      return { filter: filterKey, reason: mismatch };
     }
+  }
 
-    // Material filter
-    if (filters.material !== undefined) {
-      const materialAttr = product.attributes && product.attributes.find(
-        attr => attr.name === 'Material' || attr.name === 'material'
-      );
-      
-      if (!materialAttr || !materialAttr.options.includes(filters.material)) return false;
+  // Search filter
+  if (filters.search !== undefined && filters.search) {
+    const searchTerm = filters.search.toLowerCase();
+    const matchesName = product.name && product.name.toLowerCase().includes(searchTerm);
+    const matchesDescription = product.description && product.description.toLowerCase().includes(searchTerm);
+    const matchesShortDescription = product.short_description && product.short_description.toLowerCase().includes(searchTerm);
+    
+    if (!matchesName && !matchesDescription && !matchesShortDescription) {
+      return { filter: 'search', reason: `no match for "${filters.search}"` };
     }
+  }
 
-    // Search filter
-    if (filters.search !== undefined && filters.search) {
-      const searchTerm = filters.search.toLowerCase();
-      const matchesName = product.name && product.name.toLowerCase().includes(searchTerm);
-      const matchesDescription = product.description && product.description.toLowerCase().includes(searchTerm);
-      const matchesShortDescription = product.short_description && product.short_description.toLowerCase().includes(searchTerm);
-      
-      if (!matchesName && !matchesDescription && !matchesShortDescription) return false;
+  // Availability filter; variable products go by their variations when they have been resolved
+  if (filters.inStock) {
+    if (!isProductAvailable(product, { allowBackorders: filters.allowBackorders })) {
+      return { filter: 'inStock', reason: `stock status is ${getProductStock(product).status}` };
     }
+  }
+
+  return null;
+};
 
-    // Availability filter
-    if (filters.inStock !== undefined) {
-      if (filters.inStock) {
-        // Check both stock_status and stock_quantity
-        const hasStock = product.stock_status === 'instock' || 
-                        (product.manage_stock && product.stock_quantity > 0);
-        if (!hasStock) return false;
-        
-        // For variable products, check if any variations are in stock
-        if (product.type === 'variable' && product.variations) {
-          const hasInStockVariation = product.variations.some(variation => 
-            variation.stock_status === 'instock' || 
-            (variation.manage_stock && variation.stock_quantity > 0)
-          );
-          if (!hasInStockVariation) return false;
-        }
-      }
+/**
+ * Filter products based on various criteria
+ * @param {Array} products - Array of product objects
+ * @param {Object} filters - Filters to apply:
+ *   type, minPrice, maxPrice, search, inStock (allowBackorders to count backorders as in stock),
+ *   height, width, material, style (shorthand attribute filters) and
+ *   attributes ({ [name or pa_ slug]: option, [options] or { min, max } })
+ * @returns {Array} Filtered products
+ */
+export const filterProducts = (products, filters = {}) => {
+  if (!products || !Array.isArray(products)) {
+    return [];
+  }
+
+  return products.filter(product => !getExclusionReason(product, filters));
+};
+
+/**
+ * Explain a filter run for debugging: which products passed and which filter excluded the rest
+ * @param {Array} products - Array of product objects
+ * @param {Object} filters - Filters to apply (see filterProducts)
+ * @returns {Object} { included, excluded } where excluded holds { product, filter, reason }
+ */
+export const explainProductFilters = (products, filters = {}) => {
+  const included = [];
+  const excluded = [];
+
+  (Array.isArray(products) ? products : []).forEach(product => {
+    const exclusion = getExclusionReason(product, filters);
+    if (exclusion) {
+      excluded.push({ product, ...exclusion });
+    } else {
+      included.push(product);
     }
+  });
+
+  return { included, excluded };
+};
+
+// Sort orders offered for product lists
+export const PRODUCT_SORT_OPTIONS = [
+  { value: 'name', label: 'Name' },
+  { value: 'price-asc', label: 'Price: Low to High' },
+  { value: 'price-desc', label: 'Price: High to Low' },
+];
+
+/**
+ * Sort products by name or price
+ * @param {Array} products - Array of product objects
+ * @param {string} sortBy - One of PRODUCT_SORT_OPTIONS
+ * @returns {Array} Sorted copy of the products
+ */
+export const sortProducts = (products = [], sortBy = 'name') => {
+  const price = product => parseFloat(product.price || '0');
+  const byName = (a, b) => (a.name || '').localeCompare(b.name || '');
 
-    return true;
+  return [...products].sort((a, b) => {
+    if (sortBy === 'price-asc') return price(a) - price(b) || byName(a, b);
+    if (sortBy === 'price-desc') return price(b) - price(a) || byName(a, b);
+    return byName(a, b);
   });
 };
 
+/**
+ * Count the products each facet value would leave, given the other active filters
+ * @param {Array} products - Array of product objects
+ * @param {Object} filters - Active filters (see filterProducts)
+ * @param {string} filterKey - Filter the values belong to, e.g. "height"
+ * @param {Array} values - Facet values
+ * @returns {Object} Map of value to product count
+ */
+export const countFacetValues = (products, filters, filterKey, values = []) => {
+  return Object.fromEntries(values.map(value => [
+    value,
+    filterProducts(products, { ...filters, [filterKey]: value }).length,
+  ]));
+};
+
 /**
  * Get unique attribute values from a list of products
  * @param {Array} products - Array of product objects
- * @param {string} attributeName - Name of the attribute to extract values from
+ * @param {string} attributeName - Name or slug of the attribute to extract values from
  * @param {Object} options - Additional options
  * @returns {Array} Unique attribute values
  */
@@ -120,26 +316,50 @@ export const getUniqueAttributeValues = (products, attributeName, options = {})
   
   const { numericSort = false } = options;
   
-  // Extract all values for the specified attribute
-  const allValues = products.flatMap(product => {
-    const attr = product.attributes && product.attributes.find(
-      a => a.name === attributeName || a.name === attributeName.toLowerCase()
-    );
-    return attr?.options || [];
-  });
+  // Extract all values for the specified attribute (by name or pa_ slug)
+  const allValues = products.flatMap(product => getAttributeOptions(product, attributeName));
   
-  // Create a unique set of values
-  const uniqueValues = [...new Set(allValues)];
+  // Create a unique set of values, keeping the first spelling of values that match ("6 ft" and "72 in")
+  const uniqueValues = allValues.reduce((unique, value) => (
+    unique.some(existing => attributeOptionsMatch(existing, value)) ? unique : [...unique, value]
+  ), []);
   
   // Sort values if requested
   if (numericSort) {
-    return uniqueValues.sort((a, b) => {
-      // Extract numbers from strings like "4 ft", "5 ft", etc.
-      const numA = parseFloat(a.match(/\d+(\.\d+)?/)?.[0] || 0);
-      const numB = parseFloat(b.match(/\d+(\.\d+)?/)?.[0] || 0);
-      return numA - numB;
-    });
+    // Compare dimensions like "4 ft", "54 in" or "1.5 m" by their length
+    return uniqueValues.sort((a, b) => (parseFeet(a) || 0) - (parseFeet(b) || 0));
   }
   
   return uniqueValues.sort();
+};
+
+/**
+ * Get the height options of a catalog's post products (caps left out), used to check sloped runs
+ * @param {Array} products - Products of a fence type
+ * @returns {Array} Post heights, shortest first
+ */
+export const getPostHeightOptions = (products) => getUniqueAttributeValues(
+  products.filter(product => hasCategory(product, 'post') && !hasName(product, 'cap')),
+  'Height',
+  { numericSort: true }
+);
+
+/**
+ * Check whether a product belongs to a category containing a keyword
+ * @param {Object} product - Product object
+ * @param {string} keyword - Lowercase keyword
+ * @returns {boolean} True when a category name contains the keyword
+ */
+export const hasCategory = (product, keyword) => {
+  return Boolean(product.categories?.some(cat => cat.name?.toLowerCase().includes(keyword)));
+};
+
+/**
+ * Check whether a product name contains a keyword
+ * @param {Object} product - Product object
+ * @param {string} keyword - Lowercase keyword
+ * @returns {boolean} True when the name contains the keyword
+ */
+export const hasName = (product, keyword) => {
+  return Boolean(product.name?.toLowerCase().includes(keyword));
 };
\ No newline at end of file
@@ -0,0 +1,144 @@
+import {
+  normalizeAttributeName,
+  normalizeAttributeOption,
+  attributeOptionsMatch,
+  getAttributeOptions,
+  getExclusionReason,
+  filterProducts,
+  explainProductFilters,
+  sortProducts,
+  countFacetValues,
+  getUniqueAttributeValues,
+  getPostHeightOptions
+} from './productFilters';
+
+const createProduct = (id, name, attributes = {}, overrides = {}) => ({
+  id,
+  name,
+  price: '10',
+  stock_status: 'instock',
+  categories: [{ id: 1, name: 'Vinyl Panels', slug: 'vinyl-panels' }],
+  attributes: Object.entries(attributes).map(([attributeName, options]) => ({ name: attributeName, options })),
+  ...overrides,
+});
+
+const products = [
+  createProduct(1, 'Privacy Panel', { Height: ['6 ft'], Style: ['Privacy'] }, { price: '120' }),
+  createProduct(2, 'Picket Panel', { Height: ['4-ft'], Style: ['Picket'] }, { price: '80' }),
+  createProduct(3, 'Tall Privacy Panel', { Height: ['96 in'], Style: ['privacy'] }, { price: '150', stock_status: 'outofstock' }),
+  createProduct(4, 'Post Cap', {}, { price: '5', categories: [{ id: 2, name: 'Hardware', slug: 'hardware' }] }),
+];
+
+describe('attribute matching', () => {
+  it('normalizes attribute names and slugs', () => {
+    expect(normalizeAttributeName('pa_post-height')).toBe('post height');
+    expect(normalizeAttributeName('Post Height')).toBe('post height');
+    expect(normalizeAttributeOption(' 4-Ft ')).toBe('4 ft');
+  });
+
+  it('matches dimensions by length and other options by text', () => {
+    expect(attributeOptionsMatch('6 ft', '72 in')).toBe(true);
+    expect(attributeOptionsMatch("6'", '6 ft')).toBe(true);
+    expect(attributeOptionsMatch('4-ft', '4 ft')).toBe(true);
+    expect(attributeOptionsMatch('6 ft', '8 ft')).toBe(false);
+    expect(attributeOptionsMatch('Gothic', 'gothic')).toBe(true);
+    expect(attributeOptionsMatch('Model 3', 'Model 4')).toBe(false);
+  });
+
+  it('reads attribute options by name or slug', () => {
+    const product = { attributes: [{ name: 'Post Height', slug: 'pa_post-height', options: ['8 ft'] }] };
+    const variation = { attributes: [{ name: 'Height', option: '6 ft' }] };
+
+    expect(getAttributeOptions(product, 'pa_post-height')).toEqual(['8 ft']);
+    expect(getAttributeOptions(product, 'post height')).toEqual(['8 ft']);
+    expect(getAttributeOptions(variation, 'height')).toEqual(['6 ft']);
+    expect(getAttributeOptions(product, 'Width')).toEqual([]);
+    expect(getAttributeOptions(null, 'Width')).toEqual([]);
+  });
+});
+
+describe('filterProducts', () => {
+  const ids = (list) => list.map(product => product.id);
+
+  it('filters by attribute options, matching equal lengths', () => {
+    expect(ids(filterProducts(products, { height: '72 in' }))).toEqual([1]);
+    expect(ids(filterProducts(products, { height: ['4 ft', '8 ft'] }))).toEqual([2, 3]);
+    expect(ids(filterProducts(products, { style: 'PRIVACY' }))).toEqual([1, 3]);
+    expect(ids(filterProducts(products, { attributes: { pa_height: '4 ft' } }))).toEqual([2]);
+  });
+
+  it('filters by a length range', () => {
+    expect(ids(filterProducts(products, { height: { min: 5 } }))).toEqual([1, 3]);
+    expect(ids(filterProducts(products, { height: { min: '4 ft', max: '6 ft' } }))).toEqual([1, 2]);
+  });
+
+  it('filters by category, price, search and stock', () => {
+    expect(ids(filterProducts(products, { type: 'hardware' }))).toEqual([4]);
+    expect(ids(filterProducts(products, { type: '1' }))).toEqual([1, 2, 3]);
+    expect(ids(filterProducts(products, { minPrice: 100, maxPrice: 130 }))).toEqual([1]);
+    expect(ids(filterProducts(products, { search: 'privacy' }))).toEqual([1, 3]);
+    expect(ids(filterProducts(products, { inStock: true }))).toEqual([1, 2, 4]);
+  });
+
+  it('ignores empty filters and bad input', () => {
+    expect(filterProducts(products, { height: '', style: [] })).toHaveLength(4);
+    expect(filterProducts(null, {})).toEqual([]);
+  });
+});
+
+describe('getExclusionReason', () => {
+  it('names the filter a product fails and why', () => {
+    expect(getExclusionReason(products[0], { height: '8 ft' })).toEqual({
+      filter: 'height',
+      reason: 'Height 6 ft is not 8 ft',
+    });
+    expect(getExclusionReason(products[3], { height: '8 ft' })).toEqual({
+      filter: 'height',
+      reason: 'no Height attribute',
+    });
+    expect(getExclusionReason(products[0], { height: '6 ft' })).toBeNull();
+  });
+
+  it('explains a whole filter run', () => {
+    const { included, excluded } = explainProductFilters(products, { maxPrice: 100 });
+
+    expect(included.map(product => product.id)).toEqual([2, 4]);
+    expect(excluded.map(({ product, filter }) => [product.id, filter])).toEqual([[1, 'maxPrice'], [3, 'maxPrice']]);
+  });
+});
+
+describe('sortProducts', () => {
+  it('sorts by name or price without changing the list', () => {
+    const byName = sortProducts(products);
+
+    expect(byName.map(product => product.id)).toEqual([2, 4, 1, 3]);
+    expect(sortProducts(products, 'price-asc').map(product => product.id)).toEqual([4, 2, 1, 3]);
+    expect(sortProducts(products, 'price-desc').map(product => product.id)).toEqual([3, 1, 2, 4]);
+    expect(products.map(product => product.id)).toEqual([1, 2, 3, 4]);
+  });
+});
+
+describe('facets', () => {
+  it('lists unique attribute values, sorted by length', () => {
+    expect(getUniqueAttributeValues(products, 'Height', { numericSort: true })).toEqual(['4-ft', '6 ft', '96 in']);
+    expect(getUniqueAttributeValues(products, 'Style')).toEqual(['Picket', 'Privacy']);
+  });
+
+  it('counts the products each facet value would leave', () => {
+    expect(countFacetValues(products, { style: 'Privacy' }, 'height', ['6 ft', '8 ft', '4 ft'])).toEqual({
+      '6 ft': 1,
+      '8 ft': 1,
+      '4 ft': 0,
+    });
+  });
+
+  it('lists the heights of post products', () => {
+    const catalog = [
+      createProduct(5, 'Line Post', { Height: ['8 ft'] }, { categories: [{ name: 'Posts' }] }),
+      createProduct(6, 'End Post', { Height: ['6 ft'] }, { categories: [{ name: 'Posts' }] }),
+      createProduct(7, 'Post Cap', { Height: ['1 ft'] }, { categories: [{ name: 'Posts' }] }),
+    ];
+
+    expect(getPostHeightOptions(catalog)).toEqual(['6 ft', '8 ft']);
+  });
+});
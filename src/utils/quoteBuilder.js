@@ -0,0 +1,282 @@
+/**
+ * Quote building
+ * Maps takeoff items to products and turns priced products into quote line items.
+ */
+
+import { QUOTE_VALID_DAYS } from '../config/quoteDocument';
+import { hasCategory, hasName, getAttributeOptions, attributeOptionsMatch } from './productFilters';
+import { DEFAULT_FENCE_RULES } from './fenceRules';
+import { DATA_SOURCES } from '../services/dataSource';
+import { checkAvailability } from './availability';
+import { formatPercent } from './formatters';
+
+// Sales tax rate applied to the quote subtotal (e.g. 0.07 for 7%)
+export const DEFAULT_TAX_RATE = parseFloat(process.env.REACT_APP_TAX_RATE) || 0;
+
+// Line item categories, in display order
+export const QUOTE_CATEGORIES = {
+  panels: 'Panels',
+  infill: 'Fabric & Pickets',
+  rails: 'Rails',
+  posts: 'Posts',
+  gates: 'Gates',
+  hardware: 'Hardware',
+};
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Check whether a product offers an attribute value; "6 ft" matches "6'" and "pa_height" matches "Height"
+ * @param {Object} product - Product object
+ * @param {string} name - Attribute name
+ * @param {string} value - Attribute value
+ * @returns {boolean} True when the value is offered (or no value is requested)
+ */
+const offersAttribute = (product, name, value) => {
+  if (!value) return true;
+  return getAttributeOptions(product, name).some(option => attributeOptionsMatch(option, value));
+};
+
+/**
+ * Check whether a product is a gate
+ * @param {Object} product - Product object
+ * @returns {boolean} True when the product is in a gate category
+ */
+export const isGateProduct = (product) => hasCategory(product, 'gate');
+
+/**
+ * Pick the product to use for each quote component
+ * @param {Array} products - Products of the selected fence type
+ * @param {Object} fenceOptions - Fence-wide options ({ height, style, ... })
+ * @param {Object} rules - Fence-type rule set whose components are resolved
+ * @returns {Object} Map of component key (plus `gate`) to product (or null when none matches)
+ */
+export const resolveQuoteProducts = (products = [], fenceOptions = {}, rules = DEFAULT_FENCE_RULES) => {
+  const initial = { gate: products.find(isGateProduct) || null };
+
+  return rules.components.reduce((resolved, component) => {
+    const candidates = products.filter(component.match);
+
+    // Prefer products that fit the chosen style and height
+    const preferred = candidates.find(product =>
+      (!fenceOptions.style || hasName(product, fenceOptions.style.toLowerCase())) &&
+      offersAttribute(product, 'Height', fenceOptions.height)
+    ) || candidates.find(product => offersAttribute(product, 'Height', fenceOptions.height));
+
+    resolved[component.key] = preferred || candidates[0] || null;
+    return resolved;
+  }, initial);
+};
+
+/**
+ * Flatten a run takeoff so it has the same shape as the takeoff totals
+ * @param {Object} runTakeoff - Run takeoff
+ * @returns {Object} Run takeoff with material counts at the top level
+ */
+const flattenRun = (runTakeoff) => ({ ...runTakeoff, ...runTakeoff.materials });
+
+/**
+ * Get the price of a gate variant
+ * @param {Object} prices - Prices passed to buildQuote
+ * @param {string} key - Gate variant key from groupGates
+ * @returns {Object|null} Variant price; the gate product price only when the variant was not
+ *   looked up (a simple gate product), null when no variation matches it
+ */
+const getGatePrice = (prices, key) => (
+  prices.gates && key in prices.gates ? prices.gates[key] : prices.gate || null
+);
+
+/**
+ * Describe a gate variant for a line item
+ * @param {Object} variant - Gate variant from groupGates
+ * @returns {string} Description such as "2 single, 1 double (4 leaves)"
+ */
+const describeGateVariant = (variant) => {
+  return [
+    variant.singles > 0 ? `${variant.singles} single` : '',
+    variant.doubles > 0 ? `${variant.doubles} double` : '',
+  ].filter(Boolean).join(', ') + ` (${variant.leaves} ${variant.leaves === 1 ? 'leaf' : 'leaves'})`;
+};
+
+/**
+ * Split an amount across runs in proportion to their weights
+ * @param {number} amount - Amount to split
+ * @param {Array} weights - Weight of each run, e.g. its quantity of the item
+ * @param {Array} fallbackWeights - Weights used when every weight is 0, e.g. run lengths
+ * @returns {Array} Share of each run
+ */
+const splitAcrossRuns = (amount, weights, fallbackWeights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const used = total > 0 ? weights : fallbackWeights;
+  const usedTotal = total > 0 ? total : fallbackWeights.reduce((sum, weight) => sum + weight, 0);
+
+  return used.map(weight => (usedTotal > 0 ? (amount * weight) / usedTotal : 0));
+};
+
+/**
+ * Add the waste allowance to a calculated quantity
+ * @param {number} quantity - Calculated quantity
+ * @param {number} waste - Waste factor (e.g. 0.05 for 5%)
+ * @returns {number} Quantity to order, rounded up
+ */
+export const applyWaste = (quantity, waste = 0) => (
+  waste > 0 ? Math.ceil(quantity * (1 + waste) - 1e-9) : quantity
+);
+
+/**
+ * Get the waste factor of a component
+ * @param {Object} waste - Waste factors of the takeoff, by component key and `default`
+ * @param {string} key - Component key
+ * @returns {number} The component's own factor, else the fence type's default, else 0
+ */
+const getWasteFactor = (waste, key) => waste[key] ?? waste.default ?? 0;
+
+/**
+ * Build a priced quote from a takeoff
+ * @param {Object} takeoff - Takeoff from calculateTakeoff
+ * @param {Object} prices - Map of component key to { productId, variationId, name, sku, price, stock, source },
+ *   plus `gate` for the gate product and optional `gates` keyed by gate variant
+ * @param {Object} options - { taxRate, runs, labor (from estimateLabor), createdAt }
+ * @returns {Object} Quote with material and labor line items, subtotals, tax and total,
+ *   plus availabilityWarnings for lines that cannot ship from stock
+ */
+export const buildQuote = (takeoff, prices = {}, options = {}) => {
+  const { taxRate = DEFAULT_TAX_RATE, runs = [], labor = null, createdAt = new Date().toISOString() } = options;
+  const { components } = takeoff.rules || DEFAULT_FENCE_RULES;
+  const waste = takeoff.waste || {};
+
+  // One line item per component with a quantity, plus its waste allowance
+  const lineItems = components
+    .map(component => {
+      const needed = component.getQuantity(takeoff.totals);
+      const wasteFactor = getWasteFactor(waste, component.key);
+      const quantity = applyWaste(needed, wasteFactor);
+      const price = prices[component.key];
+      const unitPrice = price ? price.price : null;
+      const description = [
+        component.describe ? component.describe(takeoff.totals) : '',
+        quantity > needed ? `includes ${quantity - needed} extra for waste (${formatPercent(wasteFactor)})` : '',
+      ].filter(Boolean).join('; ');
+
+      return {
+        key: component.key,
+        category: component.category,
+        label: component.label,
+        description,
+        productId: price?.productId || null,
+        variationId: price?.variationId || null,
+        name: price?.name || '',
+        sku: price?.sku || '',
+        source: price?.source || null,
+        availability: checkAvailability(price?.stock, quantity),
+        quantity,
+        unitPrice,
+        total: unitPrice === null ? null : roundCurrency(unitPrice * quantity),
+      };
+    })
+    .filter(item => item.quantity > 0);
+
+  // One line item per gate variant, priced per leaf
+  takeoff.totals.gates.forEach(variant => {
+    const price = getGatePrice(prices, variant.key);
+    const unitPrice = price ? price.price : null;
+    const variantOptions = [variant.width, variant.height, variant.style].filter(Boolean).join(' / ');
+
+    lineItems.push({
+      key: `gate-${variant.key}`,
+      category: 'gates',
+      label: `Gate ${variantOptions}`,
+      description: describeGateVariant(variant),
+      productId: price?.productId || null,
+      variationId: price?.variationId || null,
+      name: price ? `${price.name} ${variantOptions}` : '',
+      sku: price?.sku || '',
+      source: price?.source || null,
+      availability: checkAvailability(price?.stock, variant.leaves),
+      quantity: variant.leaves,
+      unitPrice,
+      total: unitPrice === null ? null : roundCurrency(unitPrice * variant.leaves),
+    });
+  });
+
+  // Subtotals per category
+  const categorySubtotals = Object.keys(QUOTE_CATEGORIES)
+    .map(category => ({
+      category,
+      label: QUOTE_CATEGORIES[category],
+      subtotal: roundCurrency(lineItems
+        .filter(item => item.category === category)
+        .reduce((sum, item) => sum + (item.total || 0), 0)),
+    }))
+    .filter(({ category }) => lineItems.some(item => item.category === category));
+
+  // Subtotals per run: each line item's total is split across the runs by what each run needs
+  // (cut stock as the cut plan assigned it), so waste and rounding are spread out and the runs
+  // add up to the materials subtotal
+  const parts = takeoff.runs.map(flattenRun);
+  const runAmounts = lineItems.reduce((amounts, item) => {
+    const component = components.find(candidate => candidate.key === item.key);
+    const weights = component
+      ? parts.map(part => component.getQuantity(part))
+      : takeoff.runs.map(runTakeoff => runTakeoff.gates
+        .filter(gate => `gate-${[gate.width, gate.height, gate.style].join('|')}` === item.key)
+        .reduce((sum, gate) => sum + gate.leaves, 0));
+
+    return splitAcrossRuns(item.total || 0, weights, parts.map(part => part.length))
+      .map((share, index) => amounts[index] + share);
+  }, parts.map(() => 0));
+
+  const runSubtotals = takeoff.runs.map((runTakeoff, index) => ({
+    runId: runTakeoff.runId,
+    name: runs[index]?.name || `Run ${index + 1}`,
+    length: runTakeoff.length,
+    subtotal: roundCurrency(runAmounts[index]),
+  }));
+
+  // Tax applies to materials only; labor is listed separately
+  const subtotal = roundCurrency(lineItems.reduce((sum, item) => sum + (item.total || 0), 0));
+
+  // Rounding each run can leave a cent or two over; the largest run absorbs it
+  const roundingDifference = roundCurrency(subtotal - runSubtotals.reduce((sum, run) => sum + run.subtotal, 0));
+  if (roundingDifference !== 0 && runSubtotals.length > 0) {
+    const largest = runSubtotals.reduce((best, run) => (run.subtotal > best.subtotal ? run : best));
+    largest.subtotal = roundCurrency(largest.subtotal + roundingDifference);
+  }
+  const tax = roundCurrency(subtotal * taxRate);
+  const laborSubtotal = labor ? labor.subtotal : 0;
+
+  return {
+    lineItems,
+    categorySubtotals,
+    runSubtotals,
+    missing: lineItems.filter(item => item.unitPrice === null).map(item => item.label),
+    mockPriced: lineItems.filter(item => item.source === DATA_SOURCES.MOCK).map(item => item.label),
+    availabilityWarnings: lineItems
+      .filter(item => item.availability.message)
+      .map(item => ({ key: item.key, label: item.name || item.label, ...item.availability })),
+    subtotal,
+    taxRate,
+    tax,
+    laborItems: labor ? labor.lineItems : [],
+    laborSubtotal,
+    total: roundCurrency(subtotal + tax + laborSubtotal),
+    createdAt,
+  };
+};
+
+/**
+ * Get the date a quote's prices expire
+ * @param {Object} quote - Quote from buildQuote
+ * @param {number} validDays - Days the quote is valid for
+ * @returns {Date} Expiry date
+ */
+export const getQuoteExpiry = (quote, validDays = QUOTE_VALID_DAYS) => {
+  const expiry = new Date(quote.createdAt);
+  expiry.setDate(expiry.getDate() + validDays);
+  return expiry;
+};
@@ -0,0 +1,364 @@
+/**
+ * PDF quote document
+ * Builds a branded, itemized quote in the browser with jsPDF
+ */
+
+import { jsPDF } from 'jspdf';
+import { BRAND } from '../theme/theme';
+import { QUOTE_TERMS } from '../config/quoteDocument';
+import { formatCurrency, formatPercent, formatDate, getCustomerLines } from './formatters';
+import { getQuoteExpiry } from './quoteBuilder';
+import { getRunLength, getGateOpening } from './fenceRuns';
+import { getSegments, getPointAlong } from './layoutGeometry';
+import { UNIT_SYSTEMS, formatLength, formatDimension } from './units';
+
+// Page layout in points (US Letter)
+const MARGIN = 48;
+const LINE_HEIGHT = 14;
+const DIAGRAM_HEIGHT = 200;
+
+// Text colors
+const TEXT_COLOR = '#222222';
+const MUTED_COLOR = '#666666';
+
+/**
+ * Create a PDF writer that tracks the vertical position and adds pages as needed
+ * @param {jsPDF} doc - PDF document
+ * @returns {Object} Writer helpers
+ */
+const createWriter = (doc) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  let y = MARGIN;
+
+  const writer = {
+    pageWidth,
+    contentWidth: pageWidth - MARGIN * 2,
+    getY: () => y,
+    setY: (value) => { y = value; },
+    // Start a new page when the next block does not fit
+    ensureSpace: (height) => {
+      if (y + height > pageHeight - MARGIN) {
+        doc.addPage();
+        y = MARGIN;
+      }
+    },
+    heading: (text) => {
+      writer.ensureSpace(LINE_HEIGHT * 3);
+      y += LINE_HEIGHT / 2;
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(12);
+      doc.setTextColor(BRAND.colors.primary);
+      doc.text(text, MARGIN, y);
+      doc.setDrawColor(BRAND.colors.accent);
+      doc.setLineWidth(1);
+      doc.line(MARGIN, y + 4, pageWidth - MARGIN, y + 4);
+      y += LINE_HEIGHT + 4;
+    },
+    paragraph: (text, options = {}) => {
+      doc.setFont('helvetica', options.bold ? 'bold' : 'normal');
+      doc.setFontSize(options.size || 10);
+      doc.setTextColor(options.color || TEXT_COLOR);
+      doc.splitTextToSize(text, writer.contentWidth).forEach(line => {
+        writer.ensureSpace(LINE_HEIGHT);
+        doc.text(line, MARGIN, y);
+        y += LINE_HEIGHT;
+      });
+    },
+    // Columns are { header, width (fraction), align }
+    table: (columns, rows) => {
+      const positions = columns.reduce((list, column, index) => {
+        const x = index === 0 ? MARGIN : list[index - 1].x + columns[index - 1].width * writer.contentWidth;
+        return [...list, { x, width: column.width * writer.contentWidth }];
+      }, []);
+      const cellX = (index) => (
+        columns[index].align === 'right' ? positions[index].x + positions[index].width - 4 : positions[index].x + 4
+      );
+
+      const drawHeader = () => {
+        doc.setFillColor(BRAND.colors.primary);
+        doc.rect(MARGIN, y - 11, writer.contentWidth, LINE_HEIGHT + 4, 'F');
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(9);
+        doc.setTextColor('#ffffff');
+        columns.forEach((column, index) => {
+          doc.text(column.header, cellX(index), y, { align: column.align || 'left' });
+        });
+        y += LINE_HEIGHT + 4;
+      };
+
+      writer.ensureSpace(LINE_HEIGHT * 3);
+      drawHeader();
+
+      rows.forEach(row => {
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        const cells = row.map((cell, index) => doc.splitTextToSize(String(cell ?? ''), positions[index].width - 8));
+        const height = Math.max(...cells.map(lines => lines.length)) * (LINE_HEIGHT - 2) + 4;
+
+        if (y + height > doc.internal.pageSize.getHeight() - MARGIN) {
+          doc.addPage();
+          y = MARGIN;
+          drawHeader();
+          doc.setFont('helvetica', 'normal');
+          doc.setFontSize(9);
+        }
+
+        doc.setTextColor(TEXT_COLOR);
+        cells.forEach((lines, index) => {
+          doc.text(lines, cellX(index), y, { align: columns[index].align || 'left' });
+        });
+        y += height;
+        doc.setDrawColor('#dddddd');
+        doc.setLineWidth(0.5);
+        doc.line(MARGIN, y - LINE_HEIGHT + 2, pageWidth - MARGIN, y - LINE_HEIGHT + 2);
+      });
+    },
+    // Label/value pairs aligned to the right edge
+    totals: (lines) => {
+      lines.forEach(({ label, value, bold }) => {
+        writer.ensureSpace(LINE_HEIGHT);
+        doc.setFont('helvetica', bold ? 'bold' : 'normal');
+        doc.setFontSize(bold ? 12 : 10);
+        doc.setTextColor(bold ? BRAND.colors.primary : TEXT_COLOR);
+        doc.text(label, pageWidth - MARGIN - 120, y, { align: 'right' });
+        doc.text(value, pageWidth - MARGIN, y, { align: 'right' });
+        y += bold ? LINE_HEIGHT + 4 : LINE_HEIGHT;
+      });
+    },
+  };
+
+  return writer;
+};
+
+/**
+ * Draw the branded header band
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} writer - Writer from createWriter
+ * @param {Object} quote - Quote from buildQuote
+ */
+const drawHeader = (doc, writer, quote) => {
+  doc.setFillColor(BRAND.colors.primary);
+  doc.rect(0, 0, writer.pageWidth, 72, 'F');
+  doc.setFillColor(BRAND.colors.accent);
+  doc.rect(0, 72, writer.pageWidth, 4, 'F');
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(20);
+  doc.setTextColor('#ffffff');
+  doc.text(BRAND.name, MARGIN, 44);
+
+  doc.setFontSize(14);
+  doc.text('Fence Quote', writer.pageWidth - MARGIN, 36, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.text(`Date: ${formatDate(quote.createdAt)}`, writer.pageWidth - MARGIN, 50, { align: 'right' });
+  doc.text(`Valid until: ${formatDate(getQuoteExpiry(quote))}`, writer.pageWidth - MARGIN, 62, { align: 'right' });
+
+  writer.setY(104);
+};
+
+/**
+ * Draw the top-down layout diagram scaled to the page width
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} writer - Writer from createWriter
+ * @param {Object} drawing - Layout from layoutGeometry
+ * @param {string} unitSystem - Unit system of the lengths
+ */
+const drawLayoutDiagram = (doc, writer, drawing, unitSystem) => {
+  writer.ensureSpace(DIAGRAM_HEIGHT);
+
+  const segments = getSegments(drawing);
+  const xs = drawing.points.map(point => point.x);
+  const ys = drawing.points.map(point => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(Math.max(...xs) - minX, 1);
+  const height = Math.max(Math.max(...ys) - minY, 1);
+  const scale = Math.min((writer.contentWidth - 40) / width, (DIAGRAM_HEIGHT - 40) / height);
+  const top = writer.getY();
+  const offsetX = MARGIN + (writer.contentWidth - width * scale) / 2;
+  const offsetY = top + (DIAGRAM_HEIGHT - height * scale) / 2;
+  const toPage = (point) => [offsetX + (point.x - minX) * scale, offsetY + (point.y - minY) * scale];
+
+  // Fence lines with their lengths
+  doc.setDrawColor(BRAND.colors.primary);
+  doc.setLineWidth(2);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  doc.setTextColor(MUTED_COLOR);
+  segments.forEach((segment, index) => {
+    const [x1, y1] = toPage(segment.start);
+    const [x2, y2] = toPage(segment.end);
+    const [mx, my] = toPage(getPointAlong(segment, segment.length / 2));
+    doc.line(x1, y1, x2, y2);
+    doc.text(`Run ${index + 1}: ${formatLength(segment.length, unitSystem)}`, mx, my - 6, { align: 'center' });
+  });
+
+  // Gate openings
+  doc.setDrawColor(BRAND.colors.secondary);
+  doc.setLineWidth(5);
+  drawing.gates.forEach(gate => {
+    const segment = segments[gate.segment];
+    if (!segment) return;
+    const position = Number(gate.position) || 0;
+    const [x1, y1] = toPage(getPointAlong(segment, position));
+    const [x2, y2] = toPage(getPointAlong(segment, Math.min(position + getGateOpening(gate), segment.length)));
+    doc.line(x1, y1, x2, y2);
+  });
+
+  // Corner and end posts
+  doc.setFillColor(BRAND.colors.accent);
+  drawing.points.forEach(point => {
+    const [x, y] = toPage(point);
+    doc.circle(x, y, 3, 'F');
+  });
+
+  writer.setY(top + DIAGRAM_HEIGHT);
+};
+
+/**
+ * Build the PDF quote document
+ * @param {Object} details - { quote, customer, fenceType, fenceOptions, runs, drawing, unitSystem }
+ * @returns {jsPDF} PDF document
+ */
+export const createQuotePdf = (details) => {
+  const {
+    quote,
+    customer,
+    fenceType,
+    fenceOptions = {},
+    runs = [],
+    drawing,
+    unitSystem = UNIT_SYSTEMS.IMPERIAL,
+  } = details;
+  const doc = new jsPDF({ unit: 'pt', format: 'letter' });
+  const writer = createWriter(doc);
+
+  drawHeader(doc, writer, quote);
+
+  // Customer
+  const customerLines = getCustomerLines(customer);
+  if (customerLines.length > 0) {
+    writer.heading('Prepared For');
+    customerLines.forEach(line => writer.paragraph(line));
+  }
+
+  // Fence
+  writer.heading('Fence');
+  writer.paragraph(
+    [fenceType?.name, fenceOptions.height && formatDimension(fenceOptions.height, unitSystem), fenceOptions.style]
+      .filter(Boolean)
+      .join(' / ') || 'Custom fence'
+  );
+
+  if (drawing && getSegments(drawing).length > 0) {
+    drawLayoutDiagram(doc, writer, drawing, unitSystem);
+  }
+
+  writer.table(
+    [
+      { header: 'Run', width: 0.3 },
+      { header: 'Length', width: 0.15, align: 'right' },
+      { header: 'Ends', width: 0.25 },
+      { header: 'Gates', width: 0.3 },
+    ],
+    runs.map((run, index) => [
+      run.name || `Run ${index + 1}`,
+      formatLength(getRunLength(run), unitSystem),
+      `${run.startCondition} / ${run.endCondition}`,
+      (run.gates || [])
+        .map(gate => `${gate.type} ${formatDimension(gate.width, unitSystem)} at ${formatLength(Number(gate.position) || 0, unitSystem)}`)
+        .join(', ') || 'None',
+    ])
+  );
+
+  // Materials
+  writer.heading('Materials');
+  writer.table(
+    [
+      { header: 'Item', width: 0.42 },
+      { header: 'SKU', width: 0.2 },
+      { header: 'Qty', width: 0.1, align: 'right' },
+      { header: 'Unit Price', width: 0.14, align: 'right' },
+      { header: 'Total', width: 0.14, align: 'right' },
+    ],
+    quote.lineItems.map(item => [
+      [item.name || item.label, item.description].filter(Boolean).join('\n'),
+      item.sku,
+      item.quantity,
+      formatCurrency(item.unitPrice),
+      formatCurrency(item.total),
+    ])
+  );
+
+  // Installation labor
+  if (quote.laborItems.length > 0) {
+    writer.heading('Installation');
+    writer.table(
+      [
+        { header: 'Item', width: 0.62 },
+        { header: 'Qty', width: 0.1, align: 'right' },
+        { header: 'Rate', width: 0.14, align: 'right' },
+        { header: 'Total', width: 0.14, align: 'right' },
+      ],
+      quote.laborItems.map(item => [
+        [item.label, item.description].filter(Boolean).join('\n'),
+        item.quantity,
+        formatCurrency(item.unitPrice),
+        formatCurrency(item.total),
+      ])
+    );
+  }
+
+  writer.setY(writer.getY() + LINE_HEIGHT / 2);
+  writer.totals([
+    { label: 'Materials subtotal', value: formatCurrency(quote.subtotal) },
+    { label: `Tax (${formatPercent(quote.taxRate)})`, value: formatCurrency(quote.tax) },
+    ...(quote.laborItems.length > 0 ? [{ label: 'Installation', value: formatCurrency(quote.laborSubtotal) }] : []),
+    { label: 'Total', value: formatCurrency(quote.total), bold: true },
+  ]);
+
+  if (quote.missing.length > 0) {
+    writer.paragraph(`Not included (no matching product): ${quote.missing.join(', ')}.`, { color: MUTED_COLOR, size: 9 });
+  }
+
+  if (quote.availabilityWarnings.length > 0) {
+    const notes = quote.availabilityWarnings.map(warning => `${warning.label}: ${warning.message}`);
+    writer.paragraph(`Availability: ${notes.join('; ')}.`, { color: MUTED_COLOR, size: 9 });
+  }
+
+  // Terms
+  writer.heading('Terms & Conditions');
+  QUOTE_TERMS.forEach((term, index) => {
+    writer.paragraph(`${index + 1}. ${term}`, { size: 9, color: MUTED_COLOR });
+  });
+
+  // Page numbers
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(MUTED_COLOR);
+    doc.text(
+      `${BRAND.name} - Page ${page} of ${pageCount}`,
+      writer.pageWidth / 2,
+      doc.internal.pageSize.getHeight() - MARGIN / 2,
+      { align: 'center' }
+    );
+  }
+
+  return doc;
+};
+
+/**
+ * Build the PDF quote and download it
+ * @param {Object} details - { quote, customer, fenceType, fenceOptions, runs, drawing }
+ */
+export const downloadQuotePdf = (details) => {
+  const date = details.quote.createdAt.slice(0, 10);
+  const lastName = details.customer?.lastName ? `-${details.customer.lastName.replace(/[^a-z0-9]+/gi, '')}` : '';
+
+  createQuotePdf(details).save(`${BRAND.name.replace(/\s+/g, '')}-Quote${lastName}-${date}.pdf`);
+};
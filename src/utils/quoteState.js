@@ -0,0 +1,233 @@
+/**
+ * Serialize calculator wizard state into a compact, versioned string
+ * that fits in a URL and in localStorage
+ */
+
+import {
+  createFenceRun,
+  createGate,
+  END_CONDITIONS,
+  GATE_TYPES,
+  GRADE_TYPES,
+  SLOPE_METHODS
+} from './fenceRuns';
+import { DEFAULT_INSTALLATION_OPTIONS, TERRAIN_OPTIONS } from '../config/installation';
+
+// Bump when the serialized shape changes; older versions are migrated in decodeQuoteState
+export const QUOTE_STATE_VERSION = 1;
+
+// Last step of the calculator wizard (the review step); restored steps are clamped to it
+export const MAX_QUOTE_STEP = 3;
+
+/**
+ * Read a text field of restored state
+ * @param {*} value - Restored value
+ * @returns {string} The text, a number as text, or '' for anything else
+ */
+const toText = (value) => {
+  if (typeof value === 'string') return value;
+  return typeof value === 'number' && Number.isFinite(value) ? String(value) : '';
+};
+
+/**
+ * Read a length or grade field of restored state, which may be a number or text
+ * @param {*} value - Restored value
+ * @returns {number|string} The number or text, or '' for anything else
+ */
+const toLength = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : toText(value));
+
+/**
+ * Read a choice field of restored state
+ * @param {*} value - Restored value
+ * @param {Array} allowed - Allowed values
+ * @param {*} fallback - Value used when the restored one is not allowed
+ * @returns {*} The value when allowed, otherwise the fallback
+ */
+const toChoice = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+
+/**
+ * Read a list field of restored state
+ * @param {*} value - Restored value
+ * @returns {Array} The list, or an empty list for anything else
+ */
+const toList = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * Encode a string as URL-safe base64
+ * @param {string} text - Text to encode
+ * @returns {string} Base64url string without padding
+ */
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+  return window.btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode a URL-safe base64 string
+ * @param {string} encoded - Base64url string
+ * @returns {string} Decoded text
+ */
+const fromBase64Url = (encoded) => {
+  const binary = window.atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+/**
+ * Pack a gate into an array
+ * @param {Object} gate - Gate
+ * @returns {Array} [type, width, style, position, segment?]
+ */
+const packGate = (gate) => {
+  const packed = [gate.type, gate.width, gate.style, gate.position];
+  return gate.segment === undefined ? packed : [...packed, gate.segment];
+};
+
+/**
+ * Unpack a gate packed with packGate; fields of the wrong type fall back to the defaults
+ * @param {Array} packed - Packed gate
+ * @returns {Object} Gate with a fresh ID
+ */
+const unpackGate = (packed) => {
+  const [type, width, style, position, segment] = toList(packed);
+
+  return createGate({
+    type: toChoice(type, Object.values(GATE_TYPES), GATE_TYPES.SINGLE),
+    width: toText(width),
+    style: toText(style),
+    position: Number.isFinite(position) ? position : 0,
+    ...(Number.isInteger(segment) && segment >= 0 ? { segment } : {}),
+  });
+};
+
+/**
+ * Serialize the calculator state
+ * @param {Object} state - { fenceTypeId, fenceOptions, runs, layout, installationOptions, step }
+ * @returns {Object} Compact plain object
+ */
+export const serializeQuoteState = (state) => {
+  const { fenceTypeId, fenceOptions = {}, runs = [], layout, installationOptions, step = 0 } = state;
+
+  return {
+    v: QUOTE_STATE_VERSION,
+    t: fenceTypeId,
+    o: [fenceOptions.height || '', fenceOptions.style || '', fenceOptions.panelWidth || ''],
+    r: runs.map(run => [
+      run.name,
+      run.length,
+      run.height,
+      run.style,
+      run.startCondition,
+      run.endCondition,
+      (run.gates || []).map(packGate),
+      run.grade || '',
+      run.gradeType,
+      run.slopeMethod,
+    ]),
+    l: layout && layout.points.length > 0
+      ? [layout.points.map(point => [point.x, point.y]), layout.closed ? 1 : 0, layout.gates.map(packGate)]
+      : null,
+    i: installationOptions
+      ? [
+        installationOptions.include ? 1 : 0,
+        installationOptions.removeOldFence ? 1 : 0,
+        installationOptions.removalLength,
+        installationOptions.terrain,
+      ]
+      : null,
+    s: step,
+  };
+};
+
+/**
+ * Restore calculator state serialized with serializeQuoteState.
+ * Links can be edited by hand, so every field is type-checked and the step is clamped.
+ * @param {Object} serialized - Compact plain object
+ * @returns {Object} { fenceTypeId, fenceOptions, runs, layout, installationOptions, step }
+ */
+export const deserializeQuoteState = (serialized) => {
+  if (!serialized || serialized.v !== QUOTE_STATE_VERSION) {
+    throw new Error('This quote was saved by an unsupported version of the calculator.');
+  }
+
+  const [height, style, panelWidth] = toList(serialized.o);
+  const [points, closed, layoutGates] = toList(serialized.l);
+  const installation = Array.isArray(serialized.i) ? serialized.i : null;
+  const step = Math.floor(Number(serialized.s)) || 0;
+
+  return {
+    fenceTypeId: typeof serialized.t === 'number' ? serialized.t : toText(serialized.t),
+    fenceOptions: { height: toText(height), style: toText(style), panelWidth: toText(panelWidth) },
+    runs: toList(serialized.r).map(packed => {
+      const [
+        name, length, runHeight, runStyle, startCondition, endCondition, gates, grade, gradeType, slopeMethod,
+      ] = toList(packed);
+
+      return createFenceRun({
+        name: toText(name),
+        length: toLength(length),
+        height: toText(runHeight),
+        style: toText(runStyle),
+        startCondition: toChoice(startCondition, Object.values(END_CONDITIONS), END_CONDITIONS.END),
+        endCondition: toChoice(endCondition, Object.values(END_CONDITIONS), END_CONDITIONS.END),
+        gates: toList(gates).map(unpackGate),
+        // Quotes saved before slopes existed are flat
+        grade: toLength(grade),
+        gradeType: toChoice(gradeType, Object.values(GRADE_TYPES), GRADE_TYPES.PERCENT),
+        slopeMethod: toChoice(slopeMethod, Object.values(SLOPE_METHODS), SLOPE_METHODS.STEPPED),
+      });
+    }),
+    layout: {
+      points: toList(points)
+        .filter(point => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]))
+        .map(([x, y]) => ({ x, y })),
+      closed: Boolean(closed),
+      gates: toList(layoutGates).map(unpackGate),
+    },
+    // Quotes saved before installation options existed use the defaults
+    installationOptions: installation
+      ? {
+        include: Boolean(installation[0]),
+        removeOldFence: Boolean(installation[1]),
+        removalLength: toLength(installation[2]),
+        terrain: toChoice(
+          installation[3],
+          TERRAIN_OPTIONS.map(option => option.value),
+          DEFAULT_INSTALLATION_OPTIONS.terrain
+        ),
+      }
+      : DEFAULT_INSTALLATION_OPTIONS,
+    step: Math.min(Math.max(step, 0), MAX_QUOTE_STEP),
+  };
+};
+
+/**
+ * Encode calculator state for a URL
+ * @param {Object} state - { fenceTypeId, fenceOptions, runs, layout, installationOptions, step }
+ * @returns {string} "<version>.<base64url JSON>"
+ */
+export const encodeQuoteState = (state) => {
+  return `${QUOTE_STATE_VERSION}.${toBase64Url(JSON.stringify(serializeQuoteState(state)))}`;
+};
+
+/**
+ * Decode calculator state encoded with encodeQuoteState
+ * @param {string} encoded - Encoded state
+ * @returns {Object} { fenceTypeId, fenceOptions, runs, layout, installationOptions, step }
+ */
+export const decodeQuoteState = (encoded = '') => {
+  const [version, payload] = encoded.split('.');
+
+  if (Number(version) !== QUOTE_STATE_VERSION || !payload) {
+    throw new Error('This quote link is not valid or was made by an unsupported version of the calculator.');
+  }
+
+  let serialized;
+  try {
+    serialized = JSON.parse(fromBase64Url(payload));
+  } catch (error) {
+    throw new Error('This quote link is damaged. Ask for a new link.');
+  }
+
+  return deserializeQuoteState(serialized);
+};
@@ -0,0 +1,131 @@
+import {
+  QUOTE_STATE_VERSION,
+  MAX_QUOTE_STEP,
+  serializeQuoteState,
+  deserializeQuoteState,
+  encodeQuoteState,
+  decodeQuoteState
+} from './quoteState';
+import { createFenceRun, createGate, END_CONDITIONS, GATE_TYPES, GRADE_TYPES, SLOPE_METHODS } from './fenceRuns';
+import { DEFAULT_INSTALLATION_OPTIONS } from '../config/installation';
+
+// Runs and gates get fresh IDs when restored, so compare them without
+const withoutIds = ({ id, ...rest }) => rest;
+const describeRun = (run) => ({ ...withoutIds(run), gates: run.gates.map(withoutIds) });
+
+const state = {
+  fenceTypeId: 53,
+  fenceOptions: { height: '6 ft', style: 'Privacy', panelWidth: '8 ft' },
+  runs: [
+    createFenceRun({
+      name: 'Back yard',
+      length: 48.5,
+      endCondition: END_CONDITIONS.CORNER,
+      gates: [createGate({ type: GATE_TYPES.DOUBLE, width: '5 ft', style: 'Gothic', position: 12 })],
+      grade: 8,
+      gradeType: GRADE_TYPES.PERCENT,
+      slopeMethod: SLOPE_METHODS.RACKED,
+    }),
+    createFenceRun({ name: 'Côté', length: '20', height: '4 ft', startCondition: END_CONDITIONS.CORNER }),
+  ],
+  layout: {
+    points: [{ x: 0, y: 0 }, { x: 48.5, y: 0 }, { x: 48.5, y: 20 }],
+    closed: false,
+    gates: [createGate({ width: '4 ft', position: 3, segment: 1 })],
+  },
+  installationOptions: { include: true, removeOldFence: true, removalLength: 30, terrain: 'rocky' },
+  step: 2,
+};
+
+describe('quote state round-trip', () => {
+  it('restores what it serialized', () => {
+    const restored = deserializeQuoteState(JSON.parse(JSON.stringify(serializeQuoteState(state))));
+
+    expect(restored.fenceTypeId).toBe(53);
+    expect(restored.fenceOptions).toEqual(state.fenceOptions);
+    expect(restored.runs.map(describeRun)).toEqual(state.runs.map(describeRun));
+    expect({ ...restored.layout, gates: restored.layout.gates.map(withoutIds) })
+      .toEqual({ ...state.layout, gates: state.layout.gates.map(withoutIds) });
+    expect(restored.installationOptions).toEqual(state.installationOptions);
+    expect(restored.step).toBe(2);
+  });
+
+  it('gives restored runs and gates fresh IDs', () => {
+    const restored = deserializeQuoteState(serializeQuoteState(state));
+
+    expect(restored.runs[0].id).not.toBe(state.runs[0].id);
+    expect(restored.runs[0].gates[0].id).not.toBe(state.runs[0].gates[0].id);
+  });
+
+  it('survives encoding for a URL', () => {
+    const encoded = encodeQuoteState(state);
+
+    expect(encoded).toMatch(new RegExp(`^${QUOTE_STATE_VERSION}\\.[A-Za-z0-9_-]+$`));
+    expect(decodeQuoteState(encoded).runs.map(describeRun)).toEqual(state.runs.map(describeRun));
+  });
+
+  it('restores quotes saved before layouts and installation options existed', () => {
+    const restored = deserializeQuoteState({ v: QUOTE_STATE_VERSION, t: 53, r: [['Front', 10]] });
+
+    expect(restored.layout).toEqual({ points: [], closed: false, gates: [] });
+    expect(restored.installationOptions).toEqual(DEFAULT_INSTALLATION_OPTIONS);
+    expect(restored.runs[0]).toMatchObject({ name: 'Front', length: 10, grade: '', slopeMethod: SLOPE_METHODS.STEPPED });
+  });
+});
+
+describe('deserializeQuoteState', () => {
+  const restore = (fields) => deserializeQuoteState({ v: QUOTE_STATE_VERSION, ...fields });
+
+  it('clamps the step to the wizard', () => {
+    expect(restore({ s: 99 }).step).toBe(MAX_QUOTE_STEP);
+    expect(restore({ s: -4 }).step).toBe(0);
+    expect(restore({ s: '2' }).step).toBe(2);
+    expect(restore({ s: 'review' }).step).toBe(0);
+  });
+
+  it('replaces fields of the wrong type with defaults', () => {
+    const restored = restore({
+      t: { id: 1 },
+      o: 'tall',
+      r: [[5, '10', null, 'Picket', 'bogus', END_CONDITIONS.WALL, [['triple', 4, null, 'x', -1]], 3, 'steep', 'sideways']],
+      l: [[[1, 2], ['a', 3], 'x'], 1, 'gates'],
+      i: [1, 0, { feet: 20 }, 'lava'],
+    });
+
+    expect(restored.fenceTypeId).toBe('');
+    expect(restored.fenceOptions).toEqual({ height: '', style: '', panelWidth: '' });
+    expect(withoutIds(restored.runs[0])).toEqual({
+      name: '5',
+      length: '10',
+      height: '',
+      style: 'Picket',
+      startCondition: END_CONDITIONS.END,
+      endCondition: END_CONDITIONS.WALL,
+      gates: restored.runs[0].gates,
+      grade: 3,
+      gradeType: GRADE_TYPES.PERCENT,
+      slopeMethod: SLOPE_METHODS.STEPPED,
+    });
+    expect(withoutIds(restored.runs[0].gates[0])).toEqual({ type: GATE_TYPES.SINGLE, width: '4', style: '', position: 0 });
+    expect(restored.layout).toEqual({ points: [{ x: 1, y: 2 }], closed: true, gates: [] });
+    expect(restored.installationOptions).toEqual({
+      include: true,
+      removeOldFence: false,
+      removalLength: '',
+      terrain: DEFAULT_INSTALLATION_OPTIONS.terrain,
+    });
+  });
+
+  it('rejects state from another version', () => {
+    expect(() => deserializeQuoteState({ v: QUOTE_STATE_VERSION + 1 })).toThrow('unsupported version');
+    expect(() => deserializeQuoteState(null)).toThrow('unsupported version');
+  });
+});
+
+describe('decodeQuoteState', () => {
+  it('rejects links that are not valid', () => {
+    expect(() => decodeQuoteState('')).toThrow('not valid');
+    expect(() => decodeQuoteState('9.abc')).toThrow('not valid');
+    expect(() => decodeQuoteState(`${QUOTE_STATE_VERSION}.%%%`)).toThrow('damaged');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Utility functions for working with dimensions
+ * Lengths are kept in feet everywhere in the app; these helpers parse
+ * dimension strings into feet and convert feet for display in either unit system.
+ */
+
+// Unit systems the calculator can display
+export const UNIT_SYSTEMS = {
+  IMPERIAL: 'imperial',
+  METRIC: 'metric',
+};
+
+// Exact length of one foot in meters
+export const METERS_PER_FOOT = 0.3048;
+
+// Feet per unit, keyed by the unit names accepted in dimension strings
+const FEET_PER_UNIT = {
+  ft: 1,
+  feet: 1,
+  foot: 1,
+  "'": 1,
+  in: 1 / 12,
+  inch: 1 / 12,
+  inches: 1 / 12,
+  '"': 1 / 12,
+  m: 1 / METERS_PER_FOOT,
+  meter: 1 / METERS_PER_FOOT,
+  meters: 1 / METERS_PER_FOOT,
+  metre: 1 / METERS_PER_FOOT,
+  metres: 1 / METERS_PER_FOOT,
+  cm: 1 / METERS_PER_FOOT / 100,
+  mm: 1 / METERS_PER_FOOT / 1000,
+};
+
+// A number, and unit names with longer ones listed first so "mm" wins over "m"
+const NUMBER = '(\\d+(?:\\.\\d+)?|\\.\\d+)';
+const UNIT = `(inches|inch|in|feet|foot|ft|metres|metre|meters|meter|mm|cm|m|'|")`;
+
+// The whole value is one number with an optional unit, e.g. "6 ft" or "72"
+const LENGTH_PATTERN = new RegExp(`^${NUMBER}\\s*${UNIT}?$`, 'i');
+
+// The whole value is feet followed by inches, e.g. 6' 6" or "6 ft 6 in"
+const FEET_AND_INCHES_PATTERN = new RegExp(`^${NUMBER}\\s*(?:feet|foot|ft|')\\s*${NUMBER}\\s*(?:inches|inch|in|")$`, 'i');
+
+/**
+ * Parse a dimension string such as "6 ft", "72 in", "1.8 m", "6'" or "6' 6\"" into feet.
+ * Numbers without a unit are taken as feet. Anything that is not a single length,
+ * such as a range ("4-6 ft") or a label with a number in it ("Model 3"), is rejected.
+ * @param {string|number} value - Dimension value
+ * @returns {number|null} Value in feet, or null when it is not a single length
+ */
+export const parseFeet = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (!value) return null;
+
+  const text = String(value).trim();
+
+  const feetAndInches = text.match(FEET_AND_INCHES_PATTERN);
+  if (feetAndInches) {
+    return parseFloat(feetAndInches[1]) + parseFloat(feetAndInches[2]) / 12;
+  }
+
+  const length = text.match(LENGTH_PATTERN);
+  if (!length) return null;
+
+  const [, number, unit = 'ft'] = length;
+  return parseFloat(number) * FEET_PER_UNIT[unit.toLowerCase()];
+};
+
+/**
+ * Check whether a string is nothing but a dimension, e.g. "6 ft", "72 in" or "6' 6\"" but not "Model 3"
+ * @param {string|number} value - Value to check
+ * @returns {boolean} True when the value is a dimension
+ */
+export const isDimension = (value) => parseFeet(value) !== null;
+
+/**
+ * Round a number to a fixed number of decimals
+ * @param {number} value - Number to round
+ * @param {number} decimals - Number of decimals to keep
+ * @returns {number} Rounded number
+ */
+const roundTo = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Get the length unit label of a unit system
+ * @param {string} system - Unit system
+ * @returns {string} "m" or "ft"
+ */
+export const getLengthUnit = (system) => (system === UNIT_SYSTEMS.METRIC ? 'm' : 'ft');
+
+/**
+ * Convert feet to the length unit of a unit system
+ * @param {number} feet - Length in feet
+ * @param {string} system - Unit system
+ * @returns {number} Length in feet or meters
+ */
+export const toDisplayLength = (feet, system) => {
+  return system === UNIT_SYSTEMS.METRIC ? feet * METERS_PER_FOOT : feet;
+};
+
+/**
+ * Convert a length in the unit of a unit system to feet
+ * @param {number} length - Length in feet or meters
+ * @param {string} system - Unit system
+ * @returns {number} Length in feet
+ */
+export const fromDisplayLength = (length, system) => {
+  return system === UNIT_SYSTEMS.METRIC ? length / METERS_PER_FOOT : length;
+};
+
+/**
+ * Format a length in feet for display
+ * @param {number} feet - Length in feet
+ * @param {string} system - Unit system
+ * @param {number} decimals - Decimals to keep (defaults to 2 for meters, 1 for feet)
+ * @returns {string} Formatted length such as "6 ft" or "1.83 m"
+ */
+export const formatLength = (feet, system, decimals) => {
+  if (!Number.isFinite(feet)) return '';
+
+  const places = decimals ?? (system === UNIT_SYSTEMS.METRIC ? 2 : 1);
+  return `${roundTo(toDisplayLength(feet, system), places)} ${getLengthUnit(system)}`;
+};
+
+/**
+ * Format a dimension string (e.g. a product attribute option) in a unit system.
+ * Imperial values and strings that are not dimensions are returned unchanged.
+ * @param {string} value - Dimension string such as "6 ft"
+ * @param {string} system - Unit system
+ * @returns {string} Formatted dimension such as "1.83 m"
+ */
+export const formatDimension = (value, system) => {
+  const feet = parseFeet(value);
+  if (system !== UNIT_SYSTEMS.METRIC || !Number.isFinite(feet)) return value;
+
+  return formatLength(feet, system);
+};
@@ -0,0 +1,87 @@
+import {
+  UNIT_SYSTEMS,
+  parseFeet,
+  isDimension,
+  getLengthUnit,
+  toDisplayLength,
+  fromDisplayLength,
+  formatLength,
+  formatDimension
+} from './units';
+
+describe('parseFeet', () => {
+  it('reads a number with a unit', () => {
+    expect(parseFeet('6 ft')).toBe(6);
+    expect(parseFeet('6 Feet')).toBe(6);
+    expect(parseFeet("6'")).toBe(6);
+    expect(parseFeet('72 in')).toBe(6);
+    expect(parseFeet('72"')).toBe(6);
+    expect(parseFeet('.5 ft')).toBe(0.5);
+  });
+
+  it('reads metric lengths', () => {
+    expect(parseFeet('1.8288 m')).toBeCloseTo(6);
+    expect(parseFeet('182.88 cm')).toBeCloseTo(6);
+    expect(parseFeet('1828.8 mm')).toBeCloseTo(6);
+  });
+
+  it('takes numbers without a unit as feet', () => {
+    expect(parseFeet('8')).toBe(8);
+    expect(parseFeet(' 8 ')).toBe(8);
+    expect(parseFeet(8)).toBe(8);
+  });
+
+  it('adds up feet and inches', () => {
+    expect(parseFeet(`6' 6"`)).toBe(6.5);
+    expect(parseFeet('6 ft 6 in')).toBe(6.5);
+  });
+
+  it('returns null for anything that is not a single length', () => {
+    expect(parseFeet('4-6 ft')).toBeNull();
+    expect(parseFeet('Model 3')).toBeNull();
+    expect(parseFeet('6 ft 8 ft')).toBeNull();
+    expect(parseFeet('4 6')).toBeNull();
+    expect(parseFeet('Custom')).toBeNull();
+    expect(parseFeet('')).toBeNull();
+    expect(parseFeet(null)).toBeNull();
+    expect(parseFeet(undefined)).toBeNull();
+    expect(parseFeet(NaN)).toBeNull();
+  });
+});
+
+describe('isDimension', () => {
+  it('accepts single lengths only', () => {
+    expect(isDimension('6 ft')).toBe(true);
+    expect(isDimension(`6' 6"`)).toBe(true);
+    expect(isDimension(6)).toBe(true);
+    expect(isDimension('Model 3')).toBe(false);
+    expect(isDimension('4-6 ft')).toBe(false);
+  });
+});
+
+describe('unit conversion', () => {
+  it('names the unit of each system', () => {
+    expect(getLengthUnit(UNIT_SYSTEMS.IMPERIAL)).toBe('ft');
+    expect(getLengthUnit(UNIT_SYSTEMS.METRIC)).toBe('m');
+  });
+
+  it('converts feet to and from meters', () => {
+    expect(toDisplayLength(10, UNIT_SYSTEMS.METRIC)).toBeCloseTo(3.048);
+    expect(fromDisplayLength(3.048, UNIT_SYSTEMS.METRIC)).toBeCloseTo(10);
+    expect(toDisplayLength(10, UNIT_SYSTEMS.IMPERIAL)).toBe(10);
+    expect(fromDisplayLength(10, UNIT_SYSTEMS.IMPERIAL)).toBe(10);
+  });
+
+  it('formats lengths in either system', () => {
+    expect(formatLength(6, UNIT_SYSTEMS.IMPERIAL)).toBe('6 ft');
+    expect(formatLength(6, UNIT_SYSTEMS.METRIC)).toBe('1.83 m');
+    expect(formatLength(6.25, UNIT_SYSTEMS.IMPERIAL, 2)).toBe('6.25 ft');
+    expect(formatLength(NaN, UNIT_SYSTEMS.METRIC)).toBe('');
+  });
+
+  it('formats dimension strings in metric and leaves other text alone', () => {
+    expect(formatDimension('6 ft', UNIT_SYSTEMS.METRIC)).toBe('1.83 m');
+    expect(formatDimension('6 ft', UNIT_SYSTEMS.IMPERIAL)).toBe('6 ft');
+    expect(formatDimension('Model 3', UNIT_SYSTEMS.METRIC)).toBe('Model 3');
+  });
+});